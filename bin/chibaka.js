@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+// Headless runner for CI: executes a saved collection with the same runner the browser uses and
+// writes the reports to disk. Exit codes: 0 all passed, 1 failures, 2 usage or input errors,
+// 130 interrupted (reports for the partial run are still written).
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import {
+  generateAllureFiles,
+  generateAllureHtml,
+  generateJUnitReport,
+  listFailures,
+  runTestSuite
+} from "../src/utils/testRunner.js";
+import { variablesToMap } from "../src/utils/environments.js";
+import { isInFolder } from "../src/utils/testCases.js";
+import { parseCollection } from "../src/utils/collection.js";
+import { DEFAULT_RETRY_POLICY, normalizeRetryPolicy } from "../src/utils/retry.js";
+import { iterationLabel } from "../src/utils/datasets.js";
+
+const REPORTERS = ["junit", "allure", "html"];
+
+const USAGE = `Usage: chibaka run <collection.json> [options]
+
+Options:
+  --env <name>          Environment from the collection to use (matched case-insensitively)
+  --var <key=value>     Set or override a variable; repeatable
+  --suite <path>        Only run cases in this suite, e.g. Users/Admin; repeatable
+  --reporter <list>     Comma-separated: ${REPORTERS.join(", ")} (default: junit)
+  --out <dir>           Directory for reports (default: reports)
+  --concurrency <n>     Parallel workers, 1-16 (default: the collection's setting, else 1)
+  --retries <n>         Max attempts per case, including the first (default: the collection's setting, else 1)
+  --mock                Answer requests from the cases' mock responses instead of the real host
+  -h, --help            Show this help`;
+
+class UsageError extends Error {}
+
+// Accepts an exported collection of any supported schema version, a bare list of cases, or one case.
+const readCollection = async file => {
+  let text;
+  try {
+    text = await readFile(file, "utf8");
+  } catch (error) {
+    throw new UsageError(`Cannot read ${file}: ${error.message}`);
+  }
+  try {
+    return parseCollection(text);
+  } catch (error) {
+    throw new UsageError(`${file}: ${error.message}`);
+  }
+};
+
+const parseVariables = pairs => Object.fromEntries((pairs || []).map(pair => {
+  const index = pair.indexOf("=");
+  if (index <= 0) throw new UsageError(`--var expects key=value, got "${pair}".`);
+  return [pair.slice(0, index), pair.slice(index + 1)];
+}));
+
+const parseReporters = value => {
+  const reporters = String(value || "junit").split(",").map(name => name.trim().toLowerCase()).filter(Boolean);
+  const unknown = reporters.filter(name => !REPORTERS.includes(name));
+  if (unknown.length) throw new UsageError(`Unknown reporter: ${unknown.join(", ")}. Use ${REPORTERS.join(", ")}.`);
+  return reporters;
+};
+
+const selectEnvironment = (environments, name) => {
+  if (!name) return null;
+  const match = environments.find(env => String(env.name || "").toLowerCase() === name.toLowerCase());
+  if (!match) {
+    const available = environments.map(env => env.name).filter(Boolean);
+    throw new UsageError(`Environment "${name}" not found.${available.length ? ` Available: ${available.join(", ")}.` : " The collection has no environments."}`);
+  }
+  return match;
+};
+
+const describeResult = (result, testCase) => {
+  const name = `${testCase?.caseName || result.caseName || "Unnamed case"}${iterationLabel(result.iteration)}`;
+  const timing = `(${result.timeMs || 0} ms)`;
+  if (result.ok) return `  ✔ ${name} ${timing}${result.flaky ? ` flaky, ${result.attempts.length} attempts` : ""}`;
+  if (result.skipped) return `  - ${name} skipped: ${result.skipReason}`;
+  const failures = listFailures(result);
+  return [`  ✖ ${name} ${timing}`, ...(failures.length ? failures : ["Request failed"]).map(message => `      ${message}`)].join("\n");
+};
+
+async function writeReports({ reporters, outDir, testCases, run, meta }) {
+  await mkdir(outDir, { recursive: true });
+  const written = [];
+
+  if (reporters.includes("junit")) {
+    const file = path.join(outDir, "junit.xml");
+    await writeFile(file, generateJUnitReport(testCases, run.results, { ...meta, wallTimeMs: run.wallTimeMs }));
+    written.push(file);
+  }
+
+  if (reporters.includes("allure")) {
+    const folder = path.join(outDir, "allure-results");
+    await mkdir(folder, { recursive: true });
+    const files = generateAllureFiles(testCases, run.results, { ...meta, executorName: "chibaka CLI", executorType: "cli" });
+    await Promise.all(files.map(({ name, content }) => writeFile(path.join(folder, name), content)));
+    written.push(folder);
+  }
+
+  if (reporters.includes("html")) {
+    const file = path.join(outDir, "report.html");
+    await writeFile(file, generateAllureHtml(testCases, run.results, { ...meta, wallTimeMs: run.wallTimeMs }));
+    written.push(file);
+  }
+
+  return written;
+}
+
+async function run(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      env: { type: "string" },
+      var: { type: "string", multiple: true },
+      suite: { type: "string", multiple: true },
+      reporter: { type: "string" },
+      out: { type: "string", default: "reports" },
+      concurrency: { type: "string" },
+      retries: { type: "string" },
+      mock: { type: "boolean" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+
+  const [command, collectionFile] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (command !== "run") throw new UsageError(`Unknown command "${command}".\n\n${USAGE}`);
+  if (!collectionFile) throw new UsageError(`Missing collection file.\n\n${USAGE}`);
+
+  const reporters = parseReporters(values.reporter);
+  const collection = await readCollection(collectionFile);
+  const environment = selectEnvironment(collection.environments, values.env);
+  const variables = { ...variablesToMap(environment?.variables), ...parseVariables(values.var) };
+  const suites = values.suite || [];
+  const allCases = collection.testCases;
+  const testCases = suites.length
+    ? allCases.filter(tc => suites.some(folder => isInFolder(tc, folder)))
+    : allCases;
+  if (!testCases.length) throw new UsageError(suites.length ? `No cases in suite ${suites.join(", ")}.` : "The collection has no test cases.");
+
+  const concurrency = Math.min(16, Math.max(1, Math.floor(Number(values.concurrency) || collection.settings.concurrency)));
+  const retryPolicy = normalizeRetryPolicy({
+    ...DEFAULT_RETRY_POLICY,
+    ...collection.settings.retryPolicy,
+    ...(values.retries != null && { maxAttempts: Number(values.retries) || 1 })
+  });
+  const casesById = Object.fromEntries(testCases.map(tc => [tc.id, tc]));
+
+  // Ctrl+C stops the run like the browser's Stop button: in-flight and remaining cases are skipped.
+  const controller = new AbortController();
+  const interrupt = () => controller.abort();
+  process.once("SIGINT", interrupt);
+  process.once("SIGTERM", interrupt);
+
+  const target = values.mock ? " against mocks" : environment ? ` against ${environment.name}` : "";
+  console.log(`Running ${testCases.length} case(s)${target}…`);
+  const executedAt = new Date().toISOString();
+  let outcome;
+  try {
+    outcome = await runTestSuite(testCases, {
+      variables,
+      concurrency,
+      retryPolicy,
+      serialFolders: collection.serialSuites,
+      signal: controller.signal,
+      mocks: values.mock ? allCases : undefined,
+      onResult: result => console.log(describeResult(result, casesById[result.caseId]))
+    });
+  } finally {
+    process.off("SIGINT", interrupt);
+    process.off("SIGTERM", interrupt);
+  }
+
+  const meta = {
+    executedAt,
+    environmentName: environment?.name || null,
+    baseUrl: variables.baseUrl,
+    scope: suites.length ? `Suite ${suites.join(", ")}` : null,
+    stopped: outcome.stopped,
+    mocked: Boolean(values.mock),
+    concurrency,
+    retryPolicy
+  };
+  const written = await writeReports({ reporters, outDir: values.out, testCases, run: outcome, meta });
+
+  const passed = outcome.results.filter(result => result.ok).length;
+  const skipped = outcome.results.filter(result => result.skipped).length;
+  const failed = outcome.results.length - passed - skipped;
+  console.log(`\n${passed} passed, ${failed} failed${skipped ? `, ${skipped} skipped` : ""} in ${outcome.wallTimeMs} ms`);
+  written.forEach(file => console.log(`Wrote ${file}`));
+
+  if (outcome.stopped) return 130;
+  return failed ? 1 : 0;
+}
+
+run(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(error instanceof UsageError || error.code?.startsWith?.("ERR_PARSE_ARGS") ? error.message : error);
+    process.exitCode = 2;
+  });
@@ -1,14 +1,58 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import RequestForm from "./components/RequestForm";
 import TestCaseList from "./components/TestCaseList";
+import EnvironmentPanel from "./components/EnvironmentPanel";
+import ImportPanel from "./components/ImportPanel";
+import HistoryPanel from "./components/HistoryPanel";
+import CollectionPanel from "./components/CollectionPanel";
 import "./App.css";
 import { v4 as uuidv4 } from "uuid";
 import {
-  runTestCase,
+  runTestSuite,
   generateJUnitReport,
   generateAllureArchive,
-  generateAllureHtml
+  generateAllureHtml,
+  listFailures
 } from "./utils/testRunner";
+import { createDefaultEnvironments, createEnvironment, variablesToMap } from "./utils/environments";
+import { displayCaptureValue } from "./utils/captures";
+import { isInFolder, normalizeFolder, splitFolderPath } from "./utils/testCases";
+import { DEFAULT_RETRY_POLICY, normalizeRetryPolicy } from "./utils/retry";
+import { expandIterations } from "./utils/datasets";
+import { hasMock, mockFromResponse } from "./utils/mocks";
+import { applyCollection, buildCollection } from "./utils/collection";
+import {
+  DEFAULT_HISTORY_RETENTION,
+  clearRunHistory,
+  createRunRecord,
+  deleteRun,
+  listRuns,
+  normalizeRetention,
+  saveRun
+} from "./utils/runHistory";
+
+// Collapses a case's results (one per dataset row, or just one) into the badge shown in the list.
+const summarizeLastRun = matches => {
+  const last = matches[matches.length - 1];
+  const iterations = last.iteration ? { total: matches.length, passed: matches.filter(match => match.ok).length } : null;
+  return {
+    ok: matches.every(match => match.ok),
+    skipped: matches.every(match => match.skipped),
+    status: iterations ? null : last.status,
+    statusText: iterations ? null : last.statusText,
+    timeMs: matches.reduce((acc, match) => acc + (match.timeMs || 0), 0),
+    executedAt: last.executedAt,
+    expectedStatus: last.expectedStatus,
+    warning: matches.find(match => match.warning)?.warning || null,
+    error: iterations ? null : last.error || last.skipReason || null,
+    failureReason: matches.find(match => match.failureReason)?.failureReason || null,
+    attempts: Math.max(...matches.map(match => match.attempts?.length || 1)),
+    flaky: matches.some(match => match.flaky),
+    iterations,
+    failures: matches.flatMap(match => listFailures(match)
+      .map(failure => (match.iteration ? `Row ${match.iteration.index}: ${failure}` : failure)))
+  };
+};
 
 export default function App() {
   const [testCases, setTestCases] = useState(() => {
@@ -24,7 +68,52 @@ export default function App() {
     }
   });
 
+  const [environments, setEnvironments] = useState(() => {
+    try {
+      const stored = JSON.parse(localStorage.getItem("environments") || "null");
+      return Array.isArray(stored) ? stored : createDefaultEnvironments();
+    } catch {
+      return createDefaultEnvironments();
+    }
+  });
+  const [activeEnvironmentId, setActiveEnvironmentId] = useState(() => localStorage.getItem("activeEnvironmentId") || null);
+
+  // A snapshot of the case loaded into the form, so later list updates do not overwrite edits in progress.
+  const [editingCase, setEditingCase] = useState(null);
+  const [deletedCase, setDeletedCase] = useState(null);
+
+  const [concurrency, setConcurrency] = useState(() => Number(localStorage.getItem("runConcurrency")) || 1);
+  const [serialSuites, setSerialSuites] = useState(() => {
+    try {
+      const stored = JSON.parse(localStorage.getItem("serialSuites") || "[]");
+      return Array.isArray(stored) ? stored : [];
+    } catch {
+      return [];
+    }
+  });
+
+  const [retryPolicy, setRetryPolicy] = useState(() => {
+    try {
+      return { ...DEFAULT_RETRY_POLICY, ...(JSON.parse(localStorage.getItem("retryPolicy") || "null") || {}) };
+    } catch {
+      return { ...DEFAULT_RETRY_POLICY };
+    }
+  });
+
+  const [mockMode, setMockMode] = useState(() => localStorage.getItem("mockMode") === "true");
+  const [runHistory, setRunHistory] = useState([]);
+  const [historyError, setHistoryError] = useState(null);
+  const [historyRetention, setHistoryRetention] = useState(() => {
+    try {
+      return normalizeRetention(JSON.parse(localStorage.getItem("historyRetention") || "null"));
+    } catch {
+      return { ...DEFAULT_HISTORY_RETENTION };
+    }
+  });
+
   const [isRunning, setIsRunning] = useState(false);
+  const [runProgress, setRunProgress] = useState(null);
+  const runController = useRef(null);
   const [lastRunSummary, setLastRunSummary] = useState(null);
   const [allurePreview, setAllurePreview] = useState(null);
   const [previewNotice, setPreviewNotice] = useState(null);
@@ -33,6 +122,49 @@ export default function App() {
     localStorage.setItem("testCases", JSON.stringify(testCases));
   }, [testCases]);
 
+  useEffect(() => {
+    localStorage.setItem("environments", JSON.stringify(environments));
+  }, [environments]);
+
+  useEffect(() => {
+    localStorage.setItem("runConcurrency", String(concurrency));
+  }, [concurrency]);
+
+  useEffect(() => {
+    localStorage.setItem("serialSuites", JSON.stringify(serialSuites));
+  }, [serialSuites]);
+
+  useEffect(() => {
+    localStorage.setItem("retryPolicy", JSON.stringify(retryPolicy));
+  }, [retryPolicy]);
+
+  useEffect(() => {
+    localStorage.setItem("mockMode", String(mockMode));
+  }, [mockMode]);
+
+  // Retention is applied when the next run is saved, so editing a limit never deletes runs mid-typing.
+  useEffect(() => {
+    localStorage.setItem("historyRetention", JSON.stringify(historyRetention));
+  }, [historyRetention]);
+
+  useEffect(() => {
+    listRuns()
+      .then(setRunHistory)
+      .catch(error => setHistoryError(`Run history is unavailable: ${error.message}`));
+  }, []);
+
+  useEffect(() => {
+    if (activeEnvironmentId) {
+      localStorage.setItem("activeEnvironmentId", activeEnvironmentId);
+    } else {
+      localStorage.removeItem("activeEnvironmentId");
+    }
+  }, [activeEnvironmentId]);
+
+  const activeEnvironment = environments.find(env => env.id === activeEnvironmentId) || null;
+  const activeVariables = variablesToMap(activeEnvironment?.variables);
+  const suites = [...new Set(testCases.map(tc => normalizeFolder(tc.folder)).filter(Boolean))].sort();
+
   useEffect(() => {
     const handleStorage = event => {
       if (event.key !== "testCases") return;
@@ -63,6 +195,132 @@ export default function App() {
     });
   };
 
+  const updateTestCase = testCase => {
+    setTestCases(prev => prev.map(tc => tc.id === testCase.id ? testCase : tc));
+    setEditingCase(null);
+  };
+
+  const editTestCase = id => {
+    const target = testCases.find(tc => tc.id === id);
+    if (target) setEditingCase(target);
+  };
+
+  const duplicateTestCase = id => {
+    setTestCases(prev => {
+      const index = prev.findIndex(tc => tc.id === id);
+      if (index === -1) return prev;
+      const { lastRun, ...source } = prev[index];
+      const copy = {
+        ...JSON.parse(JSON.stringify(source)),
+        id: uuidv4(),
+        caseName: `${source.caseName || "Untitled"} (copy)`
+      };
+      return [...prev.slice(0, index + 1), copy, ...prev.slice(index + 1)];
+    });
+  };
+
+  const deleteTestCase = id => {
+    const index = testCases.findIndex(tc => tc.id === id);
+    if (index === -1) return;
+    setDeletedCase({ testCase: testCases[index], index });
+    setTestCases(prev => prev.filter(tc => tc.id !== id));
+    setEditingCase(prev => prev?.id === id ? null : prev);
+  };
+
+  const undoDelete = () => {
+    if (!deletedCase) return;
+    const { testCase, index } = deletedCase;
+    setTestCases(prev => prev.some(tc => tc.id === testCase.id)
+      ? prev
+      : [...prev.slice(0, index), testCase, ...prev.slice(index)]);
+    setDeletedCase(null);
+  };
+
+  // Moves a case to the position of another, joining its suite, or with `{ folder }` to the end of
+  // that folder ("" for the top level); the list numbers and runs cases in folder tree order.
+  const moveTestCase = (sourceId, target) => {
+    if (!sourceId || sourceId === target) return;
+    setTestCases(prev => {
+      const from = prev.findIndex(tc => tc.id === sourceId);
+      if (from === -1) return prev;
+      const next = [...prev];
+      const [moved] = next.splice(from, 1);
+      if (typeof target === "object" && target) {
+        const folder = normalizeFolder(target.folder);
+        const last = next.map(tc => normalizeFolder(tc.folder)).lastIndexOf(folder);
+        next.splice(last === -1 ? next.length : last + 1, 0, { ...moved, folder });
+        return next;
+      }
+      const to = prev.findIndex(tc => tc.id === target);
+      if (to === -1) return prev;
+      next.splice(to, 0, { ...moved, folder: prev[to].folder || "" });
+      return next;
+    });
+  };
+
+  useEffect(() => {
+    if (!deletedCase) return undefined;
+    const timer = setTimeout(() => setDeletedCase(null), 10000);
+    return () => clearTimeout(timer);
+  }, [deletedCase]);
+
+  const importTestCases = imported => {
+    setTestCases(prev => [...prev, ...imported.map(tc => ({ ...tc, id: tc.id || uuidv4() }))]);
+  };
+
+  const addEnvironment = (name, variables) => {
+    const environment = createEnvironment(name, variables);
+    setEnvironments(prev => [...prev, environment]);
+    setActiveEnvironmentId(environment.id);
+  };
+
+  const updateEnvironment = (id, patch) => {
+    setEnvironments(prev => prev.map(env => env.id === id ? { ...env, ...patch } : env));
+  };
+
+  const deleteEnvironment = id => {
+    setEnvironments(prev => prev.filter(env => env.id !== id));
+    setActiveEnvironmentId(prev => prev === id ? null : prev);
+  };
+
+  const exportCollection = () => {
+    const collection = buildCollection({
+      testCases,
+      environments,
+      serialSuites,
+      settings: {
+        concurrency,
+        retryPolicy: normalizeRetryPolicy(retryPolicy),
+        mockMode,
+        activeEnvironmentId: activeEnvironment?.id || null
+      }
+    });
+    const blob = new Blob([JSON.stringify(collection, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `chibaka-collection-${collection.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Applies a parsed collection file and returns the merge summary for the panel to show.
+  const importCollection = (collection, options) => {
+    const next = applyCollection({ testCases, environments, serialSuites }, collection, options);
+    setTestCases(next.testCases);
+    setEnvironments(next.environments);
+    setSerialSuites(next.serialSuites);
+    if (options.mode === "replace") {
+      setConcurrency(next.settings.concurrency);
+      setRetryPolicy(next.settings.retryPolicy || DEFAULT_RETRY_POLICY);
+      setMockMode(next.settings.mockMode);
+      setActiveEnvironmentId(next.settings.activeEnvironmentId || next.environments[0]?.id || null);
+      setEditingCase(null);
+      setDeletedCase(null);
+    }
+    return next.summary;
+  };
+
   const createReportWindow = html => {
     if (typeof window === "undefined") return null;
     const win = window.open("", "_blank", "noopener");
@@ -119,70 +377,104 @@ export default function App() {
     openAllurePreview(allurePreview.html);
   };
 
-  const runAllTestCases = async () => {
-    if (!testCases.length || isRunning) return;
+  // `scope` names a partial run (a suite or a selection) in the summary and report header.
+  const runTestCases = async (casesToRun, { scope = null } = {}) => {
+    if (!casesToRun.length || isRunning) return;
 
+    const controller = new AbortController();
+    runController.current = controller;
+    const total = expandIterations(casesToRun).length;
+    // Every saved case can answer for the ones being run, e.g. a login case outside the suite.
+    const mocked = mockMode;
     setIsRunning(true);
+    setRunProgress({ completed: 0, total });
     setPreviewNotice(null);
 
     const loadingWindow = createReportWindow(buildLoadingHtml());
 
     try {
-      const results = [];
-      for (const testCase of testCases) {
-        try {
-          const result = await runTestCase(testCase);
-          results.push(result);
-        } catch (error) {
-          results.push({
-            caseId: testCase.id,
-            caseName: testCase.caseName,
-            ok: false,
-            status: null,
-            statusText: "Request Failed",
-            timeMs: 0,
-            expectedStatus: null,
-            executedAt: new Date().toISOString(),
-            warning: null,
-            error: error.message || "Unexpected error"
-          });
-        }
-      }
+      const { results, captures, stopped, wallTimeMs, totalRequestMs } = await runTestSuite(casesToRun, {
+        variables: activeVariables,
+        concurrency,
+        serialFolders: serialSuites,
+        retryPolicy: normalizeRetryPolicy(retryPolicy),
+        signal: controller.signal,
+        mocks: mocked ? testCases : undefined,
+        onResult: (result, index, completed) => setRunProgress({ completed, total })
+      });
 
       setTestCases(prev => prev.map(tc => {
-        const match = results.find(res => res.caseId === tc.id);
-        if (!match) return tc;
-        return {
-          ...tc,
-          lastRun: {
-            ok: match.ok,
-            status: match.status,
-            statusText: match.statusText,
-            timeMs: match.timeMs,
-            executedAt: match.executedAt,
-            expectedStatus: match.expectedStatus,
-            warning: match.warning || null,
-            error: match.error || null
-          }
-        };
+        const matches = results.filter(res => res.caseId === tc.id);
+        if (!matches.length) return tc;
+        return { ...tc, lastRun: summarizeLastRun(matches) };
       }));
 
       const summaryExecutedAt = new Date().toISOString();
+      const environmentName = activeEnvironment?.name || null;
       setLastRunSummary({
         executedAt: summaryExecutedAt,
-        results
+        environmentName,
+        scope,
+        stopped,
+        mocked,
+        concurrency,
+        wallTimeMs,
+        totalRequestMs,
+        results,
+        captures: captures.map(capture => ({
+          variable: capture.variable,
+          caseName: capture.caseName,
+          secret: capture.secret,
+          value: displayCaptureValue(capture)
+        }))
       });
 
-      const html = generateAllureHtml(testCases, results, { executedAt: summaryExecutedAt });
+      const html = generateAllureHtml(casesToRun, results, {
+        executedAt: summaryExecutedAt,
+        environmentName,
+        scope,
+        stopped,
+        mocked,
+        wallTimeMs,
+        concurrency
+      });
       setAllurePreview({ html, generatedAt: summaryExecutedAt });
 
+      saveRun(createRunRecord({
+        testCases: casesToRun,
+        results,
+        executedAt: summaryExecutedAt,
+        environmentName,
+        scope,
+        stopped,
+        mocked,
+        concurrency,
+        wallTimeMs,
+        totalRequestMs
+      }), historyRetention)
+        .then(runs => {
+          setRunHistory(runs);
+          setHistoryError(null);
+        })
+        .catch(error => setHistoryError(`This run could not be saved to history: ${error.message}`));
+
       if (loadingWindow) {
         updateReportWindow(loadingWindow, html);
       } else if (!openAllurePreview(html)) {
         setPreviewNotice("Your browser blocked the report popup. Use 'Open last report' after enabling pop-ups.");
       }
 
-      const xml = generateJUnitReport(testCases, results);
+      const xml = generateJUnitReport(casesToRun, results, {
+        executedAt: summaryExecutedAt,
+        wallTimeMs,
+        environmentName,
+        baseUrl: activeVariables.baseUrl,
+        scope,
+        stopped,
+        mocked,
+        concurrency,
+        retryPolicy: normalizeRetryPolicy(retryPolicy)
+      });
       const blob = new Blob([xml], { type: "text/xml" });
       const xmlUrl = URL.createObjectURL(blob);
       const link = document.createElement("a");
@@ -192,7 +484,15 @@ export default function App() {
       URL.revokeObjectURL(xmlUrl);
 
       try {
-        const allureArchive = await generateAllureArchive(testCases, results);
+        const allureArchive = await generateAllureArchive(casesToRun, results, {
+          environmentName,
+          baseUrl: activeVariables.baseUrl,
+          scope,
+          stopped,
+          mocked,
+          concurrency,
+          retryPolicy: normalizeRetryPolicy(retryPolicy)
+        });
         const allureUrl = URL.createObjectURL(allureArchive);
         const allureLink = document.createElement("a");
         allureLink.href = allureUrl;
@@ -204,10 +504,73 @@ export default function App() {
         setPreviewNotice(prev => prev || "Allure ZIP could not be generated. Report preview is still available.");
       }
     } finally {
+      runController.current = null;
       setIsRunning(false);
+      setRunProgress(null);
     }
   };
 
+  // Cancels in-flight requests; the run still finishes with the remaining cases marked skipped.
+  const stopRun = () => {
+    runController.current?.abort();
+  };
+
+  const openHistoricalRun = run => {
+    openAllurePreview(generateAllureHtml(run.testCases, run.results, {
+      executedAt: run.executedAt,
+      environmentName: run.environmentName,
+      scope: run.scope,
+      stopped: run.stopped,
+      mocked: run.mocked,
+      wallTimeMs: run.wallTimeMs ?? undefined,
+      concurrency: run.concurrency
+    }));
+  };
+
+  const removeHistoricalRun = id => {
+    deleteRun(id)
+      .then(() => setRunHistory(prev => prev.filter(run => run.id !== id)))
+      .catch(error => setHistoryError(`The run could not be deleted: ${error.message}`));
+  };
+
+  const clearHistory = () => {
+    if (!window.confirm("Delete every stored run?")) return;
+    clearRunHistory()
+      .then(() => setRunHistory([]))
+      .catch(error => setHistoryError(`History could not be cleared: ${error.message}`));
+  };
+
+  const toggleSerialSuite = folder => {
+    setSerialSuites(prev => prev.includes(folder) ? prev.filter(existing => existing !== folder) : [...prev, folder]);
+  };
+
+  // Real responses of the last run, one per case (a dataset case keeps its first row's).
+  const recordableResponses = new Map();
+  (lastRunSummary?.results || []).forEach(result => {
+    if (!result?.exchange?.response || result.mocked || recordableResponses.has(result.caseId)) return;
+    recordableResponses.set(result.caseId, { ...result.exchange.response, timeMs: result.timeMs });
+  });
+
+  const recordMocks = () => {
+    const replaced = testCases.filter(tc => hasMock(tc) && recordableResponses.has(tc.id)).length;
+    if (replaced && !window.confirm(`Replace the existing mock of ${replaced} case${replaced === 1 ? "" : "s"}?`)) return;
+    setTestCases(prev => prev.map(tc => recordableResponses.has(tc.id)
+      ? { ...tc, mock: mockFromResponse(recordableResponses.get(tc.id)) }
+      : tc));
+  };
+
+  const runAllTestCases = () => runTestCases(testCases);
+
+  const runSuite = folder => runTestCases(
+    testCases.filter(tc => isInFolder(tc, folder)),
+    { scope: `Suite ${splitFolderPath(folder).join(" / ")}` }
+  );
+
+  const runSelected = ids => {
+    const selected = testCases.filter(tc => ids.includes(tc.id));
+    runTestCases(selected, { scope: `${selected.length} selected case${selected.length === 1 ? "" : "s"}` });
+  };
+
   return (
     <div className="app-shell">
       <div className="app-shell__inner">
@@ -218,15 +581,68 @@ export default function App() {
           </p>
         </header>
         <main className="app-shell__main">
-          <RequestForm onSaveTestCase={addTestCase} />
+          <EnvironmentPanel
+            environments={environments}
+            activeEnvironmentId={activeEnvironment?.id || null}
+            onSelectEnvironment={setActiveEnvironmentId}
+            onAddEnvironment={addEnvironment}
+            onUpdateEnvironment={updateEnvironment}
+            onDeleteEnvironment={deleteEnvironment}
+          />
+          <CollectionPanel
+            testCases={testCases}
+            environments={environments}
+            onExport={exportCollection}
+            onImport={importCollection}
+          />
+          <ImportPanel onImportTestCases={importTestCases} onAddTestCase={addTestCase} onAddEnvironment={addEnvironment} />
+          <RequestForm
+            onSaveTestCase={addTestCase}
+            onUpdateTestCase={updateTestCase}
+            onCancelEdit={() => setEditingCase(null)}
+            editingCase={editingCase}
+            variables={activeVariables}
+            suites={suites}
+          />
           <TestCaseList
             testCases={testCases}
             onRunAll={runAllTestCases}
+            onStopRun={stopRun}
             isRunning={isRunning}
             lastRunSummary={lastRunSummary}
             reportAvailable={Boolean(allurePreview)}
             onOpenReport={handleOpenReport}
             previewNotice={previewNotice}
+            variables={activeVariables}
+            editingCaseId={editingCase?.id || null}
+            onEditTestCase={editTestCase}
+            onDuplicateTestCase={duplicateTestCase}
+            onDeleteTestCase={deleteTestCase}
+            onMoveTestCase={moveTestCase}
+            onRunSuite={runSuite}
+            onRunSelected={runSelected}
+            runProgress={runProgress}
+            concurrency={concurrency}
+            onConcurrencyChange={setConcurrency}
+            serialSuites={serialSuites}
+            onToggleSerialSuite={toggleSerialSuite}
+            retryPolicy={retryPolicy}
+            onRetryPolicyChange={setRetryPolicy}
+            mockMode={mockMode}
+            onMockModeChange={setMockMode}
+            recordableMocks={recordableResponses.size}
+            onRecordMocks={recordMocks}
+            deletedCase={deletedCase?.testCase || null}
+            onUndoDelete={undoDelete}
+          />
+          <HistoryPanel
+            runs={runHistory}
+            error={historyError}
+            retention={historyRetention}
+            onRetentionChange={retention => setHistoryRetention(normalizeRetention(retention))}
+            onOpenRun={openHistoricalRun}
+            onDeleteRun={removeHistoricalRun}
+            onClearHistory={clearHistory}
           />
         </main>
       </div>
@@ -1,8 +1,9 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('renders the app shell', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText(/API Automation Tool/i)).toBeInTheDocument();
+  // jsdom has no IndexedDB, so run history loads into its error state.
+  expect(await screen.findByText(/Run history is unavailable/i)).toBeInTheDocument();
 });
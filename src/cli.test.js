@@ -0,0 +1,87 @@
+/**
+ * @jest-environment node
+ */
+import { execFile } from "child_process";
+import http from "http";
+import { mkdtemp, readFile, readdir, rm, writeFile } from "fs/promises";
+import os from "os";
+import path from "path";
+
+const CLI = path.resolve(__dirname, "../bin/chibaka.js");
+
+const runCli = args => new Promise(resolve => {
+  execFile(process.execPath, [CLI, ...args], { timeout: 60000 }, (error, stdout, stderr) => {
+    resolve({ code: error ? error.code : 0, stdout, stderr });
+  });
+});
+
+const testCase = (id, folder) => ({
+  id,
+  caseName: `Case ${id}`,
+  folder,
+  method: "GET",
+  url: `{{baseUrl}}/${id}`,
+  expectedStatus: 200
+});
+
+describe("chibaka CLI", () => {
+  let dir;
+  let server;
+
+  beforeAll(async () => {
+    // /a passes, anything else answers 500.
+    server = http.createServer((request, response) => {
+      response.writeHead(request.url === "/a" ? 200 : 500, { "Content-Type": "application/json" });
+      response.end("{}");
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    dir = await mkdtemp(path.join(os.tmpdir(), "chibaka-cli-"));
+    await writeFile(path.join(dir, "collection.json"), JSON.stringify({
+      testCases: [testCase("a", "Users"), testCase("b", "Orders")],
+      environments: [{ id: "qa", name: "QA", variables: [{ key: "baseUrl", value: `http://127.0.0.1:${server.address().port}` }] }]
+    }));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("runs a collection, writes reports and exits 1 on failures", async () => {
+    const out = path.join(dir, "reports");
+    const { code, stdout } = await runCli(["run", path.join(dir, "collection.json"), "--env", "qa", "--reporter", "junit,allure", "--out", out]);
+    expect(code).toBe(1);
+    expect(stdout).toContain("Running 2 case(s) against QA");
+    expect(stdout).toContain("1 passed, 1 failed");
+
+    const junit = await readFile(path.join(out, "junit.xml"), "utf8");
+    expect(junit).toContain('tests="2" failures="1"');
+    expect(junit).toContain('<property name="Environment" value="QA"/>');
+    expect(await readdir(path.join(out, "allure-results"))).toEqual(expect.arrayContaining(["environment.properties", "executor.json"]));
+  }, 60000);
+
+  it("exits 0 when the selected suite passes", async () => {
+    const out = path.join(dir, "suite");
+    const { code, stdout } = await runCli(["run", path.join(dir, "collection.json"), "--env", "qa", "--suite", "Users", "--out", out]);
+    expect(code).toBe(0);
+    expect(stdout).toContain("1 passed, 0 failed");
+  }, 60000);
+
+  it("answers requests from the cases' mock responses with --mock", async () => {
+    const collection = path.join(dir, "mocked.json");
+    await writeFile(collection, JSON.stringify([
+      { ...testCase("a", "Users"), url: "https://api.test/a", mock: { status: 200, body: "{}" } },
+      { ...testCase("b", "Orders"), url: "https://api.test/b", mock: { status: 500, body: "{}" } }
+    ]));
+    const { code, stdout } = await runCli(["run", collection, "--mock", "--out", path.join(dir, "mocked")]);
+    expect(code).toBe(1);
+    expect(stdout).toContain("Running 2 case(s) against mocks");
+    expect(stdout).toContain("1 passed, 1 failed");
+  }, 60000);
+
+  it("exits 2 on usage errors", async () => {
+    const { code, stderr } = await runCli(["run", path.join(dir, "missing.json")]);
+    expect(code).toBe(2);
+    expect(stderr).toContain("Cannot read");
+  }, 60000);
+});
@@ -0,0 +1,140 @@
+import React, { useRef, useState } from "react";
+import "./CollectionPanel.css";
+import { COLLECTION_SCHEMA_VERSION, CONFLICT_STRATEGIES, findConflicts, parseCollection } from "../utils/collection";
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+const describeCounts = counts => [
+  counts.added ? `${counts.added} added` : null,
+  counts.replaced ? `${counts.replaced} overwritten` : null,
+  counts.copied ? `${counts.copied} copied` : null,
+  counts.kept ? `${counts.kept} kept as they were` : null,
+  counts.unchanged ? `${counts.unchanged} unchanged` : null
+].filter(Boolean).join(", ") || "nothing new";
+
+export default function CollectionPanel({ testCases = [], environments = [], onExport, onImport }) {
+  const inputRef = useRef(null);
+  const [preview, setPreview] = useState(null);
+  const [mode, setMode] = useState("merge");
+  const [onConflict, setOnConflict] = useState("keep");
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const reset = () => {
+    setPreview(null);
+    setError(null);
+    setMode("merge");
+    setOnConflict("keep");
+    if (inputRef.current) inputRef.current.value = "";
+  };
+
+  const handleFile = async e => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setError(null);
+    setNotice(null);
+    setPreview(null);
+    try {
+      setPreview({ collection: parseCollection(await file.text()), fileName: file.name });
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const conflicts = preview ? findConflicts({ testCases, environments }, preview.collection) : null;
+  const conflictCount = conflicts ? conflicts.testCases.length + conflicts.environments.length : 0;
+
+  const handleConfirm = () => {
+    if (!preview) return;
+    const summary = onImport(preview.collection, { mode, onConflict });
+    setNotice(mode === "replace"
+      ? `Replaced the collection with ${preview.fileName}.`
+      : `Imported ${preview.fileName}. Cases: ${describeCounts(summary.testCases)}. Environments: ${describeCounts(summary.environments)}.`);
+    reset();
+  };
+
+  return (
+    <section className="collection-panel">
+      <div className="collection-panel__header">
+        <h3 className="collection-panel__title">Collection</h3>
+        <div className="collection-panel__actions">
+          <button type="button" className="btn btn--ghost" onClick={onExport} disabled={!testCases.length && !environments.length}>
+            Export Collection
+          </button>
+          <label className="btn btn--ghost collection-panel__file">
+            Import Collection
+            <input ref={inputRef} type="file" accept=".json,application/json" onChange={handleFile} hidden />
+          </label>
+        </div>
+      </div>
+
+      <div className="collection-panel__hint">
+        Cases, suites, environments and run settings in one JSON file (schema version {COLLECTION_SCHEMA_VERSION}). Exports include stored credentials.
+      </div>
+
+      {error && <div className="collection-panel__error">{error}</div>}
+      {notice && <div className="collection-panel__notice">{notice}</div>}
+
+      {preview && (
+        <div className="collection-panel__preview">
+          <div className="collection-panel__summary">
+            <strong>{preview.fileName}</strong> — {plural(preview.collection.testCases.length, "test case")},{" "}
+            {plural(preview.collection.suites.length, "suite")}, {plural(preview.collection.environments.length, "environment")}
+            {preview.collection.sourceVersion < COLLECTION_SCHEMA_VERSION &&
+              ` · upgraded from ${preview.collection.sourceVersion ? `schema version ${preview.collection.sourceVersion}` : "an unversioned file"}`}
+          </div>
+
+          <div className="collection-panel__modes">
+            <label className="collection-panel__radio">
+              <input type="radio" name="collection-mode" value="merge" checked={mode === "merge"} onChange={() => setMode("merge")} />
+              Merge into the current collection
+            </label>
+            <label className="collection-panel__radio">
+              <input type="radio" name="collection-mode" value="replace" checked={mode === "replace"} onChange={() => setMode("replace")} />
+              Replace everything
+            </label>
+          </div>
+
+          {mode === "replace" && (
+            <div className="collection-panel__warning">
+              Removes the {plural(testCases.length, "saved case")} and {plural(environments.length, "environment")} in this browser
+              and applies the file's run settings.
+            </div>
+          )}
+
+          {mode === "merge" && conflictCount > 0 && (
+            <div className="collection-panel__conflicts">
+              <div className="collection-panel__conflicts-title">
+                {plural(conflictCount, "entry")} already exist with different content
+              </div>
+              <ul>
+                {conflicts.testCases.map(conflict => (
+                  <li key={conflict.id}>
+                    Case <strong>{conflict.existing.caseName || "Untitled"}</strong>
+                    {conflict.incoming.caseName !== conflict.existing.caseName && ` → ${conflict.incoming.caseName || "Untitled"}`}
+                  </li>
+                ))}
+                {conflicts.environments.map(conflict => (
+                  <li key={conflict.id}>
+                    Environment <strong>{conflict.existing.name}</strong>
+                    {conflict.incoming.name !== conflict.existing.name && ` → ${conflict.incoming.name}`}
+                  </li>
+                ))}
+              </ul>
+              <select className="field" value={onConflict} onChange={e => setOnConflict(e.target.value)}>
+                {CONFLICT_STRATEGIES.map(strategy => <option key={strategy.value} value={strategy.value}>{strategy.label}</option>)}
+              </select>
+            </div>
+          )}
+
+          <div className="collection-panel__actions collection-panel__actions--end">
+            <button type="button" className="btn btn--ghost" onClick={reset}>Cancel</button>
+            <button type="button" className="btn btn--primary" onClick={handleConfirm}>
+              {mode === "replace" ? "Replace Collection" : "Merge Collection"}
+            </button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,90 @@
+import React, { useState } from "react";
+import "./EnvironmentPanel.css";
+
+export default function EnvironmentPanel({
+  environments,
+  activeEnvironmentId,
+  onSelectEnvironment,
+  onAddEnvironment,
+  onUpdateEnvironment,
+  onDeleteEnvironment
+}) {
+  const [newName, setNewName] = useState("");
+  const active = environments.find(env => env.id === activeEnvironmentId) || null;
+
+  const updateVariables = updater => {
+    if (!active) return;
+    onUpdateEnvironment(active.id, { variables: updater(active.variables || []) });
+  };
+
+  const handleVariableChange = (idx, field, value) => {
+    updateVariables(vars => vars.map((v, i) => i === idx ? { ...v, [field]: value } : v));
+  };
+  const addVariable = () => updateVariables(vars => [...vars, { key: "", value: "" }]);
+  const removeVariable = idx => updateVariables(vars => vars.filter((_, i) => i !== idx));
+
+  const handleAdd = () => {
+    const name = newName.trim();
+    if (!name) return;
+    onAddEnvironment(name);
+    setNewName("");
+  };
+
+  return (
+    <section className="environment-panel">
+      <div className="environment-panel__header">
+        <h3 className="environment-panel__title">Environment</h3>
+        <select
+          className="field environment-panel__select"
+          value={activeEnvironmentId || ""}
+          onChange={e => onSelectEnvironment(e.target.value || null)}
+        >
+          <option value="">No environment</option>
+          {environments.map(env => (
+            <option key={env.id} value={env.id}>{env.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {active ? (
+        <div className="environment-panel__body">
+          <div className="environment-panel__rename">
+            <input
+              className="field"
+              value={active.name}
+              placeholder="Environment name"
+              onChange={e => onUpdateEnvironment(active.id, { name: e.target.value })}
+            />
+            <button type="button" className="btn btn--ghost environment-panel__delete" onClick={() => onDeleteEnvironment(active.id)}>
+              Delete
+            </button>
+          </div>
+          <div className="environment-panel__hint">
+            Reference variables as <code>{"{{name}}"}</code> in the URL, headers, authorization and body.
+          </div>
+          {(active.variables || []).map((v, i) => (
+            <div key={i} className="environment-panel__row">
+              <input className="field" placeholder="Variable" value={v.key} onChange={e => handleVariableChange(i, "key", e.target.value)} />
+              <input className="field" placeholder="Value" value={v.value} onChange={e => handleVariableChange(i, "value", e.target.value)} />
+              <button type="button" className="environment-panel__icon-button" onClick={() => removeVariable(i)}>✖</button>
+            </div>
+          ))}
+          <button type="button" className="btn btn--ghost environment-panel__add" onClick={addVariable}>+ Add Variable</button>
+        </div>
+      ) : (
+        <div className="environment-panel__empty">Requests are sent exactly as entered; placeholders stay unresolved.</div>
+      )}
+
+      <div className="environment-panel__new">
+        <input
+          className="field"
+          placeholder="New environment name"
+          value={newName}
+          onChange={e => setNewName(e.target.value)}
+          onKeyDown={e => { if (e.key === "Enter") { e.preventDefault(); handleAdd(); } }}
+        />
+        <button type="button" className="btn btn--ghost" onClick={handleAdd} disabled={!newName.trim()}>Add Environment</button>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,166 @@
+import React, { useMemo, useState } from "react";
+import "./HistoryPanel.css";
+import { buildCaseTrends } from "../utils/runHistory";
+
+const SPARK_WIDTH = 120;
+const SPARK_HEIGHT = 28;
+// Sparklines only show the most recent points so old runs do not squash the line.
+const MAX_POINTS = 30;
+
+const formatTimestamp = iso => {
+  if (!iso) return "-";
+  try {
+    return new Date(iso).toLocaleString();
+  } catch {
+    return iso;
+  }
+};
+
+const formatDuration = ms => {
+  if (!Number.isFinite(ms)) return "-";
+  return ms >= 1000 ? `${(ms / 1000).toFixed(2)} s` : `${ms} ms`;
+};
+
+function OutcomeSparkline({ points }) {
+  const recent = points.slice(-MAX_POINTS);
+  const barWidth = SPARK_WIDTH / MAX_POINTS;
+  return (
+    <svg className="history-panel__spark" width={SPARK_WIDTH} height={SPARK_HEIGHT} role="img" aria-label="Pass and fail history">
+      {recent.map((point, index) => (
+        <rect
+          key={index}
+          x={index * barWidth}
+          y={point.ok ? 2 : SPARK_HEIGHT / 2}
+          width={Math.max(1, barWidth - 1)}
+          height={point.ok ? SPARK_HEIGHT - 4 : SPARK_HEIGHT / 2 - 2}
+          className={point.ok ? "history-panel__bar--passed" : point.skipped ? "history-panel__bar--skipped" : "history-panel__bar--failed"}
+        >
+          <title>{`${formatTimestamp(point.executedAt)} · ${point.ok ? "passed" : point.skipped ? "skipped" : "failed"}`}</title>
+        </rect>
+      ))}
+    </svg>
+  );
+}
+
+function DurationSparkline({ points }) {
+  const recent = points.filter(point => !point.skipped).slice(-MAX_POINTS);
+  if (recent.length < 2) return <span className="history-panel__muted">—</span>;
+  const max = Math.max(...recent.map(point => point.timeMs), 1);
+  const step = SPARK_WIDTH / (recent.length - 1);
+  const coordinates = recent
+    .map((point, index) => `${(index * step).toFixed(1)},${(SPARK_HEIGHT - 2 - (point.timeMs / max) * (SPARK_HEIGHT - 4)).toFixed(1)}`)
+    .join(" ");
+  return (
+    <svg className="history-panel__spark" width={SPARK_WIDTH} height={SPARK_HEIGHT} role="img" aria-label="Response time trend">
+      <polyline points={coordinates} className="history-panel__line" />
+      <title>{`Latest ${formatDuration(recent[recent.length - 1].timeMs)} · max ${formatDuration(max)}`}</title>
+    </svg>
+  );
+}
+
+export default function HistoryPanel({
+  runs = [],
+  error = null,
+  retention,
+  onRetentionChange,
+  onOpenRun,
+  onDeleteRun,
+  onClearHistory
+}) {
+  const [view, setView] = useState("runs");
+  const trends = useMemo(() => buildCaseTrends(runs), [runs]);
+
+  const updateRetention = (field, value) => {
+    onRetentionChange({ ...retention, [field]: Math.max(0, Math.floor(Number(value) || 0)) });
+  };
+
+  return (
+    <section className="history-panel">
+      <div className="history-panel__header">
+        <h3 className="history-panel__title">History</h3>
+        <div className="history-panel__tabs">
+          <button type="button" className={`btn btn--ghost${view === "runs" ? " history-panel__tab--active" : ""}`} onClick={() => setView("runs")}>
+            Runs ({runs.length})
+          </button>
+          <button type="button" className={`btn btn--ghost${view === "trends" ? " history-panel__tab--active" : ""}`} onClick={() => setView("trends")}>
+            Case Trends
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="history-panel__error">{error}</div>}
+
+      {view === "runs" && (runs.length ? (
+        <ul className="history-panel__runs">
+          {runs.map(run => (
+            <li key={run.id} className="history-panel__run">
+              <div className="history-panel__run-main">
+                <span className="history-panel__run-date">{formatTimestamp(run.executedAt)}</span>
+                <span className="history-panel__muted">
+                  {[run.scope || "All cases", run.environmentName, run.mocked ? "Mock responses" : null, run.stopped ? "Stopped early" : null].filter(Boolean).join(" · ")}
+                </span>
+              </div>
+              <div className="history-panel__counts">
+                <span className="history-panel__count--passed">{run.summary.passed} passed</span>
+                {run.summary.failed > 0 && <span className="history-panel__count--failed">{run.summary.failed} failed</span>}
+                {run.summary.skipped > 0 && <span className="history-panel__muted">{run.summary.skipped} skipped</span>}
+                <span className="history-panel__muted">{formatDuration(run.wallTimeMs)}</span>
+              </div>
+              <div className="history-panel__run-actions">
+                <button type="button" className="btn btn--ghost" onClick={() => onOpenRun(run)}>Open Report</button>
+                <button type="button" className="history-panel__link-button" onClick={() => onDeleteRun(run.id)}>Delete</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="history-panel__empty">Finished runs are stored in this browser and listed here.</div>
+      ))}
+
+      {view === "trends" && (trends.length ? (
+        <table className="history-panel__trends">
+          <thead>
+            <tr>
+              <th>Case</th>
+              <th>Pass rate</th>
+              <th>Outcomes</th>
+              <th>Duration</th>
+            </tr>
+          </thead>
+          <tbody>
+            {trends.map(trend => (
+              <tr key={trend.caseId}>
+                <td>{trend.caseName || "Unnamed case"}</td>
+                <td>
+                  {trend.passRate == null ? "—" : `${Math.round(trend.passRate * 100)}%`}
+                  <span className="history-panel__muted"> ({trend.passed}/{trend.runs})</span>
+                </td>
+                <td><OutcomeSparkline points={trend.points} /></td>
+                <td><DurationSparkline points={trend.points} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <div className="history-panel__empty">Trends appear once cases have been run.</div>
+      ))}
+
+      <div className="history-panel__retention">
+        <label>
+          Keep last
+          <input className="field" type="number" min="0" value={retention.maxRuns} onChange={e => updateRetention("maxRuns", e.target.value)} />
+          runs
+        </label>
+        <label>
+          and at most
+          <input className="field" type="number" min="0" value={retention.maxAgeDays} onChange={e => updateRetention("maxAgeDays", e.target.value)} />
+          days
+        </label>
+        <span className="history-panel__muted">0 means no limit. Limits apply when the next run is saved.</span>
+        {runs.length > 0 && (
+          <button type="button" className="history-panel__link-button" onClick={onClearHistory}>Clear history</button>
+        )}
+      </div>
+    </section>
+  );
+}
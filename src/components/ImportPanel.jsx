@@ -0,0 +1,161 @@
+import React, { useRef, useState } from "react";
+import "./ImportPanel.css";
+import { importPostmanCollection } from "../utils/postmanImport";
+import { generateTestCasesFromOpenApi, parseOpenApiText } from "../utils/openApiImport";
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+export default function ImportPanel({ onImportTestCases, onAddTestCase, onAddEnvironment }) {
+  const postmanInputRef = useRef(null);
+  const openApiInputRef = useRef(null);
+  const [preview, setPreview] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [error, setError] = useState(null);
+  const [createEnvironment, setCreateEnvironment] = useState(true);
+
+  const reset = () => {
+    setPreview(null);
+    setSelectedIds([]);
+    setError(null);
+    [postmanInputRef, openApiInputRef].forEach(ref => {
+      if (ref.current) ref.current.value = "";
+    });
+  };
+
+  const handlePostmanFile = async e => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setError(null);
+    setPreview(null);
+    try {
+      const parsed = JSON.parse(await file.text());
+      const result = importPostmanCollection(parsed);
+      setPreview({ kind: "postman", ...result, fileName: file.name });
+      setSelectedIds(result.testCases.map(tc => tc.id));
+      setCreateEnvironment(result.variables.length > 0);
+    } catch (err) {
+      setError(err instanceof SyntaxError ? `${file.name} is not valid JSON.` : err.message);
+    }
+  };
+
+  const handleOpenApiFile = async e => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setError(null);
+    setPreview(null);
+    try {
+      const result = generateTestCasesFromOpenApi(parseOpenApiText(await file.text()));
+      setPreview({
+        kind: "openapi",
+        name: result.version ? `${result.title} ${result.version}` : result.title,
+        testCases: result.testCases,
+        variables: [],
+        report: result.report,
+        fileName: file.name
+      });
+      setSelectedIds(result.testCases.map(tc => tc.id));
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const toggleSelected = id => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(existing => existing !== id) : [...prev, id]);
+  };
+
+  const toggleAll = () => {
+    if (!preview) return;
+    setSelectedIds(prev => prev.length === preview.testCases.length ? [] : preview.testCases.map(tc => tc.id));
+  };
+
+  const handleConfirm = () => {
+    if (!preview) return;
+    const selected = preview.testCases.filter(tc => selectedIds.includes(tc.id));
+    if (preview.kind === "openapi") {
+      selected.forEach(testCase => onAddTestCase(testCase));
+    } else {
+      onImportTestCases(selected);
+    }
+    if (createEnvironment && preview.variables.length) {
+      onAddEnvironment(preview.name, preview.variables);
+    }
+    reset();
+  };
+
+  const folders = preview ? new Set(preview.testCases.map(tc => tc.folder).filter(Boolean)).size : 0;
+  const selectedCount = selectedIds.length;
+
+  return (
+    <section className="import-panel">
+      <div className="import-panel__header">
+        <h3 className="import-panel__title">Import</h3>
+        <div className="import-panel__sources">
+          <label className="btn btn--ghost import-panel__file">
+            Postman Collection (v2.1)
+            <input ref={postmanInputRef} type="file" accept=".json,application/json" onChange={handlePostmanFile} hidden />
+          </label>
+          <label className="btn btn--ghost import-panel__file">
+            OpenAPI 3 (JSON/YAML)
+            <input ref={openApiInputRef} type="file" accept=".json,.yaml,.yml,application/json,application/yaml" onChange={handleOpenApiFile} hidden />
+          </label>
+        </div>
+      </div>
+
+      {error && <div className="import-panel__error">{error}</div>}
+
+      {preview && (
+        <div className="import-panel__preview">
+          <div className="import-panel__summary">
+            <strong>{preview.name}</strong> — {plural(preview.testCases.length, preview.kind === "openapi" ? "operation" : "request")}
+            {folders ? ` in ${plural(folders, preview.kind === "openapi" ? "tag" : "folder")}` : ""}
+            {preview.variables.length ? `, ${plural(preview.variables.length, "collection variable")}` : ""}
+          </div>
+
+          {preview.variables.length > 0 && (
+            <label className="import-panel__checkbox">
+              <input type="checkbox" checked={createEnvironment} onChange={e => setCreateEnvironment(e.target.checked)} />
+              Create environment "{preview.name}" from collection variables
+            </label>
+          )}
+
+          {preview.testCases.length > 0 && (
+            <div className="import-panel__cases">
+              <label className="import-panel__checkbox import-panel__select-all">
+                <input type="checkbox" checked={selectedCount === preview.testCases.length} onChange={toggleAll} />
+                Select all
+              </label>
+              {preview.testCases.map(tc => (
+                <label key={tc.id} className="import-panel__case">
+                  <input type="checkbox" checked={selectedIds.includes(tc.id)} onChange={() => toggleSelected(tc.id)} />
+                  <span className="import-panel__method">{tc.method}</span>
+                  <span className="import-panel__case-name">{tc.caseName}</span>
+                  <span className="import-panel__case-url">{tc.url}</span>
+                  {tc.expectedStatus != null && <span className="import-panel__tag">{tc.expectedStatus}</span>}
+                  {(tc.tags || []).map(tag => <span key={tag} className="import-panel__tag">{tag}</span>)}
+                </label>
+              ))}
+            </div>
+          )}
+
+          {preview.report.length > 0 && (
+            <div className="import-panel__report">
+              <div className="import-panel__report-title">Needs attention ({preview.report.length})</div>
+              <ul>
+                {preview.report.map((entry, i) => (
+                  <li key={i}><span className="import-panel__path">{entry.path}</span>: {entry.message}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="import-panel__actions">
+            <button type="button" className="btn btn--ghost" onClick={reset}>Cancel</button>
+            <button type="button" className="btn btn--primary" onClick={handleConfirm} disabled={!selectedCount}>
+              Add {plural(selectedCount, "Test Case")}
+            </button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
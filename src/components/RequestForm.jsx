@@ -1,10 +1,37 @@
-import React, { useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import axios from "axios";
 import { v4 as uuidv4 } from "uuid";
+import {
+  BODY_ASSERTION_OPERATORS,
+  HEADER_ASSERTION_OPERATORS,
+  evaluateBodyAssertions,
+  evaluateHeaderAssertions,
+  validateBodyAssertion,
+  validateHeaderAssertion
+} from "../utils/assertions.js";
+import { inferSchema, parseSchemaText, validateAgainstSchema } from "../utils/jsonSchema.js";
+import { DEFAULT_TIMEOUT_SECONDS } from "../utils/testRunner.js";
+import { findPlaceholders, resolveTemplate, resolveTestCase } from "../utils/environments.js";
+import { CAPTURE_SOURCES, displayCaptureValue, extractCaptures, looksSecret } from "../utils/captures.js";
+import { OAUTH_GRANT_TYPES, createTokenCache, fetchOAuthToken } from "../utils/oauth.js";
+import { DEFAULT_AUTH, KEY_VALUE_BODY_TYPES, normalizeFolder } from "../utils/testCases.js";
+import { parseCurlCommand } from "../utils/curl.js";
+import { DEFAULT_RETRY_POLICY, normalizeRetryPolicy } from "../utils/retry.js";
+import { DATASET_FORMATS, parseDataset } from "../utils/datasets.js";
+import { createMock, mockFromResponse, normalizeMock } from "../utils/mocks.js";
+import RetryPolicyFields from "./RetryPolicyFields";
 
 import "./RequestForm.css";
 
-export default function RequestForm({ onSaveTestCase }) {
+export default function RequestForm({
+  onSaveTestCase,
+  onUpdateTestCase,
+  onCancelEdit,
+  editingCase = null,
+  variables = {},
+  suites = []
+}) {
+  const formRef = useRef(null);
   const [method, setMethod] = useState("GET");
   const [url, setUrl] = useState("");
 
@@ -13,24 +40,44 @@ export default function RequestForm({ onSaveTestCase }) {
 
   // Authorization
   const [authType, setAuthType] = useState("None");
-  const [auth, setAuth] = useState({
-    token: "",
-    username: "",
-    password: "",
-    apiKey: "",
-    apiKeyLocation: "header",
-    apiKeyName: "x-api-key"
-  });
+  const [auth, setAuth] = useState({ ...DEFAULT_AUTH });
+  // Tokens fetched by Send are reused until they expire, like during a suite run.
+  const tokenCacheRef = useRef(createTokenCache());
 
   // Body
-  const [bodyType, setBodyType] = useState("raw"); // "raw" or "form-data"
+  const [bodyType, setBodyType] = useState("raw"); // "raw", "form-data" or "urlencoded"
   const [rawBody, setRawBody] = useState("{}");
   const [formData, setFormData] = useState([{ key: "", value: "" }]);
 
   // Test case save fields
   const [caseName, setCaseName] = useState("");
+  const [folder, setFolder] = useState("");
+  const [serial, setSerial] = useState(false);
+  // null means the case follows the run's retry policy.
+  const [retryPolicy, setRetryPolicy] = useState(null);
   const [expectedStatus, setExpectedStatus] = useState("200");
   const [maxResponseTime, setMaxResponseTime] = useState("5");
+  const [timeoutSeconds, setTimeoutSeconds] = useState(String(DEFAULT_TIMEOUT_SECONDS));
+  const [assertions, setAssertions] = useState([]);
+  const [headerAssertions, setHeaderAssertions] = useState([]);
+  const [schemaText, setSchemaText] = useState("");
+  const [captures, setCaptures] = useState([]);
+
+  // Scripts
+  const [preRequestScript, setPreRequestScript] = useState("");
+  const [testScript, setTestScript] = useState("");
+
+  // Dataset: one run iteration per row
+  const [datasetFormat, setDatasetFormat] = useState("csv");
+  const [datasetText, setDatasetText] = useState("");
+  const [datasetStatusColumn, setDatasetStatusColumn] = useState("");
+
+  // Mock response served in place of the real host when runs use mocks
+  const [mock, setMock] = useState(null);
+
+  // cURL import
+  const [curlText, setCurlText] = useState("");
+  const [showCurlImport, setShowCurlImport] = useState(false);
 
   // Response + loading
   const [loading, setLoading] = useState(false);
@@ -38,6 +85,51 @@ export default function RequestForm({ onSaveTestCase }) {
   const [formErrors, setFormErrors] = useState({});
   const [notice, setNotice] = useState(null);
 
+  // Loading a saved case replaces every field; the form then saves back to the same id.
+  useEffect(() => {
+    if (!editingCase) return;
+    setMethod(editingCase.method || "GET");
+    setUrl(editingCase.url || "");
+    setHeaders(editingCase.headers?.length ? editingCase.headers.map(h => ({ ...h })) : [{ key: "", value: "" }]);
+    setAuthType(editingCase.authType || "None");
+    setAuth({ ...DEFAULT_AUTH, ...(editingCase.auth || {}) });
+    setBodyType(editingCase.bodyType || "raw");
+    setRawBody(editingCase.rawBody ?? "");
+    setFormData(editingCase.formData?.length ? editingCase.formData.map(f => ({ ...f })) : [{ key: "", value: "" }]);
+    setCaseName(editingCase.caseName || "");
+    setFolder(editingCase.folder || "");
+    setSerial(Boolean(editingCase.serial));
+    setRetryPolicy(editingCase.retryPolicy ? { ...editingCase.retryPolicy } : null);
+    setExpectedStatus(editingCase.expectedStatus != null ? String(editingCase.expectedStatus) : "");
+    setMaxResponseTime(editingCase.maxResponseTime != null ? String(editingCase.maxResponseTime) : "");
+    setTimeoutSeconds(editingCase.timeoutSeconds != null ? String(editingCase.timeoutSeconds) : "");
+    setAssertions((editingCase.assertions || []).map(a => ({ ...a, expected: a.expected ?? "" })));
+    setHeaderAssertions((editingCase.headerAssertions || []).map(a => ({ ...a, expected: a.expected ?? "" })));
+    setSchemaText(editingCase.responseSchema ? JSON.stringify(editingCase.responseSchema, null, 2) : "");
+    setCaptures((editingCase.captures || []).map(c => ({ ...c, secretTouched: true })));
+    setPreRequestScript(editingCase.preRequestScript || "");
+    setTestScript(editingCase.testScript || "");
+    setDatasetFormat(editingCase.dataset?.format || "csv");
+    setDatasetText(editingCase.dataset?.source || "");
+    setDatasetStatusColumn(editingCase.dataset?.expectedStatusColumn || "");
+    setMock(editingCase.mock ? normalizeMock(editingCase.mock) : null);
+    setResponse(null);
+    setFormErrors({});
+    setNotice(null);
+    formRef.current?.scrollIntoView?.({ behavior: "smooth", block: "start" });
+  }, [editingCase]);
+
+  const dataset = (() => {
+    if (!datasetText.trim()) return null;
+    try {
+      return parseDataset(datasetText, datasetFormat);
+    } catch (error) {
+      return { error: error.message };
+    }
+  })();
+  // Send has no iterations, so it previews the case with the dataset's first row.
+  const requestVariables = dataset?.rows ? { ...variables, ...dataset.rows[0] } : variables;
+
   const clearError = field => {
     setFormErrors(prev => {
       if (!prev[field]) return prev;
@@ -48,13 +140,17 @@ export default function RequestForm({ onSaveTestCase }) {
   };
 
   const validateRequest = (options = {}) => {
-    const { requireCaseName = false } = options;
+    // Saved cases may reference variables captured by earlier cases, so only Send insists on a resolvable URL.
+    const { requireCaseName = false, allowPlaceholders = false } = options;
     const nextErrors = {};
-    const trimmedUrl = url.trim();
+    const trimmedUrl = resolveTemplate(url.trim(), requestVariables);
+    const unresolved = findPlaceholders(trimmedUrl);
 
     if (!trimmedUrl) {
       nextErrors.url = "URL is required.";
-    } else if (!/^https?:\/\//i.test(trimmedUrl)) {
+    } else if (unresolved.length && !allowPlaceholders) {
+      nextErrors.url = `URL uses variables missing from the active environment: ${unresolved.join(", ")}`;
+    } else if (!/^https?:\/\//i.test(trimmedUrl) && !(allowPlaceholders && trimmedUrl.startsWith("{{"))) {
       nextErrors.url = "URL must start with http:// or https://";
     }
 
@@ -71,6 +167,48 @@ export default function RequestForm({ onSaveTestCase }) {
       }
     }
 
+    if (timeoutSeconds) {
+      const numericTimeout = Number(timeoutSeconds);
+      if (Number.isNaN(numericTimeout) || numericTimeout <= 0) {
+        nextErrors.timeoutSeconds = "Hard timeout must be greater than zero.";
+      } else if (maxResponseTime && numericTimeout < Number(maxResponseTime)) {
+        nextErrors.timeoutSeconds = "Hard timeout must not be shorter than the max response time.";
+      }
+    }
+
+    const assertionErrors = assertions
+      .map((assertion, idx) => {
+        if (!assertion.path.trim()) return null;
+        const message = validateBodyAssertion(assertion);
+        return message ? `Assertion #${idx + 1}: ${message}` : null;
+      })
+      .filter(Boolean);
+    if (assertionErrors.length) {
+      nextErrors.assertions = assertionErrors.join(" ");
+    }
+
+    const headerAssertionErrors = headerAssertions
+      .map((assertion, idx) => {
+        if (!assertion.name.trim()) return null;
+        const message = validateHeaderAssertion(assertion);
+        return message ? `Header check #${idx + 1}: ${message}` : null;
+      })
+      .filter(Boolean);
+    if (headerAssertionErrors.length) {
+      nextErrors.headerAssertions = headerAssertionErrors.join(" ");
+    }
+
+    const { error: schemaError } = parseSchemaText(schemaText);
+    if (schemaError) {
+      nextErrors.responseSchema = schemaError;
+    }
+
+    if (dataset?.error) {
+      nextErrors.dataset = dataset.error;
+    } else if (dataset && datasetStatusColumn.trim() && !dataset.columns.includes(datasetStatusColumn.trim())) {
+      nextErrors.dataset = `The dataset has no "${datasetStatusColumn.trim()}" column.`;
+    }
+
     if (requireCaseName && !caseName.trim()) {
       nextErrors.caseName = "Case name is required.";
     }
@@ -80,35 +218,36 @@ export default function RequestForm({ onSaveTestCase }) {
     return Object.keys(nextErrors).length === 0;
   };
 
-  const buildBody = (mode = "request") => {
+  // `source` lets the Send path pass variable-resolved values; saving always keeps the raw templates.
+  const buildBody = (mode = "request", source = { rawBody, formData }) => {
     if (method === "GET") {
       return { body: undefined, warning: null, isFormData: false };
     }
 
     if (bodyType === "raw") {
-      const trimmed = rawBody.trim();
+      const trimmed = source.rawBody.trim();
       if (!trimmed) {
         return { body: undefined, warning: null, isFormData: false };
       }
 
       try {
-        return { body: JSON.parse(rawBody), warning: null, isFormData: false };
+        return { body: JSON.parse(source.rawBody), warning: null, isFormData: false };
       } catch {
         const warning = `Raw body is not valid JSON; ${mode === "request" ? "sending" : "saving"} as text.`;
-        return { body: rawBody, warning, isFormData: false };
+        return { body: source.rawBody, warning, isFormData: false };
       }
     }
 
     if (bodyType === "form-data") {
       if (mode === "storage") {
         const obj = {};
-        formData.forEach(f => { if (f.key) obj[f.key] = f.value; });
+        source.formData.forEach(f => { if (f.key) obj[f.key] = f.value; });
         return { body: obj, warning: null, isFormData: false };
       }
 
       const fd = new FormData();
       let hasEntries = false;
-      formData.forEach(({ key, value }) => {
+      source.formData.forEach(({ key, value }) => {
         if (key) {
           fd.append(key, value);
           hasEntries = true;
@@ -118,9 +257,41 @@ export default function RequestForm({ onSaveTestCase }) {
       return { body: hasEntries ? fd : undefined, warning: null, isFormData: true };
     }
 
+    if (bodyType === "urlencoded") {
+      const params = new URLSearchParams();
+      source.formData.forEach(({ key, value }) => { if (key) params.append(key, value); });
+      return { body: params.toString() || undefined, warning: null, isFormData: false, isUrlEncoded: true };
+    }
+
     return { body: undefined, warning: null, isFormData: false };
   };
 
+  // --- cURL import ---
+  const handleApplyCurl = () => {
+    let parsed;
+    try {
+      parsed = parseCurlCommand(curlText);
+    } catch (error) {
+      setNotice({ message: `Could not parse cURL: ${error.message}`, tone: "error" });
+      return;
+    }
+    const { fields, warnings } = parsed;
+    setMethod(fields.method);
+    setUrl(fields.url);
+    setHeaders(fields.headers.length ? fields.headers : [{ key: "", value: "" }]);
+    setAuthType(fields.authType);
+    setAuth({ ...DEFAULT_AUTH, ...fields.auth });
+    setBodyType(fields.bodyType);
+    setRawBody(fields.rawBody);
+    setFormData(fields.formData.length ? fields.formData : [{ key: "", value: "" }]);
+    setFormErrors({});
+    setCurlText("");
+    setShowCurlImport(false);
+    setNotice(warnings.length
+      ? { message: `cURL imported. ${warnings.join(" ")}`, tone: "warning" }
+      : { message: "cURL imported.", tone: "success" });
+  };
+
   // --- Headers ---
   const handleHeaderChange = (idx, field, value) => {
     setHeaders(prev => prev.map((h, i) => i === idx ? { ...h, [field]: value } : h));
@@ -135,19 +306,74 @@ export default function RequestForm({ onSaveTestCase }) {
   const addFormDataField = () => setFormData(prev => [...prev, { key: "", value: "" }]);
   const removeFormDataField = idx => setFormData(prev => prev.filter((_, i) => i !== idx));
 
+  // --- Body assertions ---
+  const handleAssertionChange = (idx, field, value) => {
+    setAssertions(prev => prev.map((a, i) => i === idx ? { ...a, [field]: value } : a));
+    clearError("assertions");
+  };
+  const addAssertion = () => setAssertions(prev => [...prev, { path: "", operator: "equals", expected: "" }]);
+  const removeAssertion = idx => {
+    setAssertions(prev => prev.filter((_, i) => i !== idx));
+    clearError("assertions");
+  };
+  const activeAssertions = () => assertions
+    .filter(a => a.path.trim())
+    .map(a => ({ path: a.path.trim(), operator: a.operator, expected: a.expected }));
+
+  // --- Header assertions ---
+  const handleHeaderAssertionChange = (idx, field, value) => {
+    setHeaderAssertions(prev => prev.map((a, i) => i === idx ? { ...a, [field]: value } : a));
+    clearError("headerAssertions");
+  };
+  const addHeaderAssertion = () => setHeaderAssertions(prev => [...prev, { name: "", operator: "present", expected: "" }]);
+  const removeHeaderAssertion = idx => {
+    setHeaderAssertions(prev => prev.filter((_, i) => i !== idx));
+    clearError("headerAssertions");
+  };
+  const activeHeaderAssertions = () => headerAssertions
+    .filter(a => a.name.trim())
+    .map(a => ({ name: a.name.trim(), operator: a.operator, expected: a.expected }));
+
+  // --- Captures ---
+  const handleCaptureChange = (idx, field, value) => {
+    setCaptures(prev => prev.map((c, i) => {
+      if (i !== idx) return c;
+      const next = { ...c, [field]: value };
+      if (field === "variable" && !c.secretTouched) next.secret = looksSecret(value);
+      if (field === "secret") next.secretTouched = true;
+      return next;
+    }));
+  };
+  const addCapture = () => setCaptures(prev => [...prev, { variable: "", source: "body", expression: "", secret: false }]);
+  const removeCapture = idx => setCaptures(prev => prev.filter((_, i) => i !== idx));
+  const activeCaptures = () => captures
+    .filter(c => c.variable.trim() && c.expression.trim())
+    .map(c => ({ variable: c.variable.trim(), source: c.source, expression: c.expression.trim(), secret: Boolean(c.secret) }));
+
+  // --- Response schema ---
+  const handleGenerateSchema = () => {
+    if (!response || response.data === undefined) return;
+    setSchemaText(JSON.stringify(inferSchema(response.data), null, 2));
+    clearError("responseSchema");
+  };
+
   // --- Build headers with auth ---
   const buildHeaders = (options = {}) => {
-    const { isFormData } = options;
+    const { isFormData, source = { headers, auth } } = options;
     const h = {};
-    headers.forEach(hd => { if(hd.key) h[hd.key] = hd.value; });
+    source.headers.forEach(hd => { if(hd.key) h[hd.key] = hd.value; });
 
-    if (authType === "Bearer" && auth.token) h["Authorization"] = `Bearer ${auth.token}`;
-    if (authType === "Basic" && auth.username && auth.password) {
-      h["Authorization"] = "Basic " + btoa(`${auth.username}:${auth.password}`);
+    const a = source.auth;
+    if (authType === "Bearer" && a.token) h["Authorization"] = `Bearer ${a.token}`;
+    if (authType === "OAuth2" && options.oauthToken) {
+      h["Authorization"] = `${options.oauthToken.tokenType || "Bearer"} ${options.oauthToken.accessToken}`;
     }
-    if (authType === "ApiKey" && auth.apiKey && auth.apiKeyLocation === "header") {
-      const headerName = auth.apiKeyName?.trim() || "x-api-key";
-      h[headerName] = auth.apiKey;
+    if (authType === "Basic" && a.username && a.password) {
+      h["Authorization"] = "Basic " + btoa(`${a.username}:${a.password}`);
+    }
+    if (authType === "ApiKey" && a.apiKey && a.apiKeyLocation === "header") {
+      const headerName = a.apiKeyName?.trim() || "x-api-key";
+      h[headerName] = a.apiKey;
     }
 
     if (isFormData) {
@@ -158,6 +384,10 @@ export default function RequestForm({ onSaveTestCase }) {
       });
     }
 
+    if (options.isUrlEncoded && !Object.keys(h).some(key => key.toLowerCase() === "content-type")) {
+      h["Content-Type"] = "application/x-www-form-urlencoded";
+    }
+
     return h;
   };
 
@@ -173,6 +403,14 @@ export default function RequestForm({ onSaveTestCase }) {
     if (/^\d*\.?\d*$/.test(value)) {
       setMaxResponseTime(value);
       clearError("maxResponseTime");
+      clearError("timeoutSeconds");
+    }
+  };
+
+  const handleTimeoutInput = value => {
+    if (/^\d*\.?\d*$/.test(value)) {
+      setTimeoutSeconds(value);
+      clearError("timeoutSeconds");
     }
   };
 
@@ -180,7 +418,8 @@ export default function RequestForm({ onSaveTestCase }) {
   const handleSend = async () => {
     if (!validateRequest()) return;
 
-    const { body, warning, isFormData } = buildBody();
+    const resolved = resolveTestCase({ url: url.trim(), headers, auth, rawBody, formData }, requestVariables);
+    const { body, warning, isFormData, isUrlEncoded } = buildBody("request", resolved);
     if (warning) {
       setNotice({ message: warning, tone: "warning" });
     } else {
@@ -191,31 +430,56 @@ export default function RequestForm({ onSaveTestCase }) {
     const start = Date.now();
 
     try {
-      let finalUrl = url.trim();
-      if (authType === "ApiKey" && auth.apiKey && auth.apiKeyLocation === "query") {
-        const paramName = auth.apiKeyName?.trim() || "apiKey";
-        const param = `${encodeURIComponent(paramName)}=${encodeURIComponent(auth.apiKey)}`;
+      let finalUrl = resolved.url;
+      if (authType === "ApiKey" && resolved.auth.apiKey && resolved.auth.apiKeyLocation === "query") {
+        const paramName = resolved.auth.apiKeyName?.trim() || "apiKey";
+        const param = `${encodeURIComponent(paramName)}=${encodeURIComponent(resolved.auth.apiKey)}`;
         finalUrl += (finalUrl.includes("?") ? "&" : "?") + param;
       }
 
-      const timeoutSeconds = maxResponseTime ? Number(maxResponseTime) : undefined;
-      const timeoutMs = timeoutSeconds && timeoutSeconds > 0 ? timeoutSeconds * 1000 : undefined;
+      const abortSeconds = timeoutSeconds ? Number(timeoutSeconds) : DEFAULT_TIMEOUT_SECONDS;
+      const timeoutMs = Math.round(abortSeconds * 1000);
+
+      let oauthToken = null;
+      if (authType === "OAuth2") {
+        try {
+          oauthToken = await fetchOAuthToken(resolved.auth, { cache: tokenCacheRef.current, timeout: timeoutMs });
+        } catch (tokenError) {
+          throw new Error(`OAuth2 token request failed: ${tokenError.message}`);
+        }
+      }
 
       const requestConfig = {
         method,
         url: finalUrl,
-        headers: buildHeaders({ isFormData }),
+        headers: buildHeaders({ isFormData, isUrlEncoded, source: resolved, oauthToken }),
+        timeout: timeoutMs,
+        transitional: { clarifyTimeoutError: true },
         validateStatus: () => true // prevent axios throwing for non-2xx
       };
 
       if (body !== undefined) requestConfig.data = body;
-      if (timeoutMs) requestConfig.timeout = timeoutMs;
 
       const res = await axios(requestConfig);
 
       const elapsed = Date.now() - start;
       const expectedNumber = Number(expectedStatus);
-      const isOk = res.status === expectedNumber;
+      const assertionResults = [
+        ...evaluateHeaderAssertions(activeHeaderAssertions(), res.headers),
+        ...evaluateBodyAssertions(activeAssertions(), res.data),
+        ...validateAgainstSchema(parseSchemaText(schemaText).schema, res.data).map(violation => ({
+          passed: false,
+          message: `Schema violation at ${violation.instancePath || "/"}: ${violation.message}`
+        }))
+      ];
+      const budgetMs = maxResponseTime ? Number(maxResponseTime) * 1000 : null;
+      if (budgetMs && elapsed > budgetMs) {
+        assertionResults.push({
+          passed: false,
+          message: `Response took ${elapsed} ms, over the ${budgetMs} ms budget`
+        });
+      }
+      const isOk = res.status === expectedNumber && assertionResults.every(a => a.passed);
 
       setResponse({
         ok: isOk,
@@ -223,10 +487,14 @@ export default function RequestForm({ onSaveTestCase }) {
         statusText: res.statusText,
         headers: res.headers,
         data: res.data,
-        timeMs: elapsed
+        timeMs: elapsed,
+        assertions: assertionResults,
+        captures: extractCaptures(activeCaptures(), res)
       });
     } catch(err) {
       const elapsed = Date.now() - start;
+      const timedOut = err.code === "ETIMEDOUT" || err.code === "ECONNABORTED";
+      const message = timedOut ? `Timed out after ${elapsed} ms (hard limit)` : err.message;
       setResponse({
         ok: false,
         timeMs: elapsed,
@@ -234,9 +502,9 @@ export default function RequestForm({ onSaveTestCase }) {
         statusText: err.response?.statusText,
         headers: err.response?.headers,
         data: err.response?.data,
-        error: err.message
+        error: message
       });
-      setNotice({ message: err.message, tone: "error" });
+      setNotice({ message, tone: "error" });
     } finally { setLoading(false); }
   };
 
@@ -244,19 +512,31 @@ export default function RequestForm({ onSaveTestCase }) {
   // --- Save test case ---
   const handleSave = e => {
     e.preventDefault();
-    if (!validateRequest({ requireCaseName: true })) return;
+    if (!validateRequest({ requireCaseName: true, allowPlaceholders: true })) return;
 
     const bodyForStorage = buildBody("storage");
     let noticeTone = bodyForStorage.warning ? "warning" : "success";
-    let noticeMessage = bodyForStorage.warning ? `${bodyForStorage.warning} Test case saved.` : "Test case saved.";
+    const savedLabel = editingCase ? "Test case updated." : "Test case saved.";
+    let noticeMessage = bodyForStorage.warning ? `${bodyForStorage.warning} ${savedLabel}` : savedLabel;
 
-    const caseId = uuidv4();
+    const caseId = editingCase?.id || uuidv4();
     const expectedNumber = Number(expectedStatus);
-    const timeoutSeconds = maxResponseTime ? Number(maxResponseTime) : null;
+    const budgetSeconds = maxResponseTime ? Number(maxResponseTime) : null;
+    const abortSeconds = timeoutSeconds ? Number(timeoutSeconds) : null;
 
+    // Fields the form does not edit (folder, tags, ...) carry over; the stale last run does not.
+    const { lastRun, ...preserved } = editingCase || {};
     const testCase = {
+      ...preserved,
       id: caseId,
       caseName: caseName.trim(),
+      folder: normalizeFolder(folder),
+      serial,
+      retryPolicy: retryPolicy ? normalizeRetryPolicy(retryPolicy) : null,
+      dataset: datasetText.trim()
+        ? { format: datasetFormat, source: datasetText, expectedStatusColumn: datasetStatusColumn.trim() }
+        : null,
+      mock: mock ? normalizeMock(mock) : null,
       method,
       url: url.trim(),
       headers: headers.map(h => ({ ...h })),
@@ -267,7 +547,14 @@ export default function RequestForm({ onSaveTestCase }) {
       formData: formData.map(f => ({ ...f })),
       body: bodyForStorage.body,
       expectedStatus: Number.isNaN(expectedNumber) ? null : expectedNumber,
-      maxResponseTime: timeoutSeconds && timeoutSeconds > 0 ? timeoutSeconds : null
+      maxResponseTime: budgetSeconds && budgetSeconds > 0 ? budgetSeconds : null,
+      timeoutSeconds: abortSeconds && abortSeconds > 0 ? abortSeconds : null,
+      assertions: activeAssertions(),
+      headerAssertions: activeHeaderAssertions(),
+      responseSchema: parseSchemaText(schemaText).schema,
+      captures: activeCaptures(),
+      preRequestScript: preRequestScript.trim() ? preRequestScript : "",
+      testScript: testScript.trim() ? testScript : ""
     };
 
     const allureStatus = response ? (response.ok ? "passed" : "failed") : "skipped";
@@ -293,20 +580,80 @@ export default function RequestForm({ onSaveTestCase }) {
     a.click();
     URL.revokeObjectURL(downloadUrl);
 
-    if (typeof onSaveTestCase === "function") {
+    if (editingCase) {
+      if (typeof onUpdateTestCase === "function") onUpdateTestCase(testCase);
+    } else if (typeof onSaveTestCase === "function") {
       onSaveTestCase(testCase);
     }
 
     setNotice({ message: noticeMessage, tone: noticeTone });
     setCaseName("");
+    setSerial(false);
+    setRetryPolicy(null);
     setExpectedStatus("200");
     setMaxResponseTime("5");
+    setTimeoutSeconds(String(DEFAULT_TIMEOUT_SECONDS));
+    setAssertions([]);
+    setHeaderAssertions([]);
+    setSchemaText("");
+    setCaptures([]);
+    setPreRequestScript("");
+    setTestScript("");
+    setDatasetFormat("csv");
+    setDatasetText("");
+    setDatasetStatusColumn("");
+    setMock(null);
+  };
+
+  const updateMock = (field, value) => setMock(prev => ({ ...prev, [field]: value }));
+  const handleMockHeaderChange = (idx, field, value) => {
+    setMock(prev => ({ ...prev, headers: prev.headers.map((h, i) => i === idx ? { ...h, [field]: value } : h) }));
+  };
+  const addMockHeader = () => setMock(prev => ({ ...prev, headers: [...prev.headers, { key: "", value: "" }] }));
+  const removeMockHeader = idx => setMock(prev => ({ ...prev, headers: prev.headers.filter((_, i) => i !== idx) }));
+
+  const handleRecordMock = () => {
+    if (!response?.status) return;
+    setMock(mockFromResponse({ status: response.status, headers: response.headers, body: response.data, timeMs: response.timeMs }));
+  };
+
+  const handleDatasetFile = async e => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setDatasetFormat(/\.json$/i.test(file.name) ? "json" : "csv");
+    setDatasetText(await file.text());
+    clearError("dataset");
   };
 
   return (
-    <form className="request-form" onSubmit={handleSave}>
+    <form className="request-form" onSubmit={handleSave} ref={formRef}>
+      {editingCase && (
+        <div className="request-form__editing">
+          <span>Editing <strong>{editingCase.caseName || "saved case"}</strong>. Saving updates it in place.</span>
+          <button type="button" className="btn btn--ghost" onClick={onCancelEdit}>Cancel Editing</button>
+        </div>
+      )}
       <div className="request-form__section">
-        <div className="request-form__section-title">Request</div>
+        <div className="request-form__title-row">
+          <div className="request-form__section-title">Request</div>
+          <button type="button" className="btn btn--ghost" onClick={() => setShowCurlImport(prev => !prev)}>
+            {showCurlImport ? "Cancel" : "Paste cURL"}
+          </button>
+        </div>
+        {showCurlImport && (
+          <div className="request-form__grid">
+            <textarea
+              className="field request-form__textarea request-form__textarea--compact"
+              placeholder="curl 'https://api.example.com/users' -H 'Accept: application/json'"
+              value={curlText}
+              onChange={e=>setCurlText(e.target.value)}
+            />
+            <button type="button" className="btn btn--ghost request-form__add-btn" onClick={handleApplyCurl} disabled={!curlText.trim()}>
+              Apply cURL
+            </button>
+          </div>
+        )}
         <div className="request-form__method-row">
           <select className="field" value={method} onChange={e=>setMethod(e.target.value)}>
             <option>GET</option>
@@ -314,12 +661,14 @@ export default function RequestForm({ onSaveTestCase }) {
             <option>PUT</option>
             <option>PATCH</option>
             <option>DELETE</option>
+            <option>HEAD</option>
+            <option>OPTIONS</option>
           </select>
           <input
             className="field"
             value={url}
             onChange={e=>{ setUrl(e.target.value); clearError("url"); }}
-            placeholder="https://api.example.com/path"
+            placeholder="https://api.example.com/path or {{baseUrl}}/path"
           />
         </div>
         {formErrors.url && <div className="request-form__errors">{formErrors.url}</div>}
@@ -347,6 +696,7 @@ export default function RequestForm({ onSaveTestCase }) {
             <option value="Bearer">Bearer Token</option>
             <option value="Basic">Basic Auth</option>
             <option value="ApiKey">API Key</option>
+            <option value="OAuth2">OAuth 2.0 / OpenID Connect</option>
           </select>
 
           {authType === "Bearer" && <input className="field" type="text" placeholder="Token" value={auth.token} onChange={e=>setAuth(prev => ({ ...prev, token: e.target.value }))} />}
@@ -382,6 +732,28 @@ export default function RequestForm({ onSaveTestCase }) {
               />
             </div>
           </>}
+          {authType === "OAuth2" && <>
+            <select className="field" value={auth.grantType} onChange={e=>setAuth(prev => ({ ...prev, grantType: e.target.value }))}>
+              {OAUTH_GRANT_TYPES.map(grant => <option key={grant.value} value={grant.value}>{grant.label}</option>)}
+            </select>
+            <input className="field" type="text" placeholder="Token URL (e.g. .../protocol/openid-connect/token)" value={auth.tokenUrl} onChange={e=>setAuth(prev => ({ ...prev, tokenUrl: e.target.value }))} />
+            <div className="request-form__inline-grid">
+              <input className="field" type="text" placeholder="Client ID" value={auth.clientId} onChange={e=>setAuth(prev => ({ ...prev, clientId: e.target.value }))} />
+              <input className="field" type="password" placeholder="Client Secret" value={auth.clientSecret} onChange={e=>setAuth(prev => ({ ...prev, clientSecret: e.target.value }))} />
+            </div>
+            <div className="request-form__inline-grid">
+              <input className="field" type="text" placeholder="Scope" value={auth.scope} onChange={e=>setAuth(prev => ({ ...prev, scope: e.target.value }))} />
+              <input className="field" type="text" placeholder="Audience" value={auth.audience} onChange={e=>setAuth(prev => ({ ...prev, audience: e.target.value }))} />
+            </div>
+            {auth.grantType === "password" && <div className="request-form__inline-grid">
+              <input className="field" type="text" placeholder="Username" value={auth.username} onChange={e=>setAuth(prev => ({ ...prev, username: e.target.value }))} />
+              <input className="field" type="password" placeholder="Password" value={auth.password} onChange={e=>setAuth(prev => ({ ...prev, password: e.target.value }))} />
+            </div>}
+            {auth.grantType === "refresh_token" && <input className="field" type="password" placeholder="Refresh Token" value={auth.refreshToken} onChange={e=>setAuth(prev => ({ ...prev, refreshToken: e.target.value }))} />}
+            <div className="request-form__hint">
+              A token is fetched before the request, cached until it expires and refreshed automatically.
+            </div>
+          </>}
         </div>
       </div>
 
@@ -391,10 +763,11 @@ export default function RequestForm({ onSaveTestCase }) {
           <select className="field" value={bodyType} onChange={e=>setBodyType(e.target.value)}>
             <option value="raw">Raw JSON</option>
             <option value="form-data">Form Data</option>
+            <option value="urlencoded">x-www-form-urlencoded</option>
           </select>
 
           {bodyType === "raw" && <textarea className="field request-form__textarea" value={rawBody} onChange={e=>setRawBody(e.target.value)} />}
-          {bodyType === "form-data" && <div className="request-form__grid">
+          {KEY_VALUE_BODY_TYPES.includes(bodyType) && <div className="request-form__grid">
             {formData.map((f,i)=>(
               <div key={i} className="request-form__form-row">
                 <input className="field" placeholder="Key" value={f.key} onChange={e=>handleFormDataChange(i,"key",e.target.value)} />
@@ -407,6 +780,103 @@ export default function RequestForm({ onSaveTestCase }) {
         </div>
       </div>}
 
+      <details className="request-form__section request-form__scripts" open={Boolean(preRequestScript || testScript)}>
+        <summary className="request-form__section-title">Scripts</summary>
+        <div className="request-form__grid">
+          <div className="request-form__subsection-title">Pre-request Script</div>
+          <textarea
+            className="field request-form__textarea request-form__textarea--compact"
+            placeholder={'request.headers["X-Timestamp"] = String(Date.now());\nvariables.set("nonce", crypto.randomUUID());'}
+            value={preRequestScript}
+            onChange={e=>setPreRequestScript(e.target.value)}
+          />
+          <div className="request-form__subsection-title">Test Script</div>
+          <textarea
+            className="field request-form__textarea request-form__textarea--compact"
+            placeholder={'test("has id", () => assert(response.body.data.id, "missing id"));\nconsole.log(response.status);'}
+            value={testScript}
+            onChange={e=>setTestScript(e.target.value)}
+          />
+          <div className="request-form__hint">
+            Scripts run when the case is executed in a test run. Available: <code>request</code>, <code>response</code>, <code>variables</code>, <code>test</code>, <code>assert</code>, <code>console</code>, <code>crypto</code>. Each script runs in its own worker, without the page or its fetch and storage APIs, and is stopped after a few seconds.
+          </div>
+        </div>
+      </details>
+
+      <details className="request-form__section request-form__scripts" open={Boolean(datasetText)}>
+        <summary className="request-form__section-title">Dataset</summary>
+        <div className="request-form__grid">
+          <div className="request-form__dataset-row">
+            <select className="field" value={datasetFormat} onChange={e=>{ setDatasetFormat(e.target.value); clearError("dataset"); }}>
+              {DATASET_FORMATS.map(format => <option key={format.value} value={format.value}>{format.label}</option>)}
+            </select>
+            <input
+              className="field"
+              placeholder="Expected status column (optional)"
+              value={datasetStatusColumn}
+              onChange={e=>{ setDatasetStatusColumn(e.target.value); clearError("dataset"); }}
+            />
+            <label className="btn btn--ghost request-form__add-btn">
+              Load File
+              <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleDatasetFile} hidden />
+            </label>
+          </div>
+          <textarea
+            className="field request-form__textarea request-form__textarea--compact"
+            placeholder={datasetFormat === "json"
+              ? '[{"phone": "+97699112233", "status": "200"}, {"phone": "abc", "status": "400"}]'
+              : "phone,amount,status\n+97699112233,1000,200\nabc,1000,400"}
+            value={datasetText}
+            onChange={e=>{ setDatasetText(e.target.value); clearError("dataset"); }}
+          />
+          {dataset?.rows && (
+            <div className="request-form__hint">
+              {dataset.rows.length} row{dataset.rows.length === 1 ? "" : "s"} · columns {dataset.columns.map(column => `{{${column}}}`).join(", ")}. A run executes the case once per row; Send uses the first row.
+            </div>
+          )}
+          {formErrors.dataset && <div className="request-form__errors">{formErrors.dataset}</div>}
+          {!formErrors.dataset && dataset?.error && <div className="request-form__errors">{dataset.error}</div>}
+        </div>
+      </details>
+
+      <details className="request-form__section request-form__scripts" open={Boolean(mock)}>
+        <summary className="request-form__section-title">Mock Response</summary>
+        <div className="request-form__grid">
+          <label className="request-form__checkbox">
+            <input type="checkbox" checked={mock != null} onChange={e=>setMock(e.target.checked ? createMock() : null)} />
+            Answer this case's method and path with a mock when runs use mocks
+          </label>
+          {mock && (
+            <>
+              <div className="request-form__dataset-row">
+                <input className="field" type="number" min="100" max="599" placeholder="Status" value={mock.status} onChange={e=>updateMock("status", e.target.value)} />
+                <input className="field" type="number" min="0" placeholder="Delay (ms)" value={mock.delayMs} onChange={e=>updateMock("delayMs", e.target.value)} />
+                <button type="button" className="btn btn--ghost request-form__add-btn" onClick={handleRecordMock} disabled={!response?.status}>
+                  Use Last Response
+                </button>
+              </div>
+              {mock.headers.map((h,i)=>(
+                <div key={i} className="request-form__form-row">
+                  <input className="field" placeholder="Header" value={h.key} onChange={e=>handleMockHeaderChange(i,"key",e.target.value)} />
+                  <input className="field" placeholder="Value" value={h.value} onChange={e=>handleMockHeaderChange(i,"value",e.target.value)} />
+                  <button type="button" className="request-form__icon-button" onClick={()=>removeMockHeader(i)}>✖</button>
+                </div>
+              ))}
+              <button type="button" className="btn btn--ghost request-form__add-btn" onClick={addMockHeader}>+ Add Header</button>
+              <textarea
+                className="field request-form__textarea request-form__textarea--compact"
+                placeholder='{"id": 1, "name": "Jane"}'
+                value={mock.body}
+                onChange={e=>updateMock("body", e.target.value)}
+              />
+              <div className="request-form__hint">
+                Use Last Response copies the response of the last Send. Placeholders in the URL path match any value.
+              </div>
+            </>
+          )}
+        </div>
+      </details>
+
       <div className="request-form__section">
         <div className="request-form__actions">
           <button type="button" className="btn btn--primary" onClick={handleSend} disabled={loading}>
@@ -423,11 +893,137 @@ export default function RequestForm({ onSaveTestCase }) {
       <div className="request-form__section request-form__save">
         <input className="field" placeholder="Case Name" value={caseName} onChange={e=>{ setCaseName(e.target.value); clearError("caseName"); }} />
         {formErrors.caseName && <div className="request-form__errors">{formErrors.caseName}</div>}
+        <input
+          className="field"
+          placeholder="Suite (optional, nest with /, e.g. Users/Admin)"
+          value={folder}
+          list="request-form-suites"
+          onChange={e=>setFolder(e.target.value)}
+        />
+        <datalist id="request-form-suites">
+          {suites.map(suite => <option key={suite} value={suite} />)}
+        </datalist>
+        <label className="request-form__checkbox">
+          <input type="checkbox" checked={serial} onChange={e=>setSerial(e.target.checked)} />
+          Run serially (later cases wait for this one, e.g. when they use its captures)
+        </label>
         <input className="field" type="text" placeholder="Expected Status" value={expectedStatus} onChange={e=>handleExpectedStatusInput(e.target.value)} />
         {formErrors.expectedStatus && <div className="request-form__errors">{formErrors.expectedStatus}</div>}
-        <input className="field" type="text" placeholder="Max Response Time sec" value={maxResponseTime} onChange={e=>handleMaxResponseTimeInput(e.target.value)} />
+        <div className="request-form__grid">
+          <div className="request-form__subsection-title">Header Assertions</div>
+          {headerAssertions.map((a,i)=>{
+            const needsExpected = HEADER_ASSERTION_OPERATORS.find(op => op.value === a.operator)?.needsExpected ?? true;
+            return (
+              <div key={i} className="request-form__assertion-row">
+                <input className="field" placeholder="Content-Type" value={a.name} onChange={e=>handleHeaderAssertionChange(i,"name",e.target.value)} />
+                <select className="field" value={a.operator} onChange={e=>handleHeaderAssertionChange(i,"operator",e.target.value)}>
+                  {HEADER_ASSERTION_OPERATORS.map(op => <option key={op.value} value={op.value}>{op.label}</option>)}
+                </select>
+                <input
+                  className="field"
+                  placeholder="Expected value"
+                  value={needsExpected ? a.expected : ""}
+                  disabled={!needsExpected}
+                  onChange={e=>handleHeaderAssertionChange(i,"expected",e.target.value)}
+                />
+                <button type="button" className="request-form__icon-button" onClick={()=>removeHeaderAssertion(i)}>✖</button>
+              </div>
+            );
+          })}
+          <button type="button" className="btn btn--ghost request-form__add-btn" onClick={addHeaderAssertion}>+ Add Header Check</button>
+          {headerAssertions.length > 0 && (
+            <div className="request-form__hint">
+              Header names are matched case-insensitively. Cross-origin responses only expose headers listed in Access-Control-Expose-Headers.
+            </div>
+          )}
+          {formErrors.headerAssertions && <div className="request-form__errors">{formErrors.headerAssertions}</div>}
+        </div>
+        <div className="request-form__grid">
+          <div className="request-form__subsection-title">Body Assertions</div>
+          {assertions.map((a,i)=>{
+            const needsExpected = BODY_ASSERTION_OPERATORS.find(op => op.value === a.operator)?.needsExpected ?? true;
+            return (
+              <div key={i} className="request-form__assertion-row">
+                <input className="field" placeholder="$.data.id" value={a.path} onChange={e=>handleAssertionChange(i,"path",e.target.value)} />
+                <select className="field" value={a.operator} onChange={e=>handleAssertionChange(i,"operator",e.target.value)}>
+                  {BODY_ASSERTION_OPERATORS.map(op => <option key={op.value} value={op.value}>{op.label}</option>)}
+                </select>
+                <input
+                  className="field"
+                  placeholder={a.operator === "type" ? "string, number, array..." : "Expected value"}
+                  value={needsExpected ? a.expected : ""}
+                  disabled={!needsExpected}
+                  onChange={e=>handleAssertionChange(i,"expected",e.target.value)}
+                />
+                <button type="button" className="request-form__icon-button" onClick={()=>removeAssertion(i)}>✖</button>
+              </div>
+            );
+          })}
+          <button type="button" className="btn btn--ghost request-form__add-btn" onClick={addAssertion}>+ Add Assertion</button>
+          {formErrors.assertions && <div className="request-form__errors">{formErrors.assertions}</div>}
+        </div>
+        <div className="request-form__grid">
+          <div className="request-form__subsection-title">Response JSON Schema</div>
+          <textarea
+            className="field request-form__textarea request-form__textarea--compact"
+            placeholder='{"$schema": "https://json-schema.org/draft/2020-12/schema", "type": "object"}'
+            value={schemaText}
+            onChange={e=>{ setSchemaText(e.target.value); clearError("responseSchema"); }}
+          />
+          <button
+            type="button"
+            className="btn btn--ghost request-form__add-btn"
+            onClick={handleGenerateSchema}
+            disabled={!response || response.data === undefined}
+          >
+            Generate Schema From Last Response
+          </button>
+          {formErrors.responseSchema && <div className="request-form__errors">{formErrors.responseSchema}</div>}
+        </div>
+        <div className="request-form__grid">
+          <div className="request-form__subsection-title">Captures</div>
+          {captures.map((c,i)=>(
+            <div key={i} className="request-form__capture-row">
+              <input className="field" placeholder="Variable (e.g. accessToken)" value={c.variable} onChange={e=>handleCaptureChange(i,"variable",e.target.value)} />
+              <select className="field" value={c.source} onChange={e=>handleCaptureChange(i,"source",e.target.value)}>
+                {CAPTURE_SOURCES.map(src => <option key={src.value} value={src.value}>{src.label}</option>)}
+              </select>
+              <input
+                className="field"
+                placeholder={CAPTURE_SOURCES.find(src => src.value === c.source)?.placeholder}
+                value={c.expression}
+                onChange={e=>handleCaptureChange(i,"expression",e.target.value)}
+              />
+              <label className="request-form__checkbox">
+                <input type="checkbox" checked={Boolean(c.secret)} onChange={e=>handleCaptureChange(i,"secret",e.target.checked)} />
+                Secret
+              </label>
+              <button type="button" className="request-form__icon-button" onClick={()=>removeCapture(i)}>✖</button>
+            </div>
+          ))}
+          <button type="button" className="btn btn--ghost request-form__add-btn" onClick={addCapture}>+ Add Capture</button>
+          {captures.length > 0 && (
+            <div className="request-form__hint">
+              Captured values are available to later cases in the same run as <code>{"{{variable}}"}</code>.
+            </div>
+          )}
+        </div>
+        <input className="field" type="text" placeholder="Max Response Time sec (SLA budget)" value={maxResponseTime} onChange={e=>handleMaxResponseTimeInput(e.target.value)} />
         {formErrors.maxResponseTime && <div className="request-form__errors">{formErrors.maxResponseTime}</div>}
-        <button className="btn btn--primary" type="submit">Save</button>
+        <input className="field" type="text" placeholder="Hard Timeout sec (aborts the request)" value={timeoutSeconds} onChange={e=>handleTimeoutInput(e.target.value)} />
+        {formErrors.timeoutSeconds && <div className="request-form__errors">{formErrors.timeoutSeconds}</div>}
+        <div className="request-form__grid">
+          <label className="request-form__checkbox">
+            <input
+              type="checkbox"
+              checked={retryPolicy != null}
+              onChange={e=>setRetryPolicy(e.target.checked ? { ...DEFAULT_RETRY_POLICY, maxAttempts: 3 } : null)}
+            />
+            Own retry policy (otherwise the run's retry policy applies)
+          </label>
+          {retryPolicy && <RetryPolicyFields policy={retryPolicy} onChange={setRetryPolicy} />}
+        </div>
+        <button className="btn btn--primary" type="submit">{editingCase ? "Update Test Case" : "Save"}</button>
       </div>
 
       <div className="request-form__section request-form__response">
@@ -441,6 +1037,24 @@ export default function RequestForm({ onSaveTestCase }) {
               {response.status && <span>Status: {response.status} {response.statusText}</span>}
               {response.timeMs && <span>Time: {response.timeMs} ms</span>}
             </div>
+            {response.assertions?.length > 0 && (
+              <ul className="request-form__assertion-results">
+                {response.assertions.map((a, i) => (
+                  <li key={i} className={a.passed ? "request-form__assertion-result--passed" : "request-form__assertion-result--failed"}>
+                    {a.passed ? "✔" : "✖"} {a.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {response.captures?.length > 0 && (
+              <ul className="request-form__assertion-results">
+                {response.captures.map((c, i) => (
+                  <li key={i} className={c.found ? "request-form__assertion-result--passed" : "request-form__assertion-result--failed"}>
+                    {`{{${c.variable}}}`} = {c.found ? displayCaptureValue(c) : "not found"}
+                  </li>
+                ))}
+              </ul>
+            )}
             <pre className="request-form__response-body">
               {response.headers && `Headers: ${JSON.stringify(response.headers, null, 2)}\n\n`}
               {response.data && `Body: ${JSON.stringify(response.data, null, 2)}\n\n`}
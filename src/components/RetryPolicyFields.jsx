@@ -0,0 +1,61 @@
+import React from "react";
+import "./RetryPolicyFields.css";
+import { RETRY_BACKOFF_TYPES } from "../utils/retry";
+
+// Edits a retry policy. Statuses stay as typed text until the policy is normalized.
+export default function RetryPolicyFields({ policy, onChange, disabled = false }) {
+  const update = patch => onChange({ ...policy, ...patch });
+  const statuses = Array.isArray(policy.retryStatuses) ? policy.retryStatuses.join(", ") : policy.retryStatuses ?? "";
+
+  return (
+    <div className="retry-policy">
+      <label className="retry-policy__field">
+        <span>Max attempts</span>
+        <input
+          className="field"
+          type="number"
+          min="1"
+          max="10"
+          value={policy.maxAttempts}
+          disabled={disabled}
+          onChange={e => update({ maxAttempts: e.target.value })}
+        />
+      </label>
+      <label className="retry-policy__field">
+        <span>Backoff</span>
+        <select className="field" value={policy.backoff} disabled={disabled} onChange={e => update({ backoff: e.target.value })}>
+          {RETRY_BACKOFF_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+        </select>
+      </label>
+      <label className="retry-policy__field">
+        <span>{policy.backoff === "fixed" ? "Delay (ms)" : "Initial delay (ms)"}</span>
+        <input
+          className="field"
+          type="number"
+          min="0"
+          value={policy.delayMs}
+          disabled={disabled}
+          onChange={e => update({ delayMs: e.target.value })}
+        />
+      </label>
+      <label className="retry-policy__field retry-policy__field--wide">
+        <span>Retry on statuses</span>
+        <input
+          className="field"
+          placeholder="502, 503, 504"
+          value={statuses}
+          disabled={disabled}
+          onChange={e => update({ retryStatuses: e.target.value })}
+        />
+      </label>
+      <label className="retry-policy__checkbox">
+        <input type="checkbox" checked={Boolean(policy.retryOnNetworkError)} disabled={disabled} onChange={e => update({ retryOnNetworkError: e.target.checked })} />
+        Network errors
+      </label>
+      <label className="retry-policy__checkbox">
+        <input type="checkbox" checked={Boolean(policy.retryOnTimeout)} disabled={disabled} onChange={e => update({ retryOnTimeout: e.target.checked })} />
+        Timeouts
+      </label>
+    </div>
+  );
+}
@@ -1,5 +1,28 @@
-import React from "react";
+import React, { useState } from "react";
 import "./TestCaseList.css";
+import { toCurlCommand } from "../utils/curl";
+import { buildFolderTree, isInFolder, orderByFolderTree } from "../utils/testCases";
+import { hasDataset } from "../utils/datasets";
+import { hasMock } from "../utils/mocks";
+import RetryPolicyFields from "./RetryPolicyFields";
+
+const copyText = async text => {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+  const area = document.createElement("textarea");
+  area.value = text;
+  document.body.appendChild(area);
+  area.select();
+  try {
+    if (!document.execCommand("copy")) throw new Error("Copy command was rejected");
+  } finally {
+    document.body.removeChild(area);
+  }
+};
+
+const formatDuration = ms => (ms >= 1000 ? `${(ms / 1000).toFixed(ms >= 10000 ? 0 : 2)} s` : `${ms} ms`);
 
 const formatTimestamp = iso => {
   if (!iso) return "";
@@ -15,11 +38,254 @@ export default function TestCaseList({
   onRunAll,
   isRunning,
   lastRunSummary,
+  onStopRun,
   reportAvailable,
   onOpenReport,
-  previewNotice
+  previewNotice,
+  variables = {},
+  editingCaseId,
+  onEditTestCase,
+  onDuplicateTestCase,
+  onDeleteTestCase,
+  onMoveTestCase,
+  onRunSuite,
+  onRunSelected,
+  runProgress,
+  concurrency = 1,
+  onConcurrencyChange,
+  serialSuites = [],
+  onToggleSerialSuite,
+  retryPolicy,
+  onRetryPolicyChange,
+  mockMode = false,
+  onMockModeChange,
+  recordableMocks = 0,
+  onRecordMocks,
+  deletedCase,
+  onUndoDelete
 }) {
   const hasCases = testCases.length > 0;
+  // `{ id, failed }` of the case whose Copy as cURL was pressed last, shown for two seconds.
+  const [copyState, setCopyState] = useState(null);
+  const [draggedId, setDraggedId] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [collapsed, setCollapsed] = useState([]);
+  const tree = buildFolderTree(testCases);
+  // Cases are numbered by the position they run in, which is tree order rather than list order.
+  const runPositions = new Map(orderByFolderTree(testCases).map((tc, position) => [tc, position + 1]));
+  // Selections of cases that were deleted since are ignored.
+  const activeSelection = selectedIds.filter(id => testCases.some(tc => tc.id === id));
+  const [dropTargetId, setDropTargetId] = useState(null);
+
+  const handleDragStart = (e, id) => {
+    setDraggedId(id);
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", id);
+  };
+
+  const handleDragOver = (e, id) => {
+    if (!draggedId) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+    if (dropTargetId !== id) setDropTargetId(id);
+  };
+
+  // `target` is the id of the case to take the place of, or `{ folder }` to move to the end of a folder.
+  const handleDrop = (e, target) => {
+    e.preventDefault();
+    if (draggedId && typeof onMoveTestCase === "function") onMoveTestCase(draggedId, target);
+    setDraggedId(null);
+    setDropTargetId(null);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropTargetId(null);
+  };
+
+  const handleCopyCurl = async testCase => {
+    let failed = false;
+    try {
+      await copyText(toCurlCommand(testCase, { variables }));
+    } catch {
+      failed = true;
+    }
+    const state = { id: testCase.id, failed };
+    setCopyState(state);
+    setTimeout(() => setCopyState(prev => prev === state ? null : prev), 2000);
+  };
+
+  const toggleSelected = id => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(existing => existing !== id) : [...prev, id]);
+  };
+
+  const toggleFolderSelection = node => {
+    const ids = testCases.filter(tc => isInFolder(tc, node.path)).map(tc => tc.id);
+    const allSelected = ids.every(id => selectedIds.includes(id));
+    setSelectedIds(prev => allSelected ? prev.filter(id => !ids.includes(id)) : [...new Set([...prev, ...ids])]);
+  };
+
+  const toggleCollapsed = path => {
+    setCollapsed(prev => prev.includes(path) ? prev.filter(existing => existing !== path) : [...prev, path]);
+  };
+
+  const renderCase = ({ testCase: tc, index: idx }) => {
+    const position = runPositions.get(tc);
+    const itemClass = [
+      "test-case-list__item",
+      tc.id === editingCaseId ? "test-case-list__item--editing" : "",
+      tc.id === draggedId ? "test-case-list__item--dragging" : "",
+      tc.id === dropTargetId && tc.id !== draggedId ? "test-case-list__item--drop-target" : ""
+    ].filter(Boolean).join(" ");
+    return (
+      <li
+        key={tc.id || `${tc.caseName}-${idx}`}
+        className={itemClass}
+        draggable={!isRunning}
+        onDragStart={e => handleDragStart(e, tc.id)}
+        onDragOver={e => handleDragOver(e, tc.id)}
+        onDrop={e => handleDrop(e, tc.id)}
+        onDragEnd={handleDragEnd}
+      >
+        <div className="test-case-list__meta">
+          <label className="test-case-list__select">
+            <input type="checkbox" checked={selectedIds.includes(tc.id)} onChange={() => toggleSelected(tc.id)} />
+            <span className="test-case-list__drag-handle" title="Drag to reorder" aria-hidden="true">⋮⋮</span>
+            {position}. {tc.method}
+          </label>
+          <span>
+            {tc.serial && <span className="test-case-list__serial">Serial · </span>}
+            {hasDataset(tc) && <span className="test-case-list__serial">Dataset · </span>}
+            {hasMock(tc) && <span className="test-case-list__serial">Mock · </span>}
+            {tc.expectedStatus && `Expect ${tc.expectedStatus}`}
+          </span>
+        </div>
+        <div className="test-case-list__name">{tc.caseName || `Case #${position}`}</div>
+        <div className="test-case-list__url">{tc.url}</div>
+        <div className="test-case-list__status">
+          {tc.lastRun?.skipped ? (
+            <span className="test-case-list__badge test-case-list__badge--pending">Skipped</span>
+          ) : tc.lastRun ? (
+            <span className={`test-case-list__badge ${tc.lastRun.ok ? "test-case-list__badge--success" : "test-case-list__badge--error"}`}>
+              {tc.lastRun.ok ? "Passed" : "Failed"}
+              {tc.lastRun.status && ` • ${tc.lastRun.status}`}
+            </span>
+          ) : (
+            <span className="test-case-list__badge test-case-list__badge--pending">Not run yet</span>
+          )}
+          {tc.lastRun?.iterations && (
+            <span className="test-case-list__status-meta">
+              {tc.lastRun.iterations.passed}/{tc.lastRun.iterations.total} rows passed
+            </span>
+          )}
+          {tc.lastRun?.flaky && (
+            <span className="test-case-list__badge test-case-list__badge--flaky">Flaky · {tc.lastRun.attempts} attempts</span>
+          )}
+          {tc.lastRun && tc.lastRun.attempts > 1 && !tc.lastRun.flaky && (
+            <span className="test-case-list__status-meta">{tc.lastRun.attempts} attempts</span>
+          )}
+          {tc.lastRun && (
+            <span className="test-case-list__status-meta">
+              {tc.lastRun.timeMs != null && `${tc.lastRun.timeMs} ms`} · {formatTimestamp(tc.lastRun.executedAt)}
+            </span>
+          )}
+          {tc.lastRun?.warning && <span className="test-case-list__warning">{tc.lastRun.warning}</span>}
+          {tc.lastRun?.failures?.length ? (
+            <ul className="test-case-list__failures">
+              {tc.lastRun.failures.map((failure, failureIdx) => (
+                <li key={failureIdx} className="test-case-list__error">{failure}</li>
+              ))}
+            </ul>
+          ) : (
+            tc.lastRun?.error && (
+              <span className={tc.lastRun.skipped ? "test-case-list__status-meta" : "test-case-list__error"}>{tc.lastRun.error}</span>
+            )
+          )}
+        </div>
+        <div className="test-case-list__item-actions">
+          <button type="button" className="test-case-list__link-button" onClick={() => onEditTestCase(tc.id)} disabled={isRunning}>
+            {tc.id === editingCaseId ? "Editing…" : "Edit"}
+          </button>
+          <button type="button" className="test-case-list__link-button" onClick={() => onDuplicateTestCase(tc.id)} disabled={isRunning}>
+            Duplicate
+          </button>
+          <button
+            type="button"
+            className={`test-case-list__link-button${copyState?.id === tc.id && copyState.failed ? " test-case-list__link-button--danger" : ""}`}
+            onClick={() => handleCopyCurl(tc)}
+          >
+            {copyState?.id === tc.id ? (copyState.failed ? "Copy failed" : "Copied") : "Copy as cURL"}
+          </button>
+          <button
+            type="button"
+            className="test-case-list__link-button test-case-list__link-button--danger"
+            onClick={() => onDeleteTestCase(tc.id)}
+            disabled={isRunning}
+          >
+            Delete
+          </button>
+        </div>
+      </li>
+    );
+  };
+
+  // While a case is dragged, every group ends in a drop zone, so a case can become the last one of
+  // its folder or move into a folder that has no cases of its own.
+  const renderEndDropZone = path => {
+    const key = `folder:${path}`;
+    return (
+      <li
+        key={key}
+        className={`test-case-list__drop-zone${dropTargetId === key ? " test-case-list__drop-zone--active" : ""}`}
+        onDragOver={e => handleDragOver(e, key)}
+        onDrop={e => handleDrop(e, { folder: path })}
+      >
+        {path ? `Move to the end of ${path}` : "Move to the end of the top level"}
+      </li>
+    );
+  };
+
+  const renderFolder = node => {
+    const total = testCases.filter(tc => isInFolder(tc, node.path)).length;
+    const isCollapsed = collapsed.includes(node.path);
+    const dropKey = `folder:${node.path}`;
+    return (
+      <div key={node.path} className="test-case-list__suite">
+        <div
+          className={`test-case-list__suite-header${dropTargetId === dropKey ? " test-case-list__suite-header--drop-target" : ""}`}
+          onDragOver={e => handleDragOver(e, dropKey)}
+          onDrop={e => handleDrop(e, { folder: node.path })}
+        >
+          <button type="button" className="test-case-list__suite-toggle" onClick={() => toggleCollapsed(node.path)} aria-expanded={!isCollapsed}>
+            {isCollapsed ? "▸" : "▾"}
+          </button>
+          <span className="test-case-list__suite-name">{node.name}</span>
+          <span className="test-case-list__suite-count">{total}</span>
+          <button type="button" className="test-case-list__link-button" onClick={() => toggleFolderSelection(node)}>
+            Select
+          </button>
+          <label className="test-case-list__select" title="Run this suite's cases one at a time, in order">
+            <input type="checkbox" checked={serialSuites.includes(node.path)} onChange={() => onToggleSerialSuite(node.path)} />
+            Serial
+          </label>
+          <button type="button" className="test-case-list__link-button" onClick={() => onRunSuite(node.path)} disabled={isRunning}>
+            Run suite
+          </button>
+        </div>
+        {!isCollapsed && (
+          <>
+            {(node.cases.length > 0 || draggedId) && (
+              <ul className="test-case-list__items">
+                {node.cases.map(renderCase)}
+                {draggedId && renderEndDropZone(node.path)}
+              </ul>
+            )}
+            {node.children.map(renderFolder)}
+          </>
+        )}
+      </div>
+    );
+  };
 
   return (
     <section className="test-case-list">
@@ -27,51 +293,101 @@ export default function TestCaseList({
         <div>
           <h3 className="test-case-list__title">Saved Test Cases</h3>
           {lastRunSummary && (
-            <div className="test-case-list__last-run">Last run: {formatTimestamp(lastRunSummary.executedAt)}</div>
+            <div className="test-case-list__last-run">
+              Last run: {formatTimestamp(lastRunSummary.executedAt)}
+              {lastRunSummary.scope && ` · ${lastRunSummary.scope}`}
+              {lastRunSummary.environmentName && ` · ${lastRunSummary.environmentName}`}
+              {lastRunSummary.mocked && " · Mock responses"}
+              {lastRunSummary.stopped && " · Stopped early"}
+            </div>
+          )}
+          {lastRunSummary?.wallTimeMs != null && (
+            <div className="test-case-list__last-run">
+              Wall clock {formatDuration(lastRunSummary.wallTimeMs)} · Request time {formatDuration(lastRunSummary.totalRequestMs)}
+              {lastRunSummary.concurrency > 1 && ` · ${lastRunSummary.concurrency} workers`}
+            </div>
           )}
         </div>
         <span className="test-case-list__count">{hasCases ? `${testCases.length} saved` : "No cases yet"}</span>
       </div>
 
-      {hasCases ? (
-        <>
-          <ul className="test-case-list__items">
-            {testCases.map((tc, idx) => (
-              <li key={tc.id || `${tc.caseName}-${idx}`} className="test-case-list__item">
-                <div className="test-case-list__meta">
-                  <span>{tc.method}</span>
-                  {tc.expectedStatus && <span>Expect {tc.expectedStatus}</span>}
-                </div>
-                <div className="test-case-list__name">{tc.caseName || `Case #${idx + 1}`}</div>
-                <div className="test-case-list__url">{tc.url}</div>
-                <div className="test-case-list__status">
-                  {tc.lastRun ? (
-                    <span className={`test-case-list__badge ${tc.lastRun.ok ? "test-case-list__badge--success" : "test-case-list__badge--error"}`}>
-                      {tc.lastRun.ok ? "Passed" : "Failed"}
-                      {tc.lastRun.status && ` • ${tc.lastRun.status}`}
-                    </span>
-                  ) : (
-                    <span className="test-case-list__badge test-case-list__badge--pending">Not run yet</span>
-                  )}
-                  {tc.lastRun && (
-                    <span className="test-case-list__status-meta">
-                      {tc.lastRun.timeMs != null && `${tc.lastRun.timeMs} ms`} · {formatTimestamp(tc.lastRun.executedAt)}
-                    </span>
-                  )}
-                  {tc.lastRun?.warning && <span className="test-case-list__warning">{tc.lastRun.warning}</span>}
-                  {tc.lastRun?.error && <span className="test-case-list__error">{tc.lastRun.error}</span>}
-                </div>
+      {lastRunSummary?.captures?.length > 0 && (
+        <div className="test-case-list__captures">
+          <div className="test-case-list__captures-title">Captured variables</div>
+          <ul className="test-case-list__captures-list">
+            {lastRunSummary.captures.map((capture, idx) => (
+              <li key={`${capture.variable}-${idx}`} className="test-case-list__capture">
+                <code>{`{{${capture.variable}}}`}</code>
+                <span className={capture.secret ? "test-case-list__capture-value test-case-list__capture-value--secret" : "test-case-list__capture-value"}>
+                  {capture.value}
+                </span>
+                {capture.caseName && <span className="test-case-list__capture-source">from {capture.caseName}</span>}
               </li>
             ))}
           </ul>
+        </div>
+      )}
+
+      {deletedCase && (
+        <div className="test-case-list__undo">
+          <span>Deleted <strong>{deletedCase.caseName || "test case"}</strong>.</span>
+          <button type="button" className="test-case-list__link-button" onClick={onUndoDelete}>Undo</button>
+        </div>
+      )}
+
+      {hasCases ? (
+        <>
+          {(tree.cases.length > 0 || draggedId) && (
+            <ul className="test-case-list__items">
+              {tree.cases.map(renderCase)}
+              {draggedId && renderEndDropZone("")}
+            </ul>
+          )}
+          {tree.children.map(renderFolder)}
           <div className="test-case-list__actions">
             <button
               className="btn btn--primary test-case-list__run"
               onClick={onRunAll}
               disabled={isRunning || !hasCases}
             >
-              {isRunning ? "Running..." : "Run All Tests"}
+              {isRunning
+                ? `Running... ${runProgress ? `${runProgress.completed}/${runProgress.total}` : ""}`
+                : "Run All Tests"}
+            </button>
+            {isRunning && typeof onStopRun === "function" && (
+              <button type="button" className="btn btn--ghost test-case-list__stop" onClick={onStopRun}>
+                Stop
+              </button>
+            )}
+            <button
+              type="button"
+              className="btn btn--ghost"
+              onClick={() => onRunSelected(activeSelection)}
+              disabled={isRunning || !activeSelection.length}
+            >
+              Run Selected ({activeSelection.length})
             </button>
+            <label className="test-case-list__workers">
+              Workers
+              <input
+                className="field"
+                type="number"
+                min="1"
+                max="16"
+                value={concurrency}
+                disabled={isRunning}
+                onChange={e => onConcurrencyChange(Math.min(16, Math.max(1, Math.floor(Number(e.target.value) || 1))))}
+              />
+            </label>
+            <label className="test-case-list__workers" title="Answer requests from the cases' mock responses instead of the real host">
+              <input type="checkbox" checked={mockMode} disabled={isRunning} onChange={e => onMockModeChange(e.target.checked)} />
+              Use mocks
+            </label>
+            {activeSelection.length > 0 && (
+              <button type="button" className="test-case-list__link-button" onClick={() => setSelectedIds([])}>
+                Clear selection
+              </button>
+            )}
             {reportAvailable && typeof onOpenReport === "function" && (
               <button
                 type="button"
@@ -82,6 +398,33 @@ export default function TestCaseList({
               </button>
             )}
           </div>
+          <details className="test-case-list__settings">
+            <summary>Retry policy</summary>
+            <RetryPolicyFields policy={retryPolicy} onChange={onRetryPolicyChange} disabled={isRunning} />
+            <div className="test-case-list__hint">
+              Applies to every case without its own retry policy. Max attempts 1 disables retries.
+            </div>
+          </details>
+          <details className="test-case-list__settings">
+            <summary>Mock responses ({testCases.filter(hasMock).length}/{testCases.length})</summary>
+            <button
+              type="button"
+              className="btn btn--ghost"
+              onClick={onRecordMocks}
+              disabled={isRunning || !recordableMocks}
+            >
+              Record From Last Run ({recordableMocks})
+            </button>
+            <div className="test-case-list__hint">
+              With Use mocks on, requests are matched by method and path to a case's mock; anything else gets a 404.
+              Recording copies each case's last real response, including its timing, into its mock.
+            </div>
+          </details>
+          {isRunning && runProgress?.total > 0 && (
+            <div className="test-case-list__progress" role="progressbar" aria-valuemin={0} aria-valuemax={runProgress.total} aria-valuenow={runProgress.completed}>
+              <div className="test-case-list__progress-bar" style={{ width: `${(runProgress.completed / runProgress.total) * 100}%` }} />
+            </div>
+          )}
           {previewNotice && <div className="test-case-list__notice">{previewNotice}</div>}
         </>
       ) : (
@@ -0,0 +1,93 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import TestCaseList from "./TestCaseList";
+import { DEFAULT_RETRY_POLICY } from "../utils/retry";
+
+const testCases = [
+  { id: "a", caseName: "List users", method: "GET", url: "https://api.test/users", folder: "" }
+];
+
+const renderList = (cases = testCases, props = {}) => render(
+  <TestCaseList
+    testCases={cases}
+    onRunAll={() => {}}
+    onEditTestCase={() => {}}
+    onDuplicateTestCase={() => {}}
+    onDeleteTestCase={() => {}}
+    onMoveTestCase={() => {}}
+    onRunSuite={() => {}}
+    onRunSelected={() => {}}
+    retryPolicy={DEFAULT_RETRY_POLICY}
+    onRetryPolicyChange={() => {}}
+    {...props}
+  />
+);
+
+const setClipboard = writeText => {
+  Object.defineProperty(navigator, "clipboard", { value: { writeText }, configurable: true });
+};
+
+describe("Copy as cURL", () => {
+  it("confirms a successful copy", async () => {
+    const writeText = jest.fn().mockResolvedValue();
+    setClipboard(writeText);
+    renderList();
+    fireEvent.click(screen.getByRole("button", { name: "Copy as cURL" }));
+    expect(await screen.findByRole("button", { name: "Copied" })).toBeInTheDocument();
+    expect(writeText).toHaveBeenCalledWith("curl 'https://api.test/users'");
+  });
+
+  it("says when the clipboard refuses the text", async () => {
+    setClipboard(jest.fn().mockRejectedValue(new Error("denied")));
+    renderList();
+    fireEvent.click(screen.getByRole("button", { name: "Copy as cURL" }));
+    expect(await screen.findByRole("button", { name: "Copy failed" })).toBeInTheDocument();
+  });
+});
+
+describe("case numbers", () => {
+  it("follow run order, root cases first", () => {
+    renderList([
+      { id: "a", caseName: "In folder", method: "GET", url: "https://api.test/a", folder: "Users" },
+      { id: "b", caseName: "At root", method: "POST", url: "https://api.test/b", folder: "" }
+    ]);
+    expect(screen.getByText("1. POST")).toBeInTheDocument();
+    expect(screen.getByText("2. GET")).toBeInTheDocument();
+  });
+});
+
+describe("drag and drop", () => {
+  const dataTransfer = { setData: () => {} };
+  const cases = [
+    { id: "a", caseName: "First", method: "GET", url: "https://api.test/a", folder: "" },
+    { id: "b", caseName: "Nested", method: "GET", url: "https://api.test/b", folder: "Users/Admin" }
+  ];
+
+  it("moves a case before the one it is dropped on", () => {
+    const onMoveTestCase = jest.fn();
+    renderList(cases, { onMoveTestCase });
+    fireEvent.dragStart(screen.getByText("Nested"), { dataTransfer });
+    fireEvent.drop(screen.getByText("First"), { dataTransfer });
+    expect(onMoveTestCase).toHaveBeenCalledWith("b", "a");
+  });
+
+  it("offers the end of every group, including folders without cases of their own", () => {
+    const onMoveTestCase = jest.fn();
+    renderList(cases, { onMoveTestCase });
+    fireEvent.dragStart(screen.getByText("First"), { dataTransfer });
+
+    fireEvent.drop(screen.getByText("Move to the end of Users"), { dataTransfer });
+    expect(onMoveTestCase).toHaveBeenLastCalledWith("a", { folder: "Users" });
+
+    fireEvent.dragStart(screen.getByText("Nested"), { dataTransfer });
+    fireEvent.drop(screen.getByText("Move to the end of the top level"), { dataTransfer });
+    expect(onMoveTestCase).toHaveBeenLastCalledWith("b", { folder: "" });
+  });
+
+  it("moves a case into a folder dropped on its header", () => {
+    const onMoveTestCase = jest.fn();
+    renderList(cases, { onMoveTestCase });
+    fireEvent.dragStart(screen.getByText("First"), { dataTransfer });
+    fireEvent.drop(screen.getByText("Admin"), { dataTransfer });
+    expect(onMoveTestCase).toHaveBeenCalledWith("a", { folder: "Users/Admin" });
+  });
+});
@@ -3,3 +3,9 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { webcrypto } from 'crypto';
+
+// jsdom has no Web Crypto; uuid needs getRandomValues/randomUUID.
+if (!global.crypto?.getRandomValues) {
+  Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+}
@@ -0,0 +1,283 @@
+export const BODY_ASSERTION_OPERATORS = [
+  { value: "equals", label: "Equals", needsExpected: true },
+  { value: "notEquals", label: "Not equals", needsExpected: true },
+  { value: "contains", label: "Contains", needsExpected: true },
+  { value: "exists", label: "Exists", needsExpected: false },
+  { value: "notExists", label: "Does not exist", needsExpected: false },
+  { value: "matches", label: "Matches regex", needsExpected: true },
+  { value: "greaterThan", label: "Greater than", needsExpected: true },
+  { value: "lessThan", label: "Less than", needsExpected: true },
+  { value: "type", label: "Type is", needsExpected: true }
+];
+
+export const VALUE_TYPES = ["string", "number", "boolean", "object", "array", "null"];
+
+const operatorNeedsExpected = operator =>
+  BODY_ASSERTION_OPERATORS.find(op => op.value === operator)?.needsExpected ?? true;
+
+const formatValue = value => {
+  if (value === undefined) return "undefined";
+  let text;
+  try {
+    text = typeof value === "string" ? `"${value}"` : JSON.stringify(value);
+  } catch {
+    text = String(value);
+  }
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+};
+
+const typeOf = value => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+};
+
+const parseExpected = expected => {
+  if (typeof expected !== "string") return expected;
+  try {
+    return JSON.parse(expected);
+  } catch {
+    return expected;
+  }
+};
+
+const isEqual = (actual, expected) => {
+  if (typeof actual === "string") return actual === String(expected ?? "");
+  const parsed = parseExpected(expected);
+  if (typeof parsed === "string") return String(actual) === parsed;
+  return JSON.stringify(actual) === JSON.stringify(parsed);
+};
+
+// Accepts "$.data.items[0].id", "data.items.0.id", "$['odd key']" and "[*]" / ".*" wildcards.
+const tokenizePath = selector => {
+  let path = String(selector ?? "").trim();
+  if (path.startsWith("$")) path = path.slice(1);
+  const tokens = [];
+  const pattern = /\[\s*(\*|\d+|'[^']*'|"[^"]*")\s*\]|\.?([^.[\]]+)/g;
+  let match;
+  while ((match = pattern.exec(path)) !== null) {
+    const raw = match[1] ?? match[2];
+    if (raw === undefined) continue;
+    if (/^['"]/.test(raw)) {
+      tokens.push(raw.slice(1, -1));
+    } else {
+      tokens.push(raw.trim());
+    }
+  }
+  return tokens;
+};
+
+export const parseResponseBody = data => {
+  if (typeof data !== "string") return data;
+  const trimmed = data.trim();
+  if (!trimmed || !/^[[{"]|^(true|false|null|-?\d)/.test(trimmed)) return data;
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return data;
+  }
+};
+
+export function resolvePath(data, selector) {
+  const tokens = tokenizePath(selector);
+  const wildcard = tokens.includes("*");
+  let nodes = [data];
+
+  for (const token of tokens) {
+    const next = [];
+    nodes.forEach(node => {
+      if (node === null || typeof node !== "object") return;
+      if (token === "*") {
+        next.push(...Object.values(node));
+        return;
+      }
+      if (Object.prototype.hasOwnProperty.call(node, token)) {
+        next.push(node[token]);
+      }
+    });
+    nodes = next;
+    if (!nodes.length) break;
+  }
+
+  if (wildcard) {
+    return { found: nodes.length > 0, value: nodes };
+  }
+  return { found: nodes.length > 0, value: nodes[0] };
+}
+
+const checkOperator = (operator, found, actual, expected) => {
+  switch (operator) {
+    case "exists":
+      return { passed: found && actual !== undefined };
+    case "notExists":
+      return { passed: !found || actual === undefined };
+    case "equals":
+      return { passed: found && isEqual(actual, expected) };
+    case "notEquals":
+      return { passed: !found || !isEqual(actual, expected) };
+    case "contains": {
+      if (!found || actual == null) return { passed: false };
+      if (typeof actual === "string") return { passed: actual.includes(String(expected ?? "")) };
+      if (Array.isArray(actual)) return { passed: actual.some(item => isEqual(item, expected)) };
+      if (typeof actual === "object") return { passed: Object.prototype.hasOwnProperty.call(actual, expected) };
+      return { passed: String(actual).includes(String(expected ?? "")) };
+    }
+    case "matches": {
+      if (!found || actual === undefined) return { passed: false };
+      try {
+        const subject = typeof actual === "string" ? actual : JSON.stringify(actual);
+        return { passed: new RegExp(expected).test(subject) };
+      } catch (error) {
+        return { passed: false, message: `invalid regex ${formatValue(expected)}: ${error.message}` };
+      }
+    }
+    case "greaterThan":
+    case "lessThan": {
+      const left = Number(actual);
+      const right = Number(expected);
+      if (!found || actual === null || actual === "" || !Number.isFinite(left) || !Number.isFinite(right)) {
+        return { passed: false };
+      }
+      return { passed: operator === "greaterThan" ? left > right : left < right };
+    }
+    case "type":
+      return { passed: found && typeOf(actual) === String(expected ?? "").trim().toLowerCase() };
+    default:
+      return { passed: false, message: `unknown operator "${operator}"` };
+  }
+};
+
+export function evaluateBodyAssertions(assertions, body) {
+  if (!Array.isArray(assertions) || !assertions.length) return [];
+  const data = parseResponseBody(body);
+
+  return assertions
+    .filter(assertion => assertion && String(assertion.path ?? "").trim())
+    .map(assertion => {
+      const path = String(assertion.path).trim();
+      const operator = assertion.operator || "equals";
+      const expected = operatorNeedsExpected(operator) ? assertion.expected ?? "" : null;
+      const { found, value } = resolvePath(data, path);
+      const outcome = checkOperator(operator, found, value, expected);
+      const label = BODY_ASSERTION_OPERATORS.find(op => op.value === operator)?.label.toLowerCase() || operator;
+      const expectation = expected != null ? `${label} ${formatValue(expected)}` : label;
+      const actualText = found ? formatValue(value) : "nothing (path not found)";
+
+      return {
+        path,
+        operator,
+        expected,
+        actual: found ? value : undefined,
+        passed: outcome.passed,
+        message: outcome.passed
+          ? `${path} ${expectation}`
+          : `${path}: expected ${expectation}, got ${outcome.message || actualText}`
+      };
+    });
+}
+
+export function validateBodyAssertion(assertion) {
+  const operator = assertion?.operator || "equals";
+  const expected = assertion?.expected ?? "";
+  if (operator === "matches") {
+    try {
+      new RegExp(expected);
+    } catch {
+      return "Regex is not valid.";
+    }
+  }
+  if ((operator === "greaterThan" || operator === "lessThan") && (!String(expected).trim() || !Number.isFinite(Number(expected)))) {
+    return "Comparison value must be a number.";
+  }
+  if (operator === "type" && !VALUE_TYPES.includes(String(expected).trim().toLowerCase())) {
+    return `Type must be one of ${VALUE_TYPES.join(", ")}.`;
+  }
+  return null;
+}
+
+export const HEADER_ASSERTION_OPERATORS = [
+  { value: "present", label: "Is present", needsExpected: false },
+  { value: "absent", label: "Is absent", needsExpected: false },
+  { value: "equals", label: "Equals", needsExpected: true },
+  { value: "contains", label: "Contains", needsExpected: true },
+  { value: "matches", label: "Matches regex", needsExpected: true }
+];
+
+// Header names are case-insensitive (RFC 9110), so everything is looked up lowercased.
+export const normalizeHeaders = headers => {
+  const source = headers && typeof headers.toJSON === "function" ? headers.toJSON() : headers || {};
+  const normalized = {};
+  Object.entries(source).forEach(([name, value]) => {
+    if (value === undefined || value === null) return;
+    normalized[name.toLowerCase()] = Array.isArray(value) ? value.join(", ") : String(value);
+  });
+  return normalized;
+};
+
+export function evaluateHeaderAssertions(assertions, headers) {
+  if (!Array.isArray(assertions) || !assertions.length) return [];
+  const normalized = normalizeHeaders(headers);
+
+  return assertions
+    .filter(assertion => assertion && String(assertion.name ?? "").trim())
+    .map(assertion => {
+      const name = String(assertion.name).trim();
+      const operator = assertion.operator || "present";
+      const definition = HEADER_ASSERTION_OPERATORS.find(op => op.value === operator);
+      const expected = definition?.needsExpected === false ? null : String(assertion.expected ?? "");
+      const present = Object.prototype.hasOwnProperty.call(normalized, name.toLowerCase());
+      const actual = present ? normalized[name.toLowerCase()] : undefined;
+
+      let passed = false;
+      let problem = null;
+      switch (operator) {
+        case "present":
+          passed = present;
+          break;
+        case "absent":
+          passed = !present;
+          break;
+        case "equals":
+          passed = present && actual.trim() === expected.trim();
+          break;
+        case "contains":
+          passed = present && actual.toLowerCase().includes(expected.toLowerCase());
+          break;
+        case "matches":
+          try {
+            passed = present && new RegExp(expected).test(actual);
+          } catch (error) {
+            problem = `invalid regex ${formatValue(expected)}: ${error.message}`;
+          }
+          break;
+        default:
+          problem = `unknown operator "${operator}"`;
+      }
+
+      const label = definition?.label.toLowerCase() || operator;
+      const expectation = expected != null ? `${label} ${formatValue(expected)}` : label;
+      const actualText = present ? formatValue(actual) : "no such header";
+
+      return {
+        name,
+        operator,
+        expected,
+        actual,
+        passed,
+        message: passed
+          ? `Header ${name} ${expectation}`
+          : `Header ${name}: expected ${expectation}, got ${problem || actualText}`
+      };
+    });
+}
+
+export function validateHeaderAssertion(assertion) {
+  if (assertion?.operator === "matches") {
+    try {
+      new RegExp(assertion.expected ?? "");
+    } catch {
+      return "Regex is not valid.";
+    }
+  }
+  return null;
+}
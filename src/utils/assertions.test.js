@@ -0,0 +1,203 @@
+import {
+  evaluateBodyAssertions,
+  evaluateHeaderAssertions,
+  parseResponseBody,
+  resolvePath,
+  validateBodyAssertion,
+  validateHeaderAssertion
+} from "./assertions.js";
+
+const body = {
+  data: {
+    id: 7,
+    name: "Ada",
+    active: true,
+    deleted: null,
+    tags: ["admin", "ops"],
+    items: [{ id: 1, price: 10 }, { id: 2, price: 25 }],
+    "odd key": "yes"
+  }
+};
+
+const check = (operator, path, expected, data = body) =>
+  evaluateBodyAssertions([{ path, operator, expected }], data)[0].passed;
+
+describe("resolvePath", () => {
+  it.each([
+    ["$.data.name", "Ada"],
+    ["data.name", "Ada"],
+    ["$.data.items[1].price", 25],
+    ["data.items.0.id", 1],
+    ["$.data['odd key']", "yes"],
+    ['$["data"]["name"]', "Ada"]
+  ])("resolves %s", (selector, expected) => {
+    expect(resolvePath(body, selector)).toEqual({ found: true, value: expected });
+  });
+
+  it("returns the root for $", () => {
+    expect(resolvePath(body, "$")).toEqual({ found: true, value: body });
+  });
+
+  it("reports missing paths and null values separately", () => {
+    expect(resolvePath(body, "$.data.missing")).toEqual({ found: false, value: undefined });
+    expect(resolvePath(body, "$.data.name.first")).toEqual({ found: false, value: undefined });
+    expect(resolvePath(body, "$.data.deleted")).toEqual({ found: true, value: null });
+  });
+
+  it("collects every match of a wildcard", () => {
+    expect(resolvePath(body, "$.data.items[*].id")).toEqual({ found: true, value: [1, 2] });
+    expect(resolvePath(body, "$.data.items.*.price")).toEqual({ found: true, value: [10, 25] });
+    expect(resolvePath(body, "$.data.tags[*]")).toEqual({ found: true, value: ["admin", "ops"] });
+    expect(resolvePath({ list: [] }, "$.list[*].id")).toEqual({ found: false, value: [] });
+  });
+});
+
+describe("parseResponseBody", () => {
+  it("parses JSON text and leaves everything else alone", () => {
+    expect(parseResponseBody('{"a":1}')).toEqual({ a: 1 });
+    expect(parseResponseBody(" [1, 2] ")).toEqual([1, 2]);
+    expect(parseResponseBody("42")).toBe(42);
+    expect(parseResponseBody("plain text")).toBe("plain text");
+    expect(parseResponseBody("{broken")).toBe("{broken");
+    expect(parseResponseBody({ a: 1 })).toEqual({ a: 1 });
+  });
+});
+
+describe("evaluateBodyAssertions", () => {
+  it("equals compares strings, numbers, booleans and JSON values", () => {
+    expect(check("equals", "$.data.name", "Ada")).toBe(true);
+    expect(check("equals", "$.data.id", "7")).toBe(true);
+    expect(check("equals", "$.data.active", "true")).toBe(true);
+    expect(check("equals", "$.data.deleted", "null")).toBe(true);
+    expect(check("equals", "$.data.tags", '["admin","ops"]')).toBe(true);
+    expect(check("equals", "$.data.name", "Bob")).toBe(false);
+    expect(check("equals", "$.data.missing", "")).toBe(false);
+  });
+
+  it("notEquals passes for different or missing values", () => {
+    expect(check("notEquals", "$.data.name", "Bob")).toBe(true);
+    expect(check("notEquals", "$.data.missing", "Bob")).toBe(true);
+    expect(check("notEquals", "$.data.id", "7")).toBe(false);
+  });
+
+  it("contains looks into strings, arrays and object keys", () => {
+    expect(check("contains", "$.data.name", "d")).toBe(true);
+    expect(check("contains", "$.data.tags", "ops")).toBe(true);
+    expect(check("contains", "$.data.items[*].id", "2")).toBe(true);
+    expect(check("contains", "$.data", "odd key")).toBe(true);
+    expect(check("contains", "$.data.tags", "guest")).toBe(false);
+    expect(check("contains", "$.data.deleted", "x")).toBe(false);
+  });
+
+  it("exists and notExists treat null as present", () => {
+    expect(check("exists", "$.data.deleted")).toBe(true);
+    expect(check("exists", "$.data.missing")).toBe(false);
+    expect(check("notExists", "$.data.missing")).toBe(true);
+    expect(check("notExists", "$.data.id")).toBe(false);
+  });
+
+  it("matches tests the value against a regex", () => {
+    expect(check("matches", "$.data.name", "^A\\w+$")).toBe(true);
+    expect(check("matches", "$.data.id", "^\\d+$")).toBe(true);
+    expect(check("matches", "$.data.name", "^B")).toBe(false);
+  });
+
+  it("reports an invalid regex in the message", () => {
+    const [result] = evaluateBodyAssertions([{ path: "$.data.name", operator: "matches", expected: "(" }], body);
+    expect(result.passed).toBe(false);
+    expect(result.message).toMatch(/invalid regex/);
+  });
+
+  it("greaterThan and lessThan compare numerically", () => {
+    expect(check("greaterThan", "$.data.items[1].price", "20")).toBe(true);
+    expect(check("greaterThan", "$.data.items[0].price", "20")).toBe(false);
+    expect(check("lessThan", "$.data.items[0].price", "20")).toBe(true);
+    expect(check("lessThan", "$.data.name", "20")).toBe(false);
+    expect(check("lessThan", "$.data.deleted", "1")).toBe(false);
+  });
+
+  it("type checks the JSON type, telling arrays and null apart", () => {
+    expect(check("type", "$.data.name", "string")).toBe(true);
+    expect(check("type", "$.data.id", "number")).toBe(true);
+    expect(check("type", "$.data.active", "boolean")).toBe(true);
+    expect(check("type", "$.data", "object")).toBe(true);
+    expect(check("type", "$.data.tags", "array")).toBe(true);
+    expect(check("type", "$.data.deleted", "null")).toBe(true);
+    expect(check("type", "$.data.tags", "object")).toBe(false);
+  });
+
+  it("fails unknown operators with a message", () => {
+    const [result] = evaluateBodyAssertions([{ path: "$.data.id", operator: "between", expected: "1" }], body);
+    expect(result.passed).toBe(false);
+    expect(result.message).toMatch(/unknown operator "between"/);
+  });
+
+  it("parses JSON text bodies, defaults to equals and skips rows without a path", () => {
+    const results = evaluateBodyAssertions(
+      [{ path: "$.ok", expected: "true" }, { path: "  ", operator: "exists" }, null],
+      '{"ok":true}'
+    );
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ path: "$.ok", operator: "equals", passed: true, actual: true });
+  });
+
+  it("says when a path is not found", () => {
+    const [result] = evaluateBodyAssertions([{ path: "$.nope", operator: "equals", expected: "1" }], body);
+    expect(result.message).toBe('$.nope: expected equals "1", got nothing (path not found)');
+  });
+
+  it("returns nothing without assertions", () => {
+    expect(evaluateBodyAssertions(undefined, body)).toEqual([]);
+    expect(evaluateBodyAssertions([], body)).toEqual([]);
+  });
+});
+
+describe("validateBodyAssertion", () => {
+  it("flags bad regexes, non-numeric comparisons and unknown types", () => {
+    expect(validateBodyAssertion({ operator: "matches", expected: "[" })).toBe("Regex is not valid.");
+    expect(validateBodyAssertion({ operator: "greaterThan", expected: "ten" })).toBe("Comparison value must be a number.");
+    expect(validateBodyAssertion({ operator: "lessThan", expected: " " })).toBe("Comparison value must be a number.");
+    expect(validateBodyAssertion({ operator: "type", expected: "date" })).toMatch(/^Type must be one of/);
+    expect(validateBodyAssertion({ operator: "type", expected: "Array" })).toBeNull();
+    expect(validateBodyAssertion({ operator: "equals", expected: "" })).toBeNull();
+  });
+});
+
+describe("evaluateHeaderAssertions", () => {
+  const headers = { "Content-Type": "application/json; charset=utf-8", "Set-Cookie": ["a=1", "b=2"] };
+  const checkHeader = (operator, name, expected) =>
+    evaluateHeaderAssertions([{ name, operator, expected }], headers)[0].passed;
+
+  it("looks headers up case-insensitively", () => {
+    expect(checkHeader("present", "content-type")).toBe(true);
+    expect(checkHeader("present", "X-Missing")).toBe(false);
+    expect(checkHeader("absent", "X-Missing")).toBe(true);
+    expect(checkHeader("absent", "CONTENT-TYPE")).toBe(false);
+  });
+
+  it("supports equals, contains and matches", () => {
+    expect(checkHeader("equals", "Content-Type", " application/json; charset=utf-8 ")).toBe(true);
+    expect(checkHeader("equals", "Content-Type", "application/json")).toBe(false);
+    expect(checkHeader("contains", "Content-Type", "JSON")).toBe(true);
+    expect(checkHeader("contains", "set-cookie", "b=2")).toBe(true);
+    expect(checkHeader("matches", "Content-Type", "^application/\\w+")).toBe(true);
+    expect(checkHeader("matches", "X-Missing", ".*")).toBe(false);
+  });
+
+  it("reads axios header objects through toJSON", () => {
+    const axiosHeaders = { toJSON: () => ({ ETag: "abc" }) };
+    expect(evaluateHeaderAssertions([{ name: "etag", operator: "equals", expected: "abc" }], axiosHeaders)[0].passed).toBe(true);
+  });
+
+  it("explains failures", () => {
+    const [missing] = evaluateHeaderAssertions([{ name: "X-Id", operator: "present" }], headers);
+    expect(missing.message).toBe("Header X-Id: expected is present, got no such header");
+    const [badRegex] = evaluateHeaderAssertions([{ name: "Content-Type", operator: "matches", expected: "(" }], headers);
+    expect(badRegex.message).toMatch(/invalid regex/);
+  });
+
+  it("validates header regexes", () => {
+    expect(validateHeaderAssertion({ operator: "matches", expected: "(" })).toBe("Regex is not valid.");
+    expect(validateHeaderAssertion({ operator: "matches", expected: "^a" })).toBeNull();
+  });
+});
@@ -0,0 +1,77 @@
+import { normalizeHeaders, parseResponseBody, resolvePath } from "./assertions.js";
+
+export const CAPTURE_SOURCES = [
+  { value: "body", label: "JSONPath (body)", placeholder: "$.access_token" },
+  { value: "header", label: "Header", placeholder: "X-Request-Id" },
+  { value: "regex", label: "Regex (body)", placeholder: "\"session\":\"([^\"]+)\"" }
+];
+
+const SECRET_NAME_PATTERN = /token|secret|password|passwd|apikey|api_key|authorization|cookie|session/i;
+
+export const looksSecret = name => SECRET_NAME_PATTERN.test(String(name || ""));
+
+export const maskValue = value => {
+  const text = value == null ? "" : String(value);
+  if (text.length <= 4) return "••••";
+  return `${text.slice(0, 2)}••••${text.slice(-2)}`;
+};
+
+const stringify = value => {
+  if (value == null) return "";
+  return typeof value === "string" ? value : JSON.stringify(value);
+};
+
+const bodyText = data => (typeof data === "string" ? data : stringify(data));
+
+const extractOne = (capture, response) => {
+  const expression = String(capture.expression ?? "").trim();
+  switch (capture.source) {
+    case "header": {
+      const headers = normalizeHeaders(response.headers);
+      const name = expression.toLowerCase();
+      return Object.prototype.hasOwnProperty.call(headers, name)
+        ? { found: true, value: headers[name] }
+        : { found: false, value: undefined };
+    }
+    case "regex": {
+      let pattern;
+      try {
+        pattern = new RegExp(expression);
+      } catch (error) {
+        return { found: false, value: undefined, error: `invalid regex: ${error.message}` };
+      }
+      const match = bodyText(response.data).match(pattern);
+      if (!match) return { found: false, value: undefined };
+      return { found: true, value: match[1] ?? match[0] };
+    }
+    case "body":
+    default: {
+      const { found, value } = resolvePath(parseResponseBody(response.data), expression);
+      return found && value !== undefined ? { found: true, value: stringify(value) } : { found: false, value: undefined };
+    }
+  }
+};
+
+// Pulls run-scoped variables out of a response. Values are always strings so they can be
+// substituted into `{{name}}` placeholders of later cases.
+export function extractCaptures(captures, response) {
+  if (!Array.isArray(captures) || !captures.length || !response) return [];
+
+  return captures
+    .filter(capture => capture && String(capture.variable ?? "").trim() && String(capture.expression ?? "").trim())
+    .map(capture => {
+      const variable = String(capture.variable).trim();
+      const { found, value, error } = extractOne(capture, response);
+      return {
+        variable,
+        source: capture.source || "body",
+        expression: String(capture.expression).trim(),
+        secret: Boolean(capture.secret) || looksSecret(variable),
+        found,
+        value: found ? value : undefined,
+        error: error || null
+      };
+    });
+}
+
+export const displayCaptureValue = capture => (capture.secret ? maskValue(capture.value) : capture.value);
@@ -0,0 +1,72 @@
+import { displayCaptureValue, extractCaptures, looksSecret, maskValue } from "./captures.js";
+
+const response = {
+  data: '{"access_token":"abc123xyz","user":{"id":7,"roles":["admin"]},"empty":null}',
+  headers: { "X-Request-Id": "req-1", "Set-Cookie": ["a=1", "b=2"] }
+};
+
+const capture = (source, expression, variable = "value") => extractCaptures([{ variable, source, expression }], response)[0];
+
+describe("extractCaptures", () => {
+  it("captures body values as strings", () => {
+    expect(capture("body", "$.access_token")).toMatchObject({ found: true, value: "abc123xyz" });
+    expect(capture("body", "$.user.id")).toMatchObject({ found: true, value: "7" });
+    expect(capture("body", "$.user.roles")).toMatchObject({ found: true, value: '["admin"]' });
+    expect(capture("body", "$.empty")).toMatchObject({ found: true, value: "" });
+  });
+
+  it("captures headers case-insensitively", () => {
+    expect(capture("header", "x-request-id")).toMatchObject({ found: true, value: "req-1" });
+    expect(capture("header", "set-cookie")).toMatchObject({ found: true, value: "a=1, b=2" });
+    expect(capture("header", "X-Missing")).toMatchObject({ found: false, value: undefined });
+  });
+
+  it("captures the first regex group, or the whole match without one", () => {
+    expect(capture("regex", '"id":(\\d+)')).toMatchObject({ found: true, value: "7" });
+    expect(capture("regex", "abc\\d+")).toMatchObject({ found: true, value: "abc123" });
+    expect(capture("regex", "nothing here")).toMatchObject({ found: false });
+    expect(capture("regex", "(")).toMatchObject({ found: false, error: expect.stringMatching(/^invalid regex/) });
+  });
+
+  it("reports missing body paths", () => {
+    expect(capture("body", "$.nope")).toMatchObject({ found: false, value: undefined, error: null });
+  });
+
+  it("defaults to the body source and skips incomplete rows", () => {
+    const results = extractCaptures([
+      { variable: "id", expression: "$.user.id" },
+      { variable: "", expression: "$.x" },
+      { variable: "y", expression: " " }
+    ], response);
+    expect(results).toEqual([
+      { variable: "id", source: "body", expression: "$.user.id", secret: false, found: true, value: "7", error: null }
+    ]);
+  });
+
+  it("marks secret-looking variables and explicit secrets", () => {
+    expect(capture("body", "$.access_token", "accessToken").secret).toBe(true);
+    expect(extractCaptures([{ variable: "id", expression: "$.user.id", secret: true }], response)[0].secret).toBe(true);
+  });
+
+  it("returns nothing without captures or a response", () => {
+    expect(extractCaptures([], response)).toEqual([]);
+    expect(extractCaptures([{ variable: "a", expression: "$.a" }], null)).toEqual([]);
+  });
+});
+
+describe("secret values", () => {
+  it("recognises secret names", () => {
+    ["token", "clientSecret", "PASSWORD", "api_key", "Authorization", "sessionId"].forEach(name => {
+      expect(looksSecret(name)).toBe(true);
+    });
+    expect(looksSecret("userId")).toBe(false);
+  });
+
+  it("masks all but the ends of a value", () => {
+    expect(maskValue("abc123xyz")).toBe("ab••••yz");
+    expect(maskValue("abcd")).toBe("••••");
+    expect(maskValue(null)).toBe("••••");
+    expect(displayCaptureValue({ secret: true, value: "abc123xyz" })).toBe("ab••••yz");
+    expect(displayCaptureValue({ secret: false, value: "abc123xyz" })).toBe("abc123xyz");
+  });
+});
@@ -0,0 +1,237 @@
+import { v4 as uuidv4 } from "uuid";
+import { createTestCase, normalizeFolder } from "./testCases.js";
+import { normalizeRetryPolicy } from "./retry.js";
+
+export const COLLECTION_FORMAT = "chibaka-collection";
+export const COLLECTION_SCHEMA_VERSION = 1;
+
+export const CONFLICT_STRATEGIES = [
+  { value: "overwrite", label: "Overwrite with imported" },
+  { value: "keep", label: "Keep existing" },
+  { value: "copy", label: "Import as copies" }
+];
+
+const DEFAULT_SETTINGS = {
+  concurrency: 1,
+  retryPolicy: null,
+  mockMode: false,
+  activeEnvironmentId: null
+};
+
+// Run state is per browser and goes stale, so it never leaves the app.
+const stripRunState = ({ lastRun, ...testCase }) => testCase;
+
+/**
+ * Builds the export file: `{ format, schemaVersion, exportedAt, testCases, suites, environments, settings }`.
+ * `suites` lists every folder in use as `{ path, serial }`; `settings` carries the run settings
+ * (`concurrency`, `retryPolicy`, `mockMode`, `activeEnvironmentId`).
+ */
+export function buildCollection({ testCases = [], environments = [], serialSuites = [], settings = {} }) {
+  const paths = new Set([
+    ...testCases.map(tc => normalizeFolder(tc.folder)),
+    ...serialSuites.map(normalizeFolder)
+  ].filter(Boolean));
+  return {
+    format: COLLECTION_FORMAT,
+    schemaVersion: COLLECTION_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    testCases: testCases.map(stripRunState),
+    suites: [...paths].sort().map(path => ({ path, serial: serialSuites.map(normalizeFolder).includes(path) })),
+    environments: environments.map(env => ({ id: env.id, name: env.name, variables: env.variables || [] })),
+    settings: { ...DEFAULT_SETTINGS, ...settings }
+  };
+}
+
+// Each migration lifts a file from the version it is keyed by to the next one.
+const MIGRATIONS = {
+  // Unversioned files: a saved list of cases, a single case, or `{ testCases, environments, serialSuites }`.
+  0: data => {
+    const source = Array.isArray(data) ? { testCases: data } : Array.isArray(data?.testCases) ? data : { testCases: [data] };
+    return {
+      format: COLLECTION_FORMAT,
+      schemaVersion: 1,
+      testCases: source.testCases,
+      suites: (source.serialSuites || []).map(path => ({ path, serial: true })),
+      environments: source.environments || [],
+      settings: {}
+    };
+  }
+};
+
+const schemaVersionOf = data => {
+  if (Array.isArray(data) || data?.schemaVersion == null) return 0;
+  const version = Number(data.schemaVersion);
+  if (!Number.isInteger(version) || version < 1) throw new Error(`Unknown schemaVersion "${data.schemaVersion}".`);
+  return version;
+};
+
+/** Brings an exported file of any supported version up to COLLECTION_SCHEMA_VERSION. */
+export function migrateCollection(data) {
+  if (!data || typeof data !== "object") throw new Error("The file does not contain a collection.");
+  if (data.format != null && data.format !== COLLECTION_FORMAT) {
+    throw new Error(`Expected a ${COLLECTION_FORMAT} file, got "${data.format}".`);
+  }
+  let version = schemaVersionOf(data);
+  if (version > COLLECTION_SCHEMA_VERSION) {
+    throw new Error(`This collection uses schema version ${version}; this version of the app reads up to ${COLLECTION_SCHEMA_VERSION}.`);
+  }
+  let migrated = data;
+  while (version < COLLECTION_SCHEMA_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version += 1;
+  }
+  return migrated;
+}
+
+// Gives every entry an id, replacing ids that repeat within the file.
+const withUniqueIds = entries => {
+  const seen = new Set();
+  return entries.map(entry => {
+    const id = entry.id && !seen.has(entry.id) ? entry.id : uuidv4();
+    seen.add(id);
+    return { ...entry, id };
+  });
+};
+
+/**
+ * Reads a collection from JSON text or a parsed object and returns it migrated and normalized:
+ * `{ schemaVersion, sourceVersion, testCases, suites, environments, settings, serialSuites }`.
+ * Throws an Error with a readable message when the file cannot be used.
+ */
+export function parseCollection(input) {
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      throw new Error("The file is not valid JSON.");
+    }
+  }
+  const sourceVersion = schemaVersionOf(data);
+  const collection = migrateCollection(data);
+  if (!Array.isArray(collection.testCases)) throw new Error("The collection has no testCases list.");
+
+  const invalid = collection.testCases.findIndex(tc => !tc || typeof tc !== "object" || typeof tc.url !== "string");
+  if (invalid !== -1) throw new Error(`Test case ${invalid + 1} has no URL.`);
+
+  const testCases = withUniqueIds(collection.testCases.map(tc => stripRunState(createTestCase(tc))));
+  const environments = withUniqueIds((collection.environments || [])
+    .filter(env => env && typeof env === "object")
+    .map(env => ({
+      id: env.id,
+      name: String(env.name || "Imported environment"),
+      variables: (Array.isArray(env.variables) ? env.variables : [])
+        .filter(variable => variable && typeof variable.key === "string")
+        .map(({ key, value }) => ({ key, value: value == null ? "" : String(value) }))
+    })));
+  const suites = (collection.suites || [])
+    .map(suite => ({ path: normalizeFolder(suite?.path), serial: Boolean(suite?.serial) }))
+    .filter(suite => suite.path);
+  const rawSettings = { ...DEFAULT_SETTINGS, ...(collection.settings || {}) };
+  const concurrency = Math.floor(Number(rawSettings.concurrency));
+  const settings = {
+    concurrency: Number.isFinite(concurrency) ? Math.min(16, Math.max(1, concurrency)) : 1,
+    retryPolicy: rawSettings.retryPolicy ? normalizeRetryPolicy(rawSettings.retryPolicy) : null,
+    mockMode: Boolean(rawSettings.mockMode),
+    activeEnvironmentId: environments.some(env => env.id === rawSettings.activeEnvironmentId)
+      ? rawSettings.activeEnvironmentId
+      : null
+  };
+
+  return {
+    schemaVersion: COLLECTION_SCHEMA_VERSION,
+    sourceVersion,
+    testCases,
+    suites,
+    environments,
+    settings,
+    serialSuites: suites.filter(suite => suite.serial).map(suite => suite.path)
+  };
+}
+
+// Key order differs between cases saved by different versions, so keys are sorted before comparing.
+const canonical = value => JSON.stringify(value, (key, inner) => (inner && typeof inner === "object" && !Array.isArray(inner)
+  ? Object.fromEntries(Object.keys(inner).sort().map(name => [name, inner[name]]))
+  : inner));
+
+const sameContent = (a, b) => canonical(a) === canonical(b);
+
+// What counts as "the same" case or environment when ids match.
+const caseContent = tc => stripRunState(createTestCase(tc));
+const environmentContent = env => ({ name: env.name, variables: env.variables });
+
+/**
+ * Entries of `incoming` whose id is already used in `existing` with different content:
+ * `{ testCases: [{ id, existing, incoming }], environments: [...] }`. Identical entries are not conflicts.
+ */
+export function findConflicts(existing, incoming) {
+  const compare = (current, imported, content) => imported.flatMap(entry => {
+    const match = current.find(candidate => candidate.id === entry.id);
+    return match && !sameContent(content(match), content(entry)) ? [{ id: entry.id, existing: match, incoming: entry }] : [];
+  });
+  return {
+    testCases: compare(existing.testCases || [], incoming.testCases, caseContent),
+    environments: compare(existing.environments || [], incoming.environments, environmentContent)
+  };
+}
+
+// Merges `incoming` into `current` by id; conflicting entries follow `strategy`, copies get new ids.
+const mergeById = (current, incoming, strategy, { content, copyOf }) => {
+  const next = [...current];
+  const counts = { added: 0, replaced: 0, kept: 0, copied: 0, unchanged: 0 };
+  incoming.forEach(entry => {
+    const index = next.findIndex(candidate => candidate.id === entry.id);
+    if (index === -1) {
+      next.push(entry);
+      counts.added += 1;
+    } else if (sameContent(content(next[index]), content(entry))) {
+      counts.unchanged += 1;
+    } else if (strategy === "overwrite") {
+      next[index] = entry;
+      counts.replaced += 1;
+    } else if (strategy === "copy") {
+      next.push(copyOf(entry));
+      counts.copied += 1;
+    } else {
+      counts.kept += 1;
+    }
+  });
+  return { entries: next, counts };
+};
+
+/**
+ * Applies a parsed collection to the app state `{ testCases, environments, serialSuites, settings }`.
+ * "replace" swaps in the collection wholesale, settings included. "merge" adds its cases and
+ * environments, resolves id conflicts with `onConflict` ("overwrite", "keep" or "copy"), adds its
+ * serial suites and keeps the current settings. Returns the next state plus `summary` counts.
+ */
+export function applyCollection(current, collection, { mode = "merge", onConflict = "keep" } = {}) {
+  if (mode === "replace") {
+    return {
+      testCases: collection.testCases,
+      environments: collection.environments,
+      serialSuites: collection.serialSuites,
+      settings: collection.settings,
+      summary: {
+        testCases: { added: collection.testCases.length },
+        environments: { added: collection.environments.length }
+      }
+    };
+  }
+
+  const cases = mergeById(current.testCases || [], collection.testCases, onConflict, {
+    content: caseContent,
+    copyOf: tc => ({ ...tc, id: uuidv4(), caseName: `${tc.caseName || "Untitled"} (imported)` })
+  });
+  const environments = mergeById(current.environments || [], collection.environments, onConflict, {
+    content: environmentContent,
+    copyOf: env => ({ ...env, id: uuidv4(), name: `${env.name} (imported)` })
+  });
+  return {
+    testCases: cases.entries,
+    environments: environments.entries,
+    serialSuites: [...new Set([...(current.serialSuites || []), ...collection.serialSuites])],
+    settings: current.settings,
+    summary: { testCases: cases.counts, environments: environments.counts }
+  };
+}
@@ -0,0 +1,132 @@
+import {
+  COLLECTION_FORMAT,
+  COLLECTION_SCHEMA_VERSION,
+  applyCollection,
+  buildCollection,
+  findConflicts,
+  migrateCollection,
+  parseCollection
+} from "./collection.js";
+import { runTestSuite } from "./testRunner.js";
+
+const testCase = fields => ({ id: "a", caseName: "List users", method: "GET", url: "{{baseUrl}}/users", folder: "Users", ...fields });
+
+describe("buildCollection", () => {
+  it("exports cases without run state, every suite and the settings", () => {
+    const collection = buildCollection({
+      testCases: [testCase({ lastRun: { ok: true } }), testCase({ id: "b", folder: "" })],
+      environments: [{ id: "qa", name: "QA", variables: [{ key: "baseUrl", value: "https://qa.test" }], extra: 1 }],
+      serialSuites: ["Orders/"],
+      settings: { concurrency: 4 }
+    });
+    expect(collection).toMatchObject({
+      format: COLLECTION_FORMAT,
+      schemaVersion: COLLECTION_SCHEMA_VERSION,
+      suites: [{ path: "Orders", serial: true }, { path: "Users", serial: false }],
+      environments: [{ id: "qa", name: "QA", variables: [{ key: "baseUrl", value: "https://qa.test" }] }],
+      settings: { concurrency: 4, retryPolicy: null, mockMode: false, activeEnvironmentId: null }
+    });
+    expect(collection.testCases[0]).not.toHaveProperty("lastRun");
+  });
+
+  it("round-trips through parseCollection", () => {
+    const exported = buildCollection({ testCases: [testCase()], environments: [{ id: "qa", name: "QA", variables: [] }], settings: { activeEnvironmentId: "qa" } });
+    const parsed = parseCollection(JSON.stringify(exported));
+    expect(parsed.sourceVersion).toBe(COLLECTION_SCHEMA_VERSION);
+    expect(parsed.testCases[0]).toMatchObject({ id: "a", caseName: "List users", folder: "Users" });
+    expect(parsed.settings.activeEnvironmentId).toBe("qa");
+  });
+});
+
+describe("migrateCollection", () => {
+  it("lifts unversioned files: a list, a single case or the old bundle", () => {
+    expect(migrateCollection([testCase()])).toMatchObject({ schemaVersion: 1, testCases: [testCase()], suites: [] });
+    expect(migrateCollection(testCase()).testCases).toEqual([testCase()]);
+    expect(migrateCollection({ testCases: [testCase()], serialSuites: ["Users"] }).suites).toEqual([{ path: "Users", serial: true }]);
+  });
+
+  it("rejects other formats and newer versions", () => {
+    expect(() => migrateCollection({ format: "postman", testCases: [] })).toThrow('Expected a chibaka-collection file, got "postman".');
+    expect(() => migrateCollection({ schemaVersion: 99, testCases: [] })).toThrow(/schema version 99/);
+    expect(() => migrateCollection({ schemaVersion: "x" })).toThrow('Unknown schemaVersion "x".');
+  });
+});
+
+describe("parseCollection", () => {
+  it("normalizes cases, environments and settings", () => {
+    const parsed = parseCollection({
+      schemaVersion: 1,
+      testCases: [testCase({ lastRun: {} }), testCase({ caseName: "Duplicate id" })],
+      environments: [{ id: "qa", variables: [{ key: "n", value: 5 }, { value: "no key" }] }],
+      suites: [{ path: " Users/ ", serial: 1 }, { path: "" }],
+      settings: { concurrency: 99, activeEnvironmentId: "gone" }
+    });
+    expect(parsed.testCases[0]).not.toHaveProperty("lastRun");
+    expect(parsed.testCases[1].id).not.toBe("a");
+    expect(parsed.environments).toEqual([{ id: "qa", name: "Imported environment", variables: [{ key: "n", value: "5" }] }]);
+    expect(parsed.serialSuites).toEqual(["Users"]);
+    expect(parsed.settings).toMatchObject({ concurrency: 16, activeEnvironmentId: null });
+  });
+
+  it("leaves a missing expected status empty, so a 2xx mock passes", async () => {
+    const { testCases } = parseCollection([{ id: "ping", method: "GET", url: "https://api.test/ping", mock: { status: 200, body: "{}" } }]);
+    expect(testCases[0].expectedStatus).toBeNull();
+    const { results } = await runTestSuite(testCases, { mocks: testCases });
+    expect(results[0]).toMatchObject({ ok: true, status: 200 });
+  });
+
+  it("explains files it cannot use", () => {
+    expect(() => parseCollection("{")).toThrow("The file is not valid JSON.");
+    expect(() => parseCollection({ schemaVersion: 1 })).toThrow("The collection has no testCases list.");
+    expect(() => parseCollection([{ id: "x" }])).toThrow("Test case 1 has no URL.");
+  });
+});
+
+describe("merging", () => {
+  const current = {
+    testCases: [testCase(), testCase({ id: "same" })],
+    environments: [{ id: "qa", name: "QA", variables: [] }],
+    serialSuites: ["Users"],
+    settings: { concurrency: 2 }
+  };
+  const incoming = parseCollection({
+    schemaVersion: 1,
+    testCases: [
+      testCase({ caseName: "Changed" }),
+      { ...testCase({ id: "same" }), lastRun: { ok: false } },
+      testCase({ id: "new" })
+    ],
+    environments: [{ id: "qa", name: "QA", variables: [{ key: "k", value: "v" }] }],
+    suites: [{ path: "Orders", serial: true }],
+    settings: { concurrency: 8 }
+  });
+
+  it("reports only entries whose content differs", () => {
+    const conflicts = findConflicts(current, incoming);
+    expect(conflicts.testCases.map(conflict => conflict.id)).toEqual(["a"]);
+    expect(conflicts.environments.map(conflict => conflict.id)).toEqual(["qa"]);
+  });
+
+  it("resolves conflicts with the chosen strategy and keeps the current settings", () => {
+    const keep = applyCollection(current, incoming, { onConflict: "keep" });
+    expect(keep.testCases.map(tc => [tc.id, tc.caseName])).toEqual([["a", "List users"], ["same", "List users"], ["new", "List users"]]);
+    expect(keep.summary.testCases).toEqual({ added: 1, replaced: 0, kept: 1, copied: 0, unchanged: 1 });
+    expect(keep.serialSuites).toEqual(["Users", "Orders"]);
+    expect(keep.settings).toBe(current.settings);
+
+    const overwrite = applyCollection(current, incoming, { onConflict: "overwrite" });
+    expect(overwrite.testCases[0].caseName).toBe("Changed");
+    expect(overwrite.environments[0].variables).toEqual([{ key: "k", value: "v" }]);
+
+    const copy = applyCollection(current, incoming, { onConflict: "copy" });
+    expect(copy.testCases.map(tc => tc.caseName)).toEqual(["List users", "List users", "Changed (imported)", "List users"]);
+    expect(copy.environments.map(env => env.name)).toEqual(["QA", "QA (imported)"]);
+  });
+
+  it("replaces everything, settings included, in replace mode", () => {
+    const replaced = applyCollection(current, incoming, { mode: "replace" });
+    expect(replaced.testCases).toBe(incoming.testCases);
+    expect(replaced.settings.concurrency).toBe(8);
+    expect(replaced.summary).toEqual({ testCases: { added: 3 }, environments: { added: 1 } });
+  });
+});
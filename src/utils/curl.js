@@ -0,0 +1,330 @@
+import { buildRequest } from "./testRunner.js";
+import { resolveTestCase } from "./environments.js";
+
+// curl options that consume the following argument but have no meaning for a saved case.
+const IGNORED_OPTIONS_WITH_VALUE = new Set([
+  "-o", "--output", "-m", "--max-time", "--connect-timeout", "-x", "--proxy", "-w", "--write-out",
+  "--retry", "--retry-delay", "--cacert", "--cert", "--key", "-E", "-c", "--cookie-jar", "--resolve",
+  "--limit-rate", "-r", "--range", "--max-redirs", "--interface", "-K", "--config"
+]);
+
+const DATA_OPTIONS = new Set(["-d", "--data", "--data-raw", "--data-binary", "--data-ascii", "--data-urlencode", "--json"]);
+const FORM_OPTIONS = new Set(["-F", "--form", "--form-string"]);
+
+const ANSI_ESCAPES = { n: "\n", r: "\r", t: "\t", "\\": "\\", "'": "'", "\"": "\"", a: "\x07", b: "\b", e: "\x1b", f: "\f", v: "\v" };
+
+// Splits a shell command line the way bash would for the quoting styles devtools and docs emit:
+// '…', "…", $'…' (ANSI-C), backslash escapes and line continuations.
+export function tokenizeShell(input) {
+  const text = String(input ?? "");
+  const tokens = [];
+  let current = "";
+  let inToken = false;
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === "\\" && (text[i + 1] === "\n" || (text[i + 1] === "\r" && text[i + 2] === "\n"))) {
+      i += text[i + 1] === "\r" ? 3 : 2;
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      if (inToken) tokens.push(current);
+      current = "";
+      inToken = false;
+      i += 1;
+      continue;
+    }
+
+    inToken = true;
+    if (ch === "$" && text[i + 1] === "'") {
+      i += 2;
+      while (i < text.length && text[i] !== "'") {
+        if (text[i] === "\\" && i + 1 < text.length) {
+          const next = text[i + 1];
+          if (next === "x" && /^[0-9a-fA-F]{2}$/.test(text.slice(i + 2, i + 4))) {
+            current += String.fromCharCode(parseInt(text.slice(i + 2, i + 4), 16));
+            i += 4;
+          } else if (next === "u" && /^[0-9a-fA-F]{4}$/.test(text.slice(i + 2, i + 6))) {
+            current += String.fromCharCode(parseInt(text.slice(i + 2, i + 6), 16));
+            i += 6;
+          } else {
+            current += ANSI_ESCAPES[next] ?? `\\${next}`;
+            i += 2;
+          }
+        } else {
+          current += text[i];
+          i += 1;
+        }
+      }
+      if (i >= text.length) throw new Error("Unterminated $'…' string.");
+      i += 1;
+    } else if (ch === "'") {
+      const end = text.indexOf("'", i + 1);
+      if (end === -1) throw new Error("Unterminated single-quoted string.");
+      current += text.slice(i + 1, end);
+      i = end + 1;
+    } else if (ch === "\"") {
+      i += 1;
+      while (i < text.length && text[i] !== "\"") {
+        if (text[i] === "\\" && "\"\\$`\n".includes(text[i + 1])) {
+          if (text[i + 1] !== "\n") current += text[i + 1];
+          i += 2;
+        } else {
+          current += text[i];
+          i += 1;
+        }
+      }
+      if (i >= text.length) throw new Error("Unterminated double-quoted string.");
+      i += 1;
+    } else if (ch === "\\" && i + 1 < text.length) {
+      current += text[i + 1];
+      i += 2;
+    } else {
+      current += ch;
+      i += 1;
+    }
+  }
+
+  if (inToken) tokens.push(current);
+  return tokens;
+}
+
+const splitHeader = line => {
+  const index = line.indexOf(":");
+  if (index === -1) return { key: line.trim(), value: "" };
+  return { key: line.slice(0, index).trim(), value: line.slice(index + 1).trim() };
+};
+
+const decodeBase64 = value => {
+  try {
+    return typeof atob === "function" ? atob(value) : Buffer.from(value, "base64").toString("utf8");
+  } catch {
+    return null;
+  }
+};
+
+const parseUrlEncoded = text => {
+  const params = new URLSearchParams(text);
+  return [...params.entries()].map(([key, value]) => ({ key, value }));
+};
+
+/**
+ * Parses a `curl` command into RequestForm fields. Returns `{ fields, warnings }`; `fields`
+ * holds method, url, headers, authType, auth, bodyType, rawBody and formData.
+ */
+export function parseCurlCommand(command) {
+  const tokens = tokenizeShell(command);
+  if (!tokens.length || !/(^|\/)curl(\.exe)?$/i.test(tokens[0])) {
+    throw new Error("The command must start with curl.");
+  }
+
+  const warnings = [];
+  let method = null;
+  let url = "";
+  let forceGet = false;
+  const headers = [];
+  const data = [];
+  const formData = [];
+  let basicUser = null;
+  let jsonShortcut = false;
+
+  for (let i = 1; i < tokens.length; i += 1) {
+    let token = tokens[i];
+    let value = null;
+
+    // Short options may carry their value attached: -XPOST, -H'Accept: */*'.
+    const attached = /^-([XHdFuAbe])(.+)$/.exec(token);
+    if (attached) {
+      token = `-${attached[1]}`;
+      value = attached[2];
+    } else if (token.startsWith("--") && token.includes("=")) {
+      const [name, ...rest] = token.split("=");
+      token = name;
+      value = rest.join("=");
+    }
+    const next = () => {
+      if (value != null) return value;
+      i += 1;
+      if (i >= tokens.length) throw new Error(`Option ${token} is missing its value.`);
+      return tokens[i];
+    };
+
+    if (token === "-X" || token === "--request") {
+      method = next().toUpperCase();
+    } else if (token === "-H" || token === "--header") {
+      const header = splitHeader(next());
+      if (header.key) headers.push(header);
+    } else if (token === "-A" || token === "--user-agent") {
+      headers.push({ key: "User-Agent", value: next() });
+    } else if (token === "-e" || token === "--referer") {
+      headers.push({ key: "Referer", value: next() });
+    } else if (token === "-b" || token === "--cookie") {
+      const cookie = next();
+      if (cookie.includes("=")) headers.push({ key: "Cookie", value: cookie });
+      else warnings.push(`Cookie file "${cookie}" was ignored.`);
+    } else if (token === "-u" || token === "--user") {
+      basicUser = next();
+    } else if (DATA_OPTIONS.has(token)) {
+      const payload = next();
+      if (token === "--json") jsonShortcut = true;
+      if (payload.startsWith("@") && token !== "--data-raw") {
+        warnings.push(`Body file "${payload.slice(1)}" cannot be read; the body was left empty.`);
+      } else {
+        data.push(token === "--data-urlencode" && payload.includes("=")
+          ? `${payload.slice(0, payload.indexOf("="))}=${encodeURIComponent(payload.slice(payload.indexOf("=") + 1))}`
+          : payload);
+      }
+    } else if (FORM_OPTIONS.has(token)) {
+      const field = next();
+      const index = field.indexOf("=");
+      const key = index === -1 ? field : field.slice(0, index);
+      const fieldValue = index === -1 ? "" : field.slice(index + 1);
+      if (token !== "--form-string" && /^[@<]/.test(fieldValue)) {
+        warnings.push(`Form field "${key}" uploads a file, which is not supported; the field was skipped.`);
+      } else {
+        formData.push({ key, value: fieldValue });
+      }
+    } else if (token === "-G" || token === "--get") {
+      forceGet = true;
+    } else if (token === "-I" || token === "--head") {
+      method = "HEAD";
+    } else if (token === "--url") {
+      url = next();
+    } else if (IGNORED_OPTIONS_WITH_VALUE.has(token)) {
+      next();
+    } else if (token.startsWith("-") && token.length > 1) {
+      // Flags such as -s, -L, -k, --compressed and --location do not change the request.
+    } else if (!url) {
+      url = token;
+    } else {
+      warnings.push(`Unexpected argument "${token}" was ignored.`);
+    }
+  }
+
+  if (!url) throw new Error("No URL found in the curl command.");
+
+  if (forceGet && data.length) {
+    url += (url.includes("?") ? "&" : "?") + data.join("&");
+    data.length = 0;
+  }
+
+  const contentTypeIndex = headers.findIndex(h => h.key.toLowerCase() === "content-type");
+  const contentType = contentTypeIndex === -1 ? "" : headers[contentTypeIndex].value.toLowerCase();
+  if (jsonShortcut && contentTypeIndex === -1) {
+    headers.push({ key: "Content-Type", value: "application/json" }, { key: "Accept", value: "application/json" });
+  }
+
+  let authType = "None";
+  let auth = {};
+  if (basicUser != null) {
+    const index = basicUser.indexOf(":");
+    authType = "Basic";
+    auth = index === -1
+      ? { username: basicUser, password: "" }
+      : { username: basicUser.slice(0, index), password: basicUser.slice(index + 1) };
+  } else {
+    const authIndex = headers.findIndex(h => h.key.toLowerCase() === "authorization");
+    const authValue = authIndex === -1 ? "" : headers[authIndex].value;
+    const bearer = /^Bearer\s+(.+)$/i.exec(authValue);
+    const basic = /^Basic\s+(.+)$/i.exec(authValue);
+    const decoded = basic ? decodeBase64(basic[1].trim()) : null;
+    if (bearer) {
+      authType = "Bearer";
+      auth = { token: bearer[1].trim() };
+      headers.splice(authIndex, 1);
+    } else if (decoded && decoded.includes(":")) {
+      authType = "Basic";
+      auth = { username: decoded.slice(0, decoded.indexOf(":")), password: decoded.slice(decoded.indexOf(":") + 1) };
+      headers.splice(authIndex, 1);
+    }
+  }
+
+  let bodyType = "raw";
+  let rawBody = "";
+  let fields = [];
+  if (formData.length) {
+    bodyType = "form-data";
+    fields = formData;
+    const index = headers.findIndex(h => h.key.toLowerCase() === "content-type");
+    if (index !== -1) headers.splice(index, 1);
+  } else if (data.length) {
+    const joined = data.join("&");
+    let isJson = false;
+    try {
+      JSON.parse(joined);
+      isJson = true;
+    } catch {
+      isJson = false;
+    }
+    if (!isJson && (contentType.includes("x-www-form-urlencoded") || (!contentType && /^[^=&\s]+=[^&]*(&[^=&\s]+=[^&]*)*$/.test(joined)))) {
+      bodyType = "urlencoded";
+      fields = parseUrlEncoded(joined);
+    } else {
+      rawBody = isJson ? JSON.stringify(JSON.parse(joined), null, 2) : joined;
+    }
+  }
+
+  return {
+    fields: {
+      method: method || (forceGet ? "GET" : data.length || formData.length ? "POST" : "GET"),
+      url,
+      headers,
+      authType,
+      auth,
+      bodyType,
+      rawBody,
+      formData: fields
+    },
+    warnings
+  };
+}
+
+const quote = value => `'${String(value).replace(/'/g, "'\\''")}'`;
+
+// Placeholder sent instead of an OAuth2 token, which is only fetched at run time.
+const OAUTH_TOKEN_PLACEHOLDER = { tokenType: "Bearer", accessToken: "<access-token>" };
+
+/**
+ * Renders a saved case as a curl command that sends what the runner would send, after
+ * resolving `{{variables}}`. Pre-request scripts are not run.
+ */
+export function toCurlCommand(testCase, { variables = {} } = {}) {
+  const resolved = resolveTestCase(testCase, variables);
+  const request = buildRequest(resolved, {
+    oauthToken: resolved.authType === "OAuth2" ? OAUTH_TOKEN_PLACEHOLDER : null
+  });
+  const headers = { ...request.headers };
+  const hasHeader = name => Object.keys(headers).some(key => key.toLowerCase() === name);
+  const lines = [];
+
+  if (request.method === "HEAD") {
+    lines.push(`curl --head ${quote(request.url)}`);
+  } else if (request.method !== "GET" || request.data !== undefined) {
+    lines.push(`curl -X ${request.method} ${quote(request.url)}`);
+  } else {
+    lines.push(`curl ${quote(request.url)}`);
+  }
+
+  let bodyLines = [];
+  if (request.isFormData) {
+    const entries = typeof request.data?.entries === "function" ? [...request.data.entries()] : Object.entries(request.data || {});
+    bodyLines = entries.map(([key, value]) => `--form-string ${quote(`${key}=${value}`)}`);
+  } else if (request.data !== undefined) {
+    // axios serialises objects as JSON and labels them; plain strings go out as-is.
+    if (typeof request.data === "string") {
+      if (!hasHeader("content-type")) headers["Content-Type"] = "text/plain;charset=UTF-8";
+      bodyLines = [`--data-raw ${quote(request.data)}`];
+    } else {
+      if (!hasHeader("content-type")) headers["Content-Type"] = "application/json";
+      bodyLines = [`--data-raw ${quote(JSON.stringify(request.data))}`];
+    }
+  }
+
+  Object.entries(headers).forEach(([key, value]) => {
+    lines.push(`-H ${quote(`${key}: ${value ?? ""}`)}`);
+  });
+
+  return [...lines, ...bodyLines].join(" \\\n  ");
+}
@@ -0,0 +1,151 @@
+import { parseCurlCommand, toCurlCommand, tokenizeShell } from "./curl.js";
+
+describe("tokenizeShell", () => {
+  it("handles quotes, escapes and line continuations", () => {
+    expect(tokenizeShell(`curl 'a b' "c \\"d\\"" e\\ f \\\n  $'g\\nh\\x41'`)).toEqual(["curl", "a b", 'c "d"', "e f", "g\nhA"]);
+  });
+
+  it("rejects unterminated strings", () => {
+    expect(() => tokenizeShell("curl 'open")).toThrow("Unterminated single-quoted string.");
+    expect(() => tokenizeShell('curl "open')).toThrow("Unterminated double-quoted string.");
+  });
+});
+
+describe("parseCurlCommand", () => {
+  it("reads method, url, headers and a JSON body", () => {
+    const { fields, warnings } = parseCurlCommand(`curl -XPOST 'https://api.test/users?x=1' \\
+      -H 'Accept: application/json' -H "Content-Type: application/json" \\
+      --data-raw '{"name":"ada"}' --compressed -s`);
+    expect(warnings).toEqual([]);
+    expect(fields).toEqual({
+      method: "POST",
+      url: "https://api.test/users?x=1",
+      headers: [{ key: "Accept", value: "application/json" }, { key: "Content-Type", value: "application/json" }],
+      authType: "None",
+      auth: {},
+      bodyType: "raw",
+      rawBody: '{\n  "name": "ada"\n}',
+      formData: []
+    });
+  });
+
+  it("turns credentials into auth settings", () => {
+    expect(parseCurlCommand("curl -u ada:secret https://api.test").fields).toMatchObject({
+      authType: "Basic",
+      auth: { username: "ada", password: "secret" }
+    });
+    const bearer = parseCurlCommand("curl https://api.test -H 'Authorization: Bearer abc.def'").fields;
+    expect(bearer).toMatchObject({ authType: "Bearer", auth: { token: "abc.def" }, headers: [] });
+    expect(parseCurlCommand(`curl https://api.test -H 'Authorization: Basic ${btoa("u:p")}'`).fields).toMatchObject({
+      authType: "Basic",
+      auth: { username: "u", password: "p" }
+    });
+  });
+
+  it("detects form bodies and skips file uploads", () => {
+    const urlencoded = parseCurlCommand("curl https://api.test -d a=1 -d b=two").fields;
+    expect(urlencoded).toMatchObject({ method: "POST", bodyType: "urlencoded", formData: [{ key: "a", value: "1" }, { key: "b", value: "two" }] });
+
+    const { fields, warnings } = parseCurlCommand("curl https://api.test -F name=ada -F avatar=@me.png");
+    expect(fields).toMatchObject({ bodyType: "form-data", formData: [{ key: "name", value: "ada" }] });
+    expect(warnings).toEqual(['Form field "avatar" uploads a file, which is not supported; the field was skipped.']);
+  });
+
+  it("moves data into the query with -G", () => {
+    expect(parseCurlCommand("curl -G https://api.test/search -d q=x").fields).toMatchObject({
+      method: "GET",
+      url: "https://api.test/search?q=x",
+      rawBody: ""
+    });
+  });
+
+  it("explains commands it cannot use", () => {
+    expect(() => parseCurlCommand("wget https://api.test")).toThrow("The command must start with curl.");
+    expect(() => parseCurlCommand("curl -s")).toThrow("No URL found in the curl command.");
+    expect(() => parseCurlCommand("curl https://api.test -H")).toThrow("Option -H is missing its value.");
+    expect(parseCurlCommand("curl https://api.test -d @body.json").warnings).toEqual([
+      'Body file "body.json" cannot be read; the body was left empty.'
+    ]);
+  });
+});
+
+describe("toCurlCommand", () => {
+  const roundTrip = testCase => parseCurlCommand(toCurlCommand(testCase, { variables: { baseUrl: "https://api.test" } })).fields;
+
+  it("resolves variables and renders auth as headers", () => {
+    expect(toCurlCommand({
+      method: "GET",
+      url: "{{baseUrl}}/users",
+      headers: [{ key: "Accept", value: "application/json" }],
+      authType: "Bearer",
+      auth: { token: "it's" }
+    }, { variables: { baseUrl: "https://api.test" } })).toBe([
+      "curl 'https://api.test/users'",
+      "-H 'Accept: application/json'",
+      "-H 'Authorization: Bearer it'\\''s'"
+    ].join(" \\\n  "));
+  });
+
+  it("round-trips a JSON POST with bearer auth", () => {
+    const testCase = {
+      method: "POST",
+      url: "{{baseUrl}}/users",
+      headers: [{ key: "X-Trace", value: "1" }],
+      authType: "Bearer",
+      auth: { token: "abc" },
+      bodyType: "raw",
+      rawBody: '{"name":"O\'Brien","tags":["a"]}'
+    };
+    expect(roundTrip(testCase)).toEqual({
+      method: "POST",
+      url: "https://api.test/users",
+      headers: [{ key: "X-Trace", value: "1" }, { key: "Content-Type", value: "application/json" }],
+      authType: "Bearer",
+      auth: { token: "abc" },
+      bodyType: "raw",
+      rawBody: JSON.stringify({ name: "O'Brien", tags: ["a"] }, null, 2),
+      formData: []
+    });
+  });
+
+  it("round-trips basic auth and urlencoded bodies", () => {
+    const fields = roundTrip({
+      method: "PUT",
+      url: "{{baseUrl}}/login",
+      headers: [],
+      authType: "Basic",
+      auth: { username: "ada", password: "p:w" },
+      bodyType: "urlencoded",
+      formData: [{ key: "remember", value: "yes please" }]
+    });
+    expect(fields).toMatchObject({
+      method: "PUT",
+      url: "https://api.test/login",
+      authType: "Basic",
+      auth: { username: "ada", password: "p:w" },
+      bodyType: "urlencoded",
+      formData: [{ key: "remember", value: "yes please" }]
+    });
+  });
+
+  it("round-trips multipart form fields", () => {
+    const fields = roundTrip({
+      method: "POST",
+      url: "{{baseUrl}}/upload",
+      headers: [],
+      bodyType: "form-data",
+      formData: [{ key: "caption", value: "@not-a-file" }, { key: "n", value: "1" }]
+    });
+    expect(fields).toMatchObject({
+      method: "POST",
+      bodyType: "form-data",
+      formData: [{ key: "caption", value: "@not-a-file" }, { key: "n", value: "1" }]
+    });
+  });
+
+  it("uses a placeholder for OAuth2 tokens and --head for HEAD", () => {
+    expect(toCurlCommand({ method: "GET", url: "https://api.test", authType: "OAuth2", auth: {} }))
+      .toContain("-H 'Authorization: Bearer <access-token>'");
+    expect(roundTrip({ method: "HEAD", url: "https://api.test/ping" })).toMatchObject({ method: "HEAD", url: "https://api.test/ping" });
+  });
+});
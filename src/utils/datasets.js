@@ -0,0 +1,119 @@
+export const DATASET_FORMATS = [
+  { value: "csv", label: "CSV" },
+  { value: "json", label: "JSON array" }
+];
+
+// Keeps a mistyped dataset from turning one case into an unmanageable run.
+const MAX_DATASET_ROWS = 1000;
+
+const asCell = value => (value == null ? "" : typeof value === "object" ? JSON.stringify(value) : String(value));
+
+// RFC 4180 style: quoted fields may contain commas, newlines and doubled quotes.
+const parseCsvRecords = text => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === "\"" && text[i + 1] === "\"") {
+        field += "\"";
+        i += 1;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === "\"" && !field) {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error("CSV has an unterminated quoted field.");
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter(cells => cells.some(cell => cell.trim()));
+};
+
+const parseCsv = text => {
+  const [header, ...records] = parseCsvRecords(text);
+  if (!header) throw new Error("CSV needs a header row with column names.");
+  const columns = header.map(name => name.trim());
+  if (columns.some(name => !name)) throw new Error("Every CSV column needs a name in the header row.");
+  return records.map(cells => Object.fromEntries(columns.map((name, index) => [name, (cells[index] ?? "").trim()])));
+};
+
+const parseJson = text => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(data)) throw new Error("JSON dataset must be an array of objects.");
+  return data.map((row, index) => {
+    if (!row || typeof row !== "object" || Array.isArray(row)) {
+      throw new Error(`JSON dataset row ${index + 1} is not an object.`);
+    }
+    return Object.fromEntries(Object.entries(row).map(([key, value]) => [key, asCell(value)]));
+  });
+};
+
+/**
+ * Parses dataset text into `{ rows, columns }`, where every row maps column names to strings.
+ * Throws with a readable message when the text cannot be used.
+ */
+export function parseDataset(text, format = "csv") {
+  const source = String(text ?? "").trim();
+  if (!source) throw new Error("The dataset is empty.");
+  const rows = format === "json" ? parseJson(source) : parseCsv(source);
+  if (!rows.length) throw new Error("The dataset has no rows.");
+  if (rows.length > MAX_DATASET_ROWS) throw new Error(`The dataset has ${rows.length} rows; the limit is ${MAX_DATASET_ROWS}.`);
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  return { rows, columns };
+}
+
+export const hasDataset = testCase => Boolean(testCase?.dataset?.source?.trim());
+
+/**
+ * Expands cases with a dataset into one entry per row: `{ testCase, iteration }`, where
+ * `iteration` is `{ index, total, values }` (index is 1-based) and `testCase` carries the row's
+ * expected status when the dataset names a status column. Cases without a dataset map to a
+ * single entry with a null iteration; a dataset that does not parse yields `{ testCase, error }`.
+ */
+export function expandIterations(testCases) {
+  return testCases.flatMap(testCase => {
+    if (!hasDataset(testCase)) return [{ testCase, iteration: null }];
+    let rows;
+    try {
+      ({ rows } = parseDataset(testCase.dataset.source, testCase.dataset.format));
+    } catch (error) {
+      return [{ testCase, iteration: null, error: `Dataset could not be read: ${error.message}` }];
+    }
+    const statusColumn = testCase.dataset.expectedStatusColumn?.trim();
+    return rows.map((values, index) => {
+      const status = statusColumn ? Number(values[statusColumn]) : NaN;
+      return {
+        testCase: Number.isInteger(status) && status > 0 ? { ...testCase, expectedStatus: status } : testCase,
+        iteration: { index: index + 1, total: rows.length, values }
+      };
+    });
+  });
+}
+
+/** Suffix that tells iterations of the same case apart in report names. */
+export const iterationLabel = iteration => (iteration ? ` [row ${iteration.index}]` : "");
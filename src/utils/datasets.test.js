@@ -0,0 +1,66 @@
+import { expandIterations, hasDataset, iterationLabel, parseDataset } from "./datasets.js";
+
+describe("parseDataset", () => {
+  it("reads CSV with quoted fields and CRLF line ends", () => {
+    const text = 'name,note,status\r\nada,"likes ""math"", tea",200\r\n\r\n"bob","two\nlines",404\n';
+    expect(parseDataset(text)).toEqual({
+      rows: [
+        { name: "ada", note: 'likes "math", tea', status: "200" },
+        { name: "bob", note: "two\nlines", status: "404" }
+      ],
+      columns: ["name", "note", "status"]
+    });
+  });
+
+  it("fills missing CSV cells with empty strings", () => {
+    expect(parseDataset("a,b\n1").rows).toEqual([{ a: "1", b: "" }]);
+  });
+
+  it("reads JSON arrays and stringifies values", () => {
+    const { rows, columns } = parseDataset('[{"id":1,"tags":["x"]},{"id":2,"ok":true,"none":null}]', "json");
+    expect(rows).toEqual([{ id: "1", tags: '["x"]' }, { id: "2", ok: "true", none: "" }]);
+    expect(columns).toEqual(["id", "tags", "ok", "none"]);
+  });
+
+  it("explains datasets it cannot use", () => {
+    expect(() => parseDataset("  ")).toThrow("The dataset is empty.");
+    expect(() => parseDataset("name\n")).toThrow("The dataset has no rows.");
+    expect(() => parseDataset('a\n"open')).toThrow("CSV has an unterminated quoted field.");
+    expect(() => parseDataset("a,,c\n1,2,3")).toThrow("Every CSV column needs a name in the header row.");
+    expect(() => parseDataset("{nope", "json")).toThrow(/^Invalid JSON/);
+    expect(() => parseDataset('{"a":1}', "json")).toThrow("JSON dataset must be an array of objects.");
+    expect(() => parseDataset("[1]", "json")).toThrow("JSON dataset row 1 is not an object.");
+    expect(() => parseDataset(`n\n${"1\n".repeat(1001)}`)).toThrow("The dataset has 1001 rows; the limit is 1000.");
+  });
+});
+
+describe("expandIterations", () => {
+  const plain = { id: "plain", expectedStatus: 200 };
+  const withRows = {
+    id: "rows",
+    expectedStatus: 200,
+    dataset: { format: "csv", source: "user,code\nada,201\nbob,oops", expectedStatusColumn: "code" }
+  };
+
+  it("runs cases without a dataset once", () => {
+    expect(hasDataset(plain)).toBe(false);
+    expect(expandIterations([plain])).toEqual([{ testCase: plain, iteration: null }]);
+  });
+
+  it("runs a case once per row, taking the expected status from its column", () => {
+    expect(hasDataset(withRows)).toBe(true);
+    const [first, second] = expandIterations([withRows]);
+    expect(first.testCase.expectedStatus).toBe(201);
+    expect(first.iteration).toEqual({ index: 1, total: 2, values: { user: "ada", code: "201" } });
+    expect(second.testCase).toBe(withRows);
+    expect(iterationLabel(second.iteration)).toBe(" [row 2]");
+    expect(iterationLabel(null)).toBe("");
+  });
+
+  it("reports a dataset that does not parse instead of throwing", () => {
+    const broken = { id: "broken", dataset: { format: "json", source: "{" } };
+    expect(expandIterations([broken])).toEqual([
+      { testCase: broken, iteration: null, error: expect.stringMatching(/^Dataset could not be read: Invalid JSON/) }
+    ]);
+  });
+});
@@ -0,0 +1,85 @@
+import { v4 as uuidv4 } from "uuid";
+import { KEY_VALUE_BODY_TYPES } from "./testCases.js";
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+export const createEnvironment = (name, variables = [{ key: "baseUrl", value: "" }]) => ({
+  id: uuidv4(),
+  name,
+  variables: variables.map(variable => ({ ...variable }))
+});
+
+export const createDefaultEnvironments = () => [
+  createEnvironment("UAT"),
+  createEnvironment("Staging"),
+  createEnvironment("Production")
+];
+
+export const variablesToMap = variables => {
+  const map = {};
+  (variables || []).forEach(({ key, value }) => {
+    const name = typeof key === "string" ? key.trim() : "";
+    if (!name) return;
+    map[name] = value ?? "";
+  });
+  return map;
+};
+
+export function resolveTemplate(value, variables = {}) {
+  if (typeof value !== "string" || !value.includes("{{")) return value;
+  return value.replace(PLACEHOLDER_PATTERN, (match, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name) && variables[name] != null ? String(variables[name]) : match
+  );
+}
+
+export function findPlaceholders(value) {
+  if (typeof value !== "string") return [];
+  return Array.from(value.matchAll(PLACEHOLDER_PATTERN), match => match[1]);
+}
+
+const resolvePairs = (pairs, variables) =>
+  Array.isArray(pairs)
+    ? pairs.map(pair => ({ ...pair, key: resolveTemplate(pair.key, variables), value: resolveTemplate(pair.value, variables) }))
+    : pairs;
+
+const resolveObject = (obj, variables) => {
+  if (!obj || typeof obj !== "object") return obj;
+  return Object.fromEntries(Object.entries(obj).map(([key, value]) => [key, resolveTemplate(value, variables)]));
+};
+
+// Returns a copy of the case with every `{{name}}` placeholder in the request fields replaced.
+// Unknown placeholders are left untouched so they stay visible in the sent request and reports.
+export function resolveTestCase(testCase, variables = {}) {
+  if (!testCase) return testCase;
+  return {
+    ...testCase,
+    url: resolveTemplate(testCase.url, variables),
+    headers: resolvePairs(testCase.headers, variables),
+    auth: resolveObject(testCase.auth, variables),
+    rawBody: resolveTemplate(testCase.rawBody, variables),
+    formData: resolvePairs(testCase.formData, variables)
+  };
+}
+
+const AUTH_FIELDS = {
+  Bearer: ["token"],
+  Basic: ["username", "password"],
+  ApiKey: ["apiKey", "apiKeyName"],
+  OAuth2: ["tokenUrl", "clientId", "clientSecret", "scope", "audience", "username", "password", "refreshToken"]
+};
+
+export function findUnresolvedVariables(testCase) {
+  if (!testCase) return [];
+  const sendsBody = (testCase.method || "GET").toUpperCase() !== "GET";
+  const auth = testCase.auth || {};
+  const values = [
+    testCase.url,
+    ...(AUTH_FIELDS[testCase.authType] || []).map(field => auth[field]),
+    ...(testCase.headers || []).flatMap(({ key, value }) => [key, value])
+  ];
+  if (sendsBody && testCase.bodyType === "raw") values.push(testCase.rawBody);
+  if (sendsBody && KEY_VALUE_BODY_TYPES.includes(testCase.bodyType)) {
+    (testCase.formData || []).forEach(({ key, value }) => values.push(key, value));
+  }
+  return Array.from(new Set(values.flatMap(findPlaceholders)));
+}
@@ -0,0 +1,97 @@
+import {
+  createDefaultEnvironments,
+  createEnvironment,
+  findPlaceholders,
+  findUnresolvedVariables,
+  resolveTemplate,
+  resolveTestCase,
+  variablesToMap
+} from "./environments.js";
+
+describe("environments", () => {
+  it("creates environments with their own ids and a baseUrl variable", () => {
+    const [uat, staging, production] = createDefaultEnvironments();
+    expect([uat.name, staging.name, production.name]).toEqual(["UAT", "Staging", "Production"]);
+    expect(new Set([uat.id, staging.id, production.id]).size).toBe(3);
+    expect(uat.variables).toEqual([{ key: "baseUrl", value: "" }]);
+  });
+
+  it("copies the variables it is given", () => {
+    const variables = [{ key: "token", value: "abc" }];
+    const env = createEnvironment("Local", variables);
+    env.variables[0].value = "changed";
+    expect(variables[0].value).toBe("abc");
+  });
+
+  it("maps variable rows by trimmed key, skipping blank keys", () => {
+    expect(variablesToMap([
+      { key: " baseUrl ", value: "https://api.test" },
+      { key: "", value: "ignored" },
+      { key: "empty", value: undefined },
+      { key: 3, value: "not a key" }
+    ])).toEqual({ baseUrl: "https://api.test", empty: "" });
+    expect(variablesToMap(undefined)).toEqual({});
+  });
+});
+
+describe("resolveTemplate", () => {
+  const variables = { baseUrl: "https://api.test", id: 42, "user.name": "ada", blank: "", missing: null };
+
+  it("replaces known placeholders, whitespace inside braces included", () => {
+    expect(resolveTemplate("{{baseUrl}}/users/{{ id }}?u={{user.name}}", variables)).toBe("https://api.test/users/42?u=ada");
+    expect(resolveTemplate("x{{blank}}y", variables)).toBe("xy");
+  });
+
+  it("leaves unknown and null placeholders untouched", () => {
+    expect(resolveTemplate("{{nope}}/{{missing}}", variables)).toBe("{{nope}}/{{missing}}");
+  });
+
+  it("passes non-strings through", () => {
+    expect(resolveTemplate(5, variables)).toBe(5);
+    expect(resolveTemplate(null, variables)).toBeNull();
+  });
+
+  it("finds placeholder names", () => {
+    expect(findPlaceholders("{{a}} and {{ b.c }}")).toEqual(["a", "b.c"]);
+    expect(findPlaceholders(undefined)).toEqual([]);
+  });
+});
+
+describe("resolveTestCase", () => {
+  it("resolves the url, headers, auth, raw body and form fields", () => {
+    const resolved = resolveTestCase({
+      caseName: "{{id}}",
+      url: "{{baseUrl}}/users",
+      headers: [{ key: "X-{{id}}", value: "{{token}}" }],
+      auth: { token: "{{token}}" },
+      rawBody: '{"id":"{{id}}"}',
+      formData: [{ key: "name", value: "{{id}}" }]
+    }, { baseUrl: "https://api.test", token: "secret", id: "7" });
+    expect(resolved).toEqual({
+      caseName: "{{id}}",
+      url: "https://api.test/users",
+      headers: [{ key: "X-7", value: "secret" }],
+      auth: { token: "secret" },
+      rawBody: '{"id":"7"}',
+      formData: [{ key: "name", value: "7" }]
+    });
+  });
+});
+
+describe("findUnresolvedVariables", () => {
+  it("lists placeholders in the fields the request will send", () => {
+    expect(findUnresolvedVariables({
+      method: "POST",
+      url: "{{baseUrl}}/users",
+      authType: "Bearer",
+      auth: { token: "{{token}}", password: "{{unused}}" },
+      headers: [{ key: "X-Trace", value: "{{trace}}" }],
+      bodyType: "raw",
+      rawBody: '{"id":"{{id}}","again":"{{baseUrl}}"}'
+    })).toEqual(["baseUrl", "token", "trace", "id"]);
+  });
+
+  it("ignores the body of GET requests", () => {
+    expect(findUnresolvedVariables({ method: "GET", url: "/x", bodyType: "raw", rawBody: "{{id}}" })).toEqual([]);
+  });
+});
@@ -0,0 +1,64 @@
+import { looksSecret } from "./captures.js";
+
+export const REDACTED = "[REDACTED]";
+
+const SENSITIVE_HEADERS = ["authorization", "proxy-authorization", "cookie", "set-cookie", "x-api-key"];
+
+// Bodies above this size are cut so reports and stored history stay small.
+const MAX_BODY_CHARS = 100 * 1000;
+
+const isSensitiveHeader = (name, extra) => {
+  const lower = String(name).toLowerCase();
+  return SENSITIVE_HEADERS.includes(lower) || extra.includes(lower) || looksSecret(lower);
+};
+
+/** Copies a header map with credential-looking values replaced; `extra` lists more names to hide. */
+export function redactHeaders(headers, extra = []) {
+  const plain = headers && typeof headers.toJSON === "function" ? headers.toJSON() : headers || {};
+  const hidden = extra.filter(Boolean).map(name => String(name).toLowerCase());
+  return Object.fromEntries(Object.entries(plain)
+    .filter(([, value]) => value != null)
+    .map(([name, value]) => [name, isSensitiveHeader(name, hidden) ? REDACTED : Array.isArray(value) ? value.join(", ") : String(value)]));
+}
+
+const redactUrl = (url, queryName) => {
+  if (!queryName) return url;
+  const pattern = new RegExp(`([?&]${encodeURIComponent(queryName).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}=)[^&#]*`);
+  return url.replace(pattern, `$1${REDACTED}`);
+};
+
+const describeBody = data => {
+  if (data === undefined || data === null || data === "") return { body: null, truncated: false };
+  let body = data;
+  if (typeof FormData !== "undefined" && data instanceof FormData) {
+    body = Object.fromEntries(data.entries());
+  }
+  const text = typeof body === "string" ? body : JSON.stringify(body);
+  if (text.length <= MAX_BODY_CHARS) return { body, truncated: false };
+  return { body: text.slice(0, MAX_BODY_CHARS), truncated: true };
+};
+
+// The case's API key travels under a custom name, so it is hidden wherever it is sent.
+const apiKeyName = testCase => (testCase.authType === "ApiKey" ? testCase.auth?.apiKeyName?.trim() : null);
+
+/** What was sent, with credentials redacted: `{ method, url, headers, body, truncated }`. */
+export function describeRequest(requestConfig, testCase) {
+  const keyName = apiKeyName(testCase);
+  const queryKey = testCase.authType === "ApiKey" && testCase.auth?.apiKeyLocation === "query" ? keyName || "apiKey" : null;
+  return {
+    method: requestConfig.method,
+    url: redactUrl(requestConfig.url, queryKey),
+    headers: redactHeaders(requestConfig.headers, [keyName]),
+    ...describeBody(requestConfig.data)
+  };
+}
+
+/** What came back, with credential headers redacted: `{ status, statusText, headers, body, truncated }`. */
+export function describeResponse(response) {
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    headers: redactHeaders(response.headers),
+    ...describeBody(response.data)
+  };
+}
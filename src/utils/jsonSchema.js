@@ -0,0 +1,138 @@
+import Ajv from "ajv";
+import Ajv2020 from "ajv/dist/2020.js";
+import addFormats from "ajv-formats";
+import { parseResponseBody } from "./assertions.js";
+
+const DRAFT_2020_12 = "https://json-schema.org/draft/2020-12/schema";
+
+const createValidator = AjvClass => {
+  const ajv = new AjvClass({ allErrors: true, strict: false });
+  addFormats(ajv);
+  return ajv;
+};
+
+const validators = {};
+const compiledCache = new Map();
+
+// Schemas declaring draft 2020-12 get the 2020 dialect; everything else is treated as draft-07.
+const validatorFor = schema => {
+  const dialect = typeof schema?.$schema === "string" && schema.$schema.includes("2020-12") ? "2020-12" : "draft-07";
+  if (!validators[dialect]) {
+    validators[dialect] = createValidator(dialect === "2020-12" ? Ajv2020 : Ajv);
+  }
+  return validators[dialect];
+};
+
+const compile = schema => {
+  const key = JSON.stringify(schema);
+  if (!compiledCache.has(key)) {
+    compiledCache.set(key, validatorFor(schema).compile(schema));
+  }
+  return compiledCache.get(key);
+};
+
+export function parseSchemaText(text) {
+  const trimmed = typeof text === "string" ? text.trim() : "";
+  if (!trimmed) return { schema: null, error: null };
+
+  let schema;
+  try {
+    schema = JSON.parse(trimmed);
+  } catch (error) {
+    return { schema: null, error: `Schema is not valid JSON: ${error.message}` };
+  }
+
+  if (schema === null || (typeof schema !== "object" && typeof schema !== "boolean") || Array.isArray(schema)) {
+    return { schema: null, error: "Schema must be a JSON object." };
+  }
+
+  try {
+    compile(schema);
+  } catch (error) {
+    return { schema: null, error: `Schema could not be compiled: ${error.message}` };
+  }
+
+  return { schema, error: null };
+}
+
+export function validateAgainstSchema(schema, body) {
+  if (schema == null) return [];
+
+  let validate;
+  try {
+    validate = compile(schema);
+  } catch (error) {
+    return [{ instancePath: "", keyword: "schema", message: `schema could not be compiled: ${error.message}` }];
+  }
+
+  if (validate(parseResponseBody(body))) return [];
+
+  return (validate.errors || []).map(error => {
+    let message = error.message || "is invalid";
+    if (error.keyword === "additionalProperties" && error.params?.additionalProperty) {
+      message = `${message} ("${error.params.additionalProperty}")`;
+    }
+    if (error.keyword === "enum" && Array.isArray(error.params?.allowedValues)) {
+      message = `${message}: ${error.params.allowedValues.map(value => JSON.stringify(value)).join(", ")}`;
+    }
+    return {
+      instancePath: error.instancePath || "",
+      keyword: error.keyword,
+      message
+    };
+  });
+}
+
+const inferNode = value => {
+  if (value === null) return { type: "null" };
+  if (Array.isArray(value)) {
+    if (!value.length) return { type: "array", items: {} };
+    return { type: "array", items: mergeSchemas(value.map(inferNode)) };
+  }
+  if (typeof value === "object") {
+    const properties = {};
+    Object.entries(value).forEach(([key, child]) => {
+      properties[key] = inferNode(child);
+    });
+    return { type: "object", properties, required: Object.keys(value) };
+  }
+  if (typeof value === "number") return { type: Number.isInteger(value) ? "integer" : "number" };
+  return { type: typeof value };
+};
+
+const mergeItems = (a, b) => {
+  if (!a || !Object.keys(a).length) return b;
+  if (!b || !Object.keys(b).length) return a;
+  return mergeSchemas([a, b]);
+};
+
+// Array items are merged so a property only becomes required when every element has it. Samples
+// of different types get a type list; object and array keywords only apply to values of their
+// type, so they are kept next to it.
+const mergeSchemas = schemas => {
+  const [first, ...rest] = schemas;
+  return rest.reduce((merged, schema) => {
+    if (JSON.stringify(merged) === JSON.stringify(schema)) return merged;
+    const types = new Set([merged.type, schema.type].flat());
+    if (types.has("number") && types.has("integer")) types.delete("integer");
+    const list = Array.from(types);
+    const result = { type: list.length === 1 ? list[0] : list };
+    if (merged.properties && schema.properties) {
+      const properties = { ...merged.properties };
+      Object.entries(schema.properties).forEach(([key, child]) => {
+        properties[key] = properties[key] ? mergeSchemas([properties[key], child]) : child;
+      });
+      result.properties = properties;
+      result.required = merged.required.filter(key => schema.required.includes(key));
+    } else if (merged.properties || schema.properties) {
+      const { properties, required } = merged.properties ? merged : schema;
+      Object.assign(result, { properties, required });
+    }
+    if (merged.items || schema.items) result.items = mergeItems(merged.items, schema.items);
+    return result;
+  }, first);
+};
+
+export function inferSchema(body) {
+  return { $schema: DRAFT_2020_12, ...inferNode(parseResponseBody(body)) };
+}
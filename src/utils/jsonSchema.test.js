@@ -0,0 +1,116 @@
+import { inferSchema, parseSchemaText, validateAgainstSchema } from "./jsonSchema.js";
+
+const userSchema = {
+  type: "object",
+  required: ["id", "email"],
+  additionalProperties: false,
+  properties: {
+    id: { type: "integer" },
+    email: { type: "string", format: "email" },
+    role: { enum: ["admin", "user"] }
+  }
+};
+
+describe("parseSchemaText", () => {
+  it("treats blank text as no schema", () => {
+    expect(parseSchemaText("  ")).toEqual({ schema: null, error: null });
+    expect(parseSchemaText(undefined)).toEqual({ schema: null, error: null });
+  });
+
+  it("returns the parsed schema", () => {
+    expect(parseSchemaText(JSON.stringify(userSchema))).toEqual({ schema: userSchema, error: null });
+    expect(parseSchemaText("true")).toEqual({ schema: true, error: null });
+  });
+
+  it("rejects invalid JSON, non-objects and schemas that do not compile", () => {
+    expect(parseSchemaText("{").error).toMatch(/^Schema is not valid JSON/);
+    expect(parseSchemaText("[1]").error).toBe("Schema must be a JSON object.");
+    expect(parseSchemaText('"string"').error).toBe("Schema must be a JSON object.");
+    expect(parseSchemaText('{"type":"nope"}').error).toMatch(/^Schema could not be compiled/);
+  });
+});
+
+describe("validateAgainstSchema", () => {
+  it("passes matching bodies, JSON text included", () => {
+    expect(validateAgainstSchema(userSchema, { id: 1, email: "a@b.co" })).toEqual([]);
+    expect(validateAgainstSchema(userSchema, '{"id":1,"email":"a@b.co","role":"admin"}')).toEqual([]);
+  });
+
+  it("skips validation without a schema", () => {
+    expect(validateAgainstSchema(null, "anything")).toEqual([]);
+  });
+
+  it("lists every violation with its path", () => {
+    const errors = validateAgainstSchema(userSchema, { id: "1", email: "nope", extra: true, role: "root" });
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.objectContaining({ instancePath: "/id", keyword: "type" }),
+      expect.objectContaining({ instancePath: "/email", keyword: "format" }),
+      expect.objectContaining({ instancePath: "", keyword: "additionalProperties", message: expect.stringContaining('("extra")') }),
+      expect.objectContaining({ instancePath: "/role", keyword: "enum", message: expect.stringContaining('"admin", "user"') })
+    ]));
+  });
+
+  it("reports missing required properties at the root", () => {
+    expect(validateAgainstSchema(userSchema, { id: 1 })).toEqual([
+      expect.objectContaining({ instancePath: "", keyword: "required" })
+    ]);
+  });
+
+  it("uses the 2020-12 dialect when the schema declares it", () => {
+    const schema = {
+      $schema: "https://json-schema.org/draft/2020-12/schema",
+      type: "array",
+      prefixItems: [{ type: "string" }, { type: "number" }]
+    };
+    expect(validateAgainstSchema(schema, ["a", 1])).toEqual([]);
+    expect(validateAgainstSchema(schema, [1, "a"])).toHaveLength(2);
+  });
+});
+
+describe("inferSchema", () => {
+  it("describes the types of a sample body", () => {
+    expect(inferSchema('{"id":1,"price":9.5,"name":"x","tags":[],"meta":null}')).toEqual({
+      $schema: "https://json-schema.org/draft/2020-12/schema",
+      type: "object",
+      required: ["id", "price", "name", "tags", "meta"],
+      properties: {
+        id: { type: "integer" },
+        price: { type: "number" },
+        name: { type: "string" },
+        tags: { type: "array", items: {} },
+        meta: { type: "null" }
+      }
+    });
+  });
+
+  it("only requires properties every array element has", () => {
+    const schema = inferSchema([{ id: 1, note: "a" }, { id: 2.5 }]);
+    expect(schema.items).toEqual({
+      type: "object",
+      required: ["id"],
+      properties: { id: { type: "number" }, note: { type: "string" } }
+    });
+  });
+
+  it("keeps object and array keywords when samples mix types", () => {
+    const schema = inferSchema([{ id: 1 }, null, "x", [1], ["a"]]);
+    expect(schema.items).toEqual({
+      type: ["object", "null", "string", "array"],
+      properties: { id: { type: "integer" } },
+      required: ["id"],
+      items: { type: ["integer", "string"] }
+    });
+    expect(validateAgainstSchema(schema, [{ id: 2 }, null, [3, "b"]])).toEqual([]);
+    expect(validateAgainstSchema(schema, [{ name: "no id" }])).toEqual([
+      expect.objectContaining({ instancePath: "/0", keyword: "required" })
+    ]);
+    expect(validateAgainstSchema(schema, [[true]])).toEqual([
+      expect.objectContaining({ instancePath: "/0/0", keyword: "type" })
+    ]);
+  });
+
+  it("produces a schema the sample validates against", () => {
+    const sample = { users: [{ id: 1, tags: ["a"] }, { id: 2, tags: [] }] };
+    expect(validateAgainstSchema(inferSchema(sample), sample)).toEqual([]);
+  });
+});
@@ -0,0 +1,159 @@
+import axios from "axios";
+import { REDACTED } from "./exchange.js";
+
+const PLACEHOLDER_PATTERN = /\{\{\s*[\w.-]+\s*\}\}/g;
+const LEADING_PLACEHOLDER = /^\{\{\s*[\w.-]+\s*\}\}/;
+const ABSOLUTE_ORIGIN = /^[a-z][a-z\d+.-]*:\/\/[^/?#]*/i;
+
+// Transport headers describe the recorded connection, not the response, so recordings drop them.
+const TRANSPORT_HEADERS = ["connection", "content-encoding", "content-length", "date", "keep-alive", "transfer-encoding"];
+
+const MAX_DELAY_MS = 60 * 1000;
+
+/** A mock response with every field filled: `{ status, headers: [{ key, value }], body, delayMs }`. */
+export const createMock = (fields = {}) => ({
+  status: 200,
+  headers: [{ key: "Content-Type", value: "application/json" }],
+  body: "",
+  delayMs: 0,
+  ...fields
+});
+
+/** Clamps status and delay and drops header rows without a name. */
+export function normalizeMock(mock) {
+  const merged = createMock(mock || {});
+  const status = Math.floor(Number(merged.status));
+  const delayMs = Math.floor(Number(merged.delayMs));
+  return {
+    status: status >= 100 && status <= 599 ? status : 200,
+    headers: (merged.headers || [])
+      .filter(header => header?.key?.trim())
+      .map(header => ({ key: header.key.trim(), value: String(header.value ?? "") })),
+    body: typeof merged.body === "string" ? merged.body : JSON.stringify(merged.body, null, 2) ?? "",
+    delayMs: Number.isFinite(delayMs) ? Math.min(MAX_DELAY_MS, Math.max(0, delayMs)) : 0
+  };
+}
+
+export const hasMock = testCase => Boolean(testCase?.mock);
+
+/**
+ * Turns a received response (`{ status, headers, body, timeMs }`, as in a result's `exchange.response`
+ * or the form's Send) into a mock. Redacted and transport headers are left out and the measured
+ * time becomes the delay.
+ */
+export function mockFromResponse(response) {
+  const received = response?.headers;
+  const plain = received && typeof received.toJSON === "function" ? received.toJSON() : received || {};
+  const headers = Object.entries(plain)
+    .filter(([key, value]) => value != null && value !== REDACTED && !TRANSPORT_HEADERS.includes(key.toLowerCase()))
+    .map(([key, value]) => ({ key, value: Array.isArray(value) ? value.join(", ") : String(value) }));
+  const body = response?.body ?? "";
+  return normalizeMock({
+    status: response?.status,
+    headers,
+    body: typeof body === "string" ? body : JSON.stringify(body, null, 2),
+    delayMs: response?.timeMs || 0
+  });
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * The path a case's URL answers to, as a RegExp on the request path. The host is ignored; a
+ * leading `{{baseUrl}}` also accepts any path prefix it may carry, and other placeholders match
+ * one path segment.
+ */
+export function mockRoutePattern(url) {
+  let path = String(url ?? "").trim().split(/[?#]/)[0];
+  let prefix = "";
+  const origin = path.match(ABSOLUTE_ORIGIN);
+  if (origin) {
+    path = path.slice(origin[0].length);
+  } else if (LEADING_PLACEHOLDER.test(path)) {
+    path = path.replace(LEADING_PLACEHOLDER, "");
+    prefix = "(?:/.*)?";
+  }
+  const source = path.split(PLACEHOLDER_PATTERN).map(escapeRegExp).join("[^/]+").replace(/\/+$/, "");
+  return new RegExp(`^${prefix}${source.startsWith("/") || !source ? source : `/${source}`}/?$`);
+}
+
+const requestPath = config => {
+  try {
+    return new URL(config.url, config.baseURL || "http://mock.invalid").pathname;
+  } catch {
+    return String(config.url || "").split(/[?#]/)[0];
+  }
+};
+
+const looksLikeJson = body => {
+  try {
+    JSON.parse(body);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const toResponse = (mock, config) => {
+  const headers = Object.fromEntries(mock.headers.map(header => [header.key.toLowerCase(), header.value]));
+  if (!headers["content-type"] && mock.body) {
+    headers["content-type"] = looksLikeJson(mock.body) ? "application/json" : "text/plain";
+  }
+  return { data: mock.body, status: mock.status, statusText: "Mock", headers, config, request: {} };
+};
+
+// Waits out the mock's delay the way a slow server would: a stop cancels it and the hard timeout
+// still applies.
+const respondAfter = (mock, config) => new Promise((resolve, reject) => {
+  const { signal } = config;
+  const timedOut = config.timeout > 0 && mock.delayMs > config.timeout;
+  const delay = timedOut ? config.timeout : mock.delayMs;
+  if (signal?.aborted) {
+    reject(new axios.CanceledError(null, null, config));
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new axios.CanceledError(null, null, config));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener?.("abort", onAbort);
+    if (timedOut) {
+      reject(new axios.AxiosError(`timeout of ${config.timeout}ms exceeded`, axios.AxiosError.ETIMEDOUT, config));
+    } else {
+      resolve(toResponse(mock, config));
+    }
+  }, delay);
+  signal?.addEventListener?.("abort", onAbort, { once: true });
+});
+
+/**
+ * An axios adapter that answers from the mocks of `testCases` instead of the network. A request is
+ * matched on method and path; `preferredCaseId` wins when several cases share a route so each case
+ * gets its own example, otherwise the route with the most literal path is used. Unmatched requests
+ * get a 404 naming the route.
+ */
+export function createMockAdapter(testCases, preferredCaseId = null) {
+  const routes = (testCases || [])
+    .filter(hasMock)
+    .map(testCase => ({
+      id: testCase.id,
+      method: (testCase.method || "GET").toUpperCase(),
+      pattern: mockRoutePattern(testCase.url),
+      specificity: String(testCase.url || "").split(/[?#]/)[0].replace(PLACEHOLDER_PATTERN, "").length,
+      mock: normalizeMock(testCase.mock)
+    }))
+    .sort((a, b) => (b.id === preferredCaseId) - (a.id === preferredCaseId) || b.specificity - a.specificity);
+
+  return config => {
+    const method = (config.method || "GET").toUpperCase();
+    const path = requestPath(config);
+    const route = routes.find(candidate => candidate.method === method && candidate.pattern.test(path));
+    const mock = route?.mock || normalizeMock({
+      status: 404,
+      headers: [{ key: "Content-Type", value: "application/json" }],
+      body: JSON.stringify({ error: `No mock for ${method} ${path}` })
+    });
+    return respondAfter(mock, config);
+  };
+}
@@ -0,0 +1,78 @@
+import axios from "axios";
+import { createMock, createMockAdapter, mockFromResponse, mockRoutePattern, normalizeMock } from "./mocks.js";
+
+describe("normalizeMock", () => {
+  it("fills defaults, clamps values and drops unnamed headers", () => {
+    expect(normalizeMock(null)).toEqual(createMock());
+    expect(normalizeMock({
+      status: 42,
+      delayMs: 999999,
+      headers: [{ key: " X-A ", value: 1 }, { key: "", value: "gone" }],
+      body: { a: 1 }
+    })).toEqual({ status: 200, headers: [{ key: "X-A", value: "1" }], body: '{\n  "a": 1\n}', delayMs: 60000 });
+  });
+});
+
+describe("mockFromResponse", () => {
+  it("keeps real headers and the measured time", () => {
+    expect(mockFromResponse({
+      status: 201,
+      headers: { "Content-Type": "application/json", Date: "today", "Set-Cookie": "[REDACTED]", Vary: ["a", "b"] },
+      body: { id: 7 },
+      timeMs: 120
+    })).toEqual({
+      status: 201,
+      headers: [{ key: "Content-Type", value: "application/json" }, { key: "Vary", value: "a, b" }],
+      body: '{\n  "id": 7\n}',
+      delayMs: 120
+    });
+  });
+});
+
+describe("mockRoutePattern", () => {
+  it("ignores the host and lets placeholders match one segment", () => {
+    const pattern = mockRoutePattern("https://api.test/users/{{id}}/posts?x=1");
+    expect(pattern.test("/users/7/posts")).toBe(true);
+    expect(pattern.test("/users/7/posts/")).toBe(true);
+    expect(pattern.test("/users/7/8/posts")).toBe(false);
+  });
+
+  it("lets a leading {{baseUrl}} carry a path prefix", () => {
+    const pattern = mockRoutePattern("{{baseUrl}}/users");
+    expect(pattern.test("/users")).toBe(true);
+    expect(pattern.test("/v1/users")).toBe(true);
+    expect(pattern.test("/users/1")).toBe(false);
+  });
+});
+
+describe("createMockAdapter", () => {
+  const cases = [
+    { id: "one", method: "GET", url: "{{baseUrl}}/users/{{id}}", mock: { status: 200, body: '{"generic":true}' } },
+    { id: "me", method: "GET", url: "{{baseUrl}}/users/me", mock: { status: 200, body: "me", headers: [] } },
+    { id: "other", method: "GET", url: "{{baseUrl}}/users/{{id}}", mock: { status: 404, body: "{}" } },
+    { id: "slow", method: "POST", url: "https://api.test/slow", mock: { status: 201, delayMs: 500 } }
+  ];
+  const request = (config, preferred) => axios({ ...config, adapter: createMockAdapter(cases, preferred), validateStatus: () => true });
+
+  it("prefers the requesting case, then the most literal route", async () => {
+    expect((await request({ url: "https://api.test/users/me" })).data).toBe("me");
+    expect((await request({ url: "https://api.test/users/9" })).data).toEqual({ generic: true });
+    expect((await request({ url: "https://api.test/users/9" }, "other")).status).toBe(404);
+  });
+
+  it("sets a content type from the body and answers unmatched requests with 404", async () => {
+    const me = await request({ url: "https://api.test/users/me" });
+    expect(me.headers["content-type"]).toBe("text/plain");
+    const missing = await request({ method: "DELETE", url: "https://api.test/users/1" });
+    expect(missing.status).toBe(404);
+    expect(missing.data).toEqual({ error: "No mock for DELETE /users/1" });
+  });
+
+  it("applies the hard timeout and stops on abort", async () => {
+    await expect(request({ method: "POST", url: "https://api.test/slow", timeout: 20 })).rejects.toThrow("timeout of 20ms exceeded");
+    const controller = new AbortController();
+    const pending = request({ method: "POST", url: "https://api.test/slow", signal: controller.signal });
+    controller.abort();
+    await expect(pending).rejects.toThrow(axios.CanceledError);
+  });
+});
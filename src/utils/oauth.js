@@ -0,0 +1,128 @@
+import axios from "axios";
+
+export const OAUTH_GRANT_TYPES = [
+  { value: "client_credentials", label: "Client Credentials" },
+  { value: "password", label: "Password" },
+  { value: "refresh_token", label: "Refresh Token" }
+];
+
+// Tokens are refreshed this long before they actually expire to avoid racing the server clock.
+const EXPIRY_SKEW_MS = 30 * 1000;
+
+export const createTokenCache = () => new Map();
+
+// FNV-1a, so credentials can tell cache keys apart without being kept in them.
+const fingerprint = text => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+};
+
+const cacheKey = auth => JSON.stringify([
+  auth.tokenUrl,
+  auth.grantType,
+  auth.clientId,
+  auth.scope,
+  auth.audience,
+  auth.username,
+  auth.refreshToken,
+  fingerprint(JSON.stringify([auth.clientSecret || "", auth.password || ""]))
+]);
+
+const isFresh = entry => entry && (entry.expiresAt == null || entry.expiresAt - EXPIRY_SKEW_MS > Date.now());
+
+const requestToken = async (auth, grantType, extra = {}) => {
+  const tokenUrl = typeof auth.tokenUrl === "string" ? auth.tokenUrl.trim() : "";
+  if (!tokenUrl) throw new Error("Token URL is required.");
+
+  const params = new URLSearchParams();
+  params.set("grant_type", grantType);
+  if (auth.clientId) params.set("client_id", auth.clientId);
+  if (auth.clientSecret) params.set("client_secret", auth.clientSecret);
+  if (auth.scope) params.set("scope", auth.scope);
+  if (auth.audience) params.set("audience", auth.audience);
+  if (grantType === "password") {
+    params.set("username", auth.username || "");
+    params.set("password", auth.password || "");
+  }
+  if (grantType === "refresh_token") {
+    params.set("refresh_token", extra.refreshToken || auth.refreshToken || "");
+  }
+
+  const response = await axios({
+    method: "POST",
+    url: tokenUrl,
+    data: params.toString(),
+    headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+    timeout: extra.timeout,
+    signal: extra.signal,
+    validateStatus: () => true
+  });
+
+  const data = response.data && typeof response.data === "object" ? response.data : {};
+  if (response.status >= 400 || !data.access_token) {
+    const reason = data.error_description || data.error ||
+      (response.status >= 400 ? response.statusText : "") || "no access_token in response";
+    const error = new Error(`Token endpoint returned ${response.status}: ${reason}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const expiresIn = Number(data.expires_in);
+  return {
+    accessToken: data.access_token,
+    tokenType: data.token_type && data.token_type.toLowerCase() !== "bearer" ? data.token_type : "Bearer",
+    refreshToken: data.refresh_token || extra.refreshToken || null,
+    expiresAt: Number.isFinite(expiresIn) && expiresIn > 0 ? Date.now() + expiresIn * 1000 : null,
+    status: response.status
+  };
+};
+
+const obtainToken = async (auth, grantType, cached, { timeout, signal }) => {
+  if (cached?.refreshToken) {
+    try {
+      const token = await requestToken(auth, "refresh_token", { refreshToken: cached.refreshToken, timeout, signal });
+      return { token, source: "refresh" };
+    } catch {
+      // Fall back to the configured grant below.
+    }
+  }
+  return { token: await requestToken(auth, grantType, { timeout, signal }), source: grantType };
+};
+
+/**
+ * Resolves an access token for an OAuth2 auth config, reusing and refreshing cached tokens.
+ * Resolves to `{ accessToken, tokenType, source }` where source is "cache", "refresh" or the grant type.
+ * While a token request is in flight its promise is cached, so concurrent callers share one request.
+ */
+export async function fetchOAuthToken(auth, { cache, timeout, signal } = {}) {
+  const grantType = auth?.grantType || "client_credentials";
+  const key = cacheKey(auth || {});
+  const cached = cache?.get(key);
+
+  if (cached?.pending) {
+    const { token } = await cached.pending;
+    return { accessToken: token.accessToken, tokenType: token.tokenType, source: "cache", status: null };
+  }
+
+  if (isFresh(cached)) {
+    return { accessToken: cached.accessToken, tokenType: cached.tokenType, source: "cache", status: null };
+  }
+
+  const pending = obtainToken(auth, grantType, cached, { timeout, signal });
+  cache?.set(key, { pending });
+  let result;
+  try {
+    result = await pending;
+  } catch (error) {
+    // A failed request is not cached; the next caller tries again.
+    if (cache?.get(key)?.pending === pending) cache.delete(key);
+    throw error;
+  }
+
+  const { token, source } = result;
+  cache?.set(key, token);
+  return { accessToken: token.accessToken, tokenType: token.tokenType, source, status: token.status };
+}
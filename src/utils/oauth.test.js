@@ -0,0 +1,123 @@
+import axios from "axios";
+import { createTokenCache, fetchOAuthToken } from "./oauth.js";
+
+jest.mock("axios", () => jest.fn());
+
+const auth = {
+  tokenUrl: "https://auth.test/token",
+  grantType: "client_credentials",
+  clientId: "app",
+  clientSecret: "secret",
+  scope: "read"
+};
+
+const tokenResponse = (data, status = 200) => ({ status, statusText: status >= 400 ? "Bad Request" : "OK", data });
+
+beforeEach(() => {
+  axios.mockReset();
+});
+
+describe("fetchOAuthToken", () => {
+  it("posts the grant as a form and returns the token", async () => {
+    axios.mockResolvedValue(tokenResponse({ access_token: "t1", token_type: "bearer", expires_in: 3600 }));
+    const token = await fetchOAuthToken(auth, { timeout: 5000 });
+
+    expect(token).toEqual({ accessToken: "t1", tokenType: "Bearer", source: "client_credentials", status: 200 });
+    const [config] = axios.mock.calls[0];
+    expect(config).toMatchObject({ method: "POST", url: "https://auth.test/token", timeout: 5000 });
+    expect(Object.fromEntries(new URLSearchParams(config.data))).toEqual({
+      grant_type: "client_credentials",
+      client_id: "app",
+      client_secret: "secret",
+      scope: "read"
+    });
+  });
+
+  it("sends the user's credentials for the password grant", async () => {
+    axios.mockResolvedValue(tokenResponse({ access_token: "t1" }));
+    await fetchOAuthToken({ ...auth, grantType: "password", username: "ada", password: "pw" });
+    const params = new URLSearchParams(axios.mock.calls[0][0].data);
+    expect(params.get("username")).toBe("ada");
+    expect(params.get("password")).toBe("pw");
+  });
+
+  it("reuses cached tokens until they are about to expire", async () => {
+    const cache = createTokenCache();
+    axios.mockResolvedValue(tokenResponse({ access_token: "t1", expires_in: 3600 }));
+    await fetchOAuthToken(auth, { cache });
+    const cached = await fetchOAuthToken(auth, { cache });
+    expect(cached).toMatchObject({ accessToken: "t1", source: "cache" });
+    expect(axios).toHaveBeenCalledTimes(1);
+
+    axios.mockResolvedValue(tokenResponse({ access_token: "t2", expires_in: 10 }));
+    await fetchOAuthToken({ ...auth, scope: "write" }, { cache });
+    await fetchOAuthToken({ ...auth, scope: "write" }, { cache });
+    expect(axios).toHaveBeenCalledTimes(3);
+  });
+
+  it("keeps tokens for different credentials apart", async () => {
+    const cache = createTokenCache();
+    axios.mockResolvedValueOnce(tokenResponse({ access_token: "good", expires_in: 3600 }));
+    await fetchOAuthToken(auth, { cache });
+
+    axios.mockResolvedValueOnce(tokenResponse({ error: "invalid_client" }, 401));
+    await expect(fetchOAuthToken({ ...auth, clientSecret: "wrong" }, { cache })).rejects.toThrow("Token endpoint returned 401: invalid_client");
+
+    const password = { ...auth, grantType: "password", username: "ada", password: "pw" };
+    axios.mockResolvedValueOnce(tokenResponse({ access_token: "ada", expires_in: 3600 }));
+    await fetchOAuthToken(password, { cache });
+    axios.mockResolvedValueOnce(tokenResponse({ error: "invalid_grant" }, 400));
+    await expect(fetchOAuthToken({ ...password, password: "nope" }, { cache })).rejects.toThrow("invalid_grant");
+    expect(axios).toHaveBeenCalledTimes(4);
+    expect([...cache.keys()].join()).not.toMatch(/secret|pw/);
+  });
+
+  it("refreshes an expired token with its refresh token", async () => {
+    const cache = createTokenCache();
+    axios.mockResolvedValueOnce(tokenResponse({ access_token: "t1", refresh_token: "r1", expires_in: 1 }));
+    await fetchOAuthToken(auth, { cache });
+
+    axios.mockResolvedValueOnce(tokenResponse({ access_token: "t2", expires_in: 3600 }));
+    const refreshed = await fetchOAuthToken(auth, { cache });
+    expect(refreshed).toMatchObject({ accessToken: "t2", source: "refresh" });
+    const params = new URLSearchParams(axios.mock.calls[1][0].data);
+    expect(params.get("grant_type")).toBe("refresh_token");
+    expect(params.get("refresh_token")).toBe("r1");
+  });
+
+  it("explains token endpoint errors", async () => {
+    axios.mockResolvedValue(tokenResponse({ error: "invalid_client", error_description: "Unknown client" }, 401));
+    await expect(fetchOAuthToken(auth)).rejects.toThrow("Token endpoint returned 401: Unknown client");
+
+    axios.mockResolvedValue(tokenResponse({}));
+    await expect(fetchOAuthToken(auth)).rejects.toThrow("Token endpoint returned 200: no access_token in response");
+
+    await expect(fetchOAuthToken({ ...auth, tokenUrl: " " })).rejects.toThrow("Token URL is required.");
+  });
+
+  it("shares one in-flight request between concurrent callers", async () => {
+    const cache = createTokenCache();
+    axios.mockResolvedValue(tokenResponse({ access_token: "t1", expires_in: 3600 }));
+    const tokens = await Promise.all([1, 2, 3].map(() => fetchOAuthToken(auth, { cache })));
+
+    expect(axios).toHaveBeenCalledTimes(1);
+    expect(tokens.map(token => [token.accessToken, token.source])).toEqual([
+      ["t1", "client_credentials"],
+      ["t1", "cache"],
+      ["t1", "cache"]
+    ]);
+  });
+
+  it("forgets a failed request so the next caller tries again", async () => {
+    const cache = createTokenCache();
+    axios.mockRejectedValueOnce(new Error("socket hang up"));
+    const failed = [fetchOAuthToken(auth, { cache }), fetchOAuthToken(auth, { cache })];
+    await expect(failed[0]).rejects.toThrow("socket hang up");
+    await expect(failed[1]).rejects.toThrow("socket hang up");
+    expect(cache.size).toBe(0);
+
+    axios.mockResolvedValueOnce(tokenResponse({ access_token: "t2" }));
+    await expect(fetchOAuthToken(auth, { cache })).resolves.toMatchObject({ accessToken: "t2" });
+    expect(axios).toHaveBeenCalledTimes(2);
+  });
+});
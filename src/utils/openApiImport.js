@@ -0,0 +1,275 @@
+import yaml from "js-yaml";
+import { createTestCase } from "./testCases.js";
+
+const HTTP_METHODS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+const FORM_CONTENT_TYPES = {
+  "application/x-www-form-urlencoded": "urlencoded",
+  "multipart/form-data": "form-data"
+};
+// Guards example synthesis against deeply nested schemas.
+const MAX_SCHEMA_DEPTH = 8;
+
+/** Parses an OpenAPI document from JSON or YAML text. */
+export function parseOpenApiText(text) {
+  const source = String(text ?? "").trim();
+  if (!source) throw new Error("The specification file is empty.");
+  if (source.startsWith("{")) {
+    try {
+      return JSON.parse(source);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+  }
+  try {
+    return yaml.load(source);
+  } catch (error) {
+    throw new Error(`Invalid YAML: ${error.reason || error.message}`);
+  }
+}
+
+const decodePointer = segment => segment.replace(/~1/g, "/").replace(/~0/g, "~");
+
+// Follows local "#/..." references; external or circular references resolve to null.
+const createResolver = spec => {
+  const deref = (node, seen = new Set()) => {
+    if (!node || typeof node !== "object" || typeof node.$ref !== "string") return node;
+    const ref = node.$ref;
+    if (!ref.startsWith("#/") || seen.has(ref)) return null;
+    const target = ref.slice(2).split("/").map(decodePointer).reduce((acc, key) => acc?.[key], spec);
+    return deref(target, new Set([...seen, ref]));
+  };
+  return deref;
+};
+
+const firstExample = (examples, deref) => {
+  if (!examples || typeof examples !== "object") return undefined;
+  const first = Object.values(examples)[0];
+  return deref(first)?.value;
+};
+
+// `refs` holds the $refs being expanded so self-referencing schemas stop at the first repeat.
+const exampleFromSchema = (schema, deref, depth = 0, refs = []) => {
+  const ref = schema?.$ref;
+  if (ref && refs.includes(ref)) return undefined;
+  const resolved = deref(schema);
+  if (!resolved || typeof resolved !== "object" || depth > MAX_SCHEMA_DEPTH) return undefined;
+  const nested = ref ? [...refs, ref] : refs;
+  if (resolved.example !== undefined) return resolved.example;
+  if (Array.isArray(resolved.examples) && resolved.examples.length) return resolved.examples[0];
+  if (resolved.default !== undefined) return resolved.default;
+  if (resolved.const !== undefined) return resolved.const;
+  if (Array.isArray(resolved.enum) && resolved.enum.length) return resolved.enum[0];
+
+  const composite = resolved.allOf || resolved.oneOf || resolved.anyOf;
+  if (Array.isArray(composite) && composite.length) {
+    if (!resolved.allOf) return exampleFromSchema(composite[0], deref, depth + 1, nested);
+    return composite.reduce((acc, part) => {
+      const value = exampleFromSchema(part, deref, depth + 1, nested);
+      return value && typeof value === "object" && !Array.isArray(value) ? { ...acc, ...value } : acc;
+    }, {});
+  }
+
+  const type = Array.isArray(resolved.type) ? resolved.type.find(t => t !== "null") : resolved.type;
+  if (type === "object" || (!type && resolved.properties)) {
+    const result = {};
+    Object.entries(resolved.properties || {}).forEach(([key, property]) => {
+      const value = exampleFromSchema(property, deref, depth + 1, nested);
+      if (value !== undefined) result[key] = value;
+    });
+    return result;
+  }
+  if (type === "array") {
+    const item = exampleFromSchema(resolved.items, deref, depth + 1, nested);
+    return item === undefined ? [] : [item];
+  }
+  return undefined;
+};
+
+const parameterExample = (parameter, deref) => {
+  if (parameter.example !== undefined) return parameter.example;
+  const fromExamples = firstExample(parameter.examples, deref);
+  if (fromExamples !== undefined) return fromExamples;
+  return exampleFromSchema(parameter.schema, deref);
+};
+
+const asText = value => (value == null ? "" : typeof value === "object" ? JSON.stringify(value) : String(value));
+
+// Server URLs may contain {variables}; they are replaced with their declared defaults.
+// Relative URLs ("/v1") are relative to wherever the spec is hosted, so they are put under
+// {{baseUrl}} and `note` is told; protocol-relative ones ("//api.example.com") get https.
+const buildServerUrl = (server, note) => {
+  if (!server?.url) return "{{baseUrl}}";
+  const url = server.url
+    .replace(/\{([^}]+)\}/g, (match, name) => asText(server.variables?.[name]?.default) || `{{${name}}}`)
+    .replace(/\/+$/, "");
+  if (/^[a-z][a-z\d+.-]*:\/\//i.test(url) || url.startsWith("{{")) return url;
+  if (url.startsWith("//")) {
+    note(`Server URL "${server.url}" has no scheme; cases use https:${url}.`);
+    return `https:${url}`;
+  }
+  const path = url.replace(/^\.?\/*/, "");
+  const resolved = path ? `{{baseUrl}}/${path}` : "{{baseUrl}}";
+  note(`Server URL "${server.url}" is relative; cases use ${resolved}, so set baseUrl to the API host.`);
+  return resolved;
+};
+
+const firstSuccessStatus = responses => {
+  const codes = Object.keys(responses || {});
+  const exact = codes.find(code => /^2\d\d$/.test(code));
+  if (exact) return Number(exact);
+  return codes.some(code => code.toUpperCase() === "2XX") ? 200 : null;
+};
+
+const mergeParameters = (pathLevel, operationLevel, deref) => {
+  const merged = new Map();
+  [...(pathLevel || []), ...(operationLevel || [])].forEach(raw => {
+    const parameter = deref(raw);
+    if (parameter?.name && parameter.in) merged.set(`${parameter.in}:${parameter.name}`, parameter);
+  });
+  return [...merged.values()];
+};
+
+const buildRequestBody = (requestBody, deref, issue) => {
+  const body = deref(requestBody);
+  const content = body?.content;
+  if (!content || typeof content !== "object") return { bodyType: "raw", rawBody: "", formData: [], headers: [] };
+
+  const mediaTypes = Object.keys(content);
+  const jsonType = mediaTypes.find(type => /json/i.test(type));
+  const formType = mediaTypes.find(type => FORM_CONTENT_TYPES[type]);
+
+  if (jsonType) {
+    const media = content[jsonType] || {};
+    let example = media.example;
+    if (example === undefined) example = firstExample(media.examples, deref);
+    if (example === undefined) example = exampleFromSchema(media.schema, deref);
+    if (example === undefined) issue("No request body example or schema defaults; the body was left empty.");
+    return {
+      bodyType: "raw",
+      rawBody: example === undefined ? "" : JSON.stringify(example, null, 2),
+      formData: [],
+      headers: [{ key: "Content-Type", value: jsonType }]
+    };
+  }
+
+  if (formType) {
+    const media = content[formType] || {};
+    const example = { ...(media.example ?? firstExample(media.examples, deref) ?? exampleFromSchema(media.schema, deref)) };
+    const schema = deref(media.schema);
+    Object.entries(schema?.properties || {}).forEach(([key, property]) => {
+      if (deref(property)?.format === "binary") {
+        issue(`Form field "${key}" is a file upload, which is not supported; the field was skipped.`);
+        delete example[key];
+      }
+    });
+    return {
+      bodyType: FORM_CONTENT_TYPES[formType],
+      rawBody: "",
+      formData: Object.entries(example).map(([key, value]) => ({ key, value: asText(value) })),
+      headers: []
+    };
+  }
+
+  const [mediaType] = mediaTypes;
+  const media = content[mediaType] || {};
+  const example = media.example ?? firstExample(media.examples, deref);
+  if (example === undefined) issue(`Request body "${mediaType}" has no example; the body was left empty.`);
+  return {
+    bodyType: "raw",
+    rawBody: asText(example),
+    formData: [],
+    headers: mediaType ? [{ key: "Content-Type", value: mediaType }] : []
+  };
+};
+
+/**
+ * Generates one test case per operation of an OpenAPI 3.0 / 3.1 document.
+ * Returns `{ title, version, testCases, report }`; cases keep `operationId` and `tags`, and
+ * `report` lists `{ path, message }` entries for anything that needs manual attention.
+ */
+export function generateTestCasesFromOpenApi(spec) {
+  if (!spec || typeof spec !== "object") throw new Error("The specification is not an object.");
+  const version = String(spec.openapi || "");
+  if (!/^3\./.test(version)) {
+    throw new Error(spec.swagger ? "Swagger 2.0 documents are not supported; convert the file to OpenAPI 3 first." : "Missing \"openapi: 3.x\" version field.");
+  }
+
+  const deref = createResolver(spec);
+  const report = [];
+  const testCases = [];
+  // Each server is noted once, under the first place it is used.
+  const notedServers = new Set();
+  const serverUrl = (server, path) => buildServerUrl(server, message => {
+    if (notedServers.has(server.url)) return;
+    notedServers.add(server.url);
+    report.push({ path, message });
+  });
+  const rootServer = serverUrl(spec.servers?.[0], "servers");
+
+  Object.entries(spec.paths || {}).forEach(([path, rawPathItem]) => {
+    const pathItem = deref(rawPathItem) || {};
+
+    HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+      const operation = pathItem[method];
+      const label = `${method.toUpperCase()} ${path}`;
+      const issue = message => report.push({ path: label, message });
+
+      const server = operation.servers?.[0] || pathItem.servers?.[0];
+      const baseUrl = server ? serverUrl(server, label) : rootServer;
+      const parameters = mergeParameters(pathItem.parameters, operation.parameters, deref);
+
+      let resolvedPath = path;
+      const query = [];
+      const headers = [];
+      parameters.forEach(parameter => {
+        const example = parameterExample(parameter, deref);
+        const hasExample = example !== undefined;
+        if (parameter.in === "path") {
+          if (!hasExample) issue(`Path parameter "${parameter.name}" has no example; left as {{${parameter.name}}}.`);
+          const value = hasExample ? encodeURIComponent(asText(example)) : `{{${parameter.name}}}`;
+          resolvedPath = resolvedPath.split(`{${parameter.name}}`).join(value);
+        } else if (parameter.in === "query" && (hasExample || parameter.required)) {
+          if (!hasExample) issue(`Required query parameter "${parameter.name}" has no example; left as {{${parameter.name}}}.`);
+          query.push(`${encodeURIComponent(parameter.name)}=${hasExample ? encodeURIComponent(asText(example)) : `{{${parameter.name}}}`}`);
+        } else if (parameter.in === "header" && (hasExample || parameter.required)) {
+          if (!hasExample) issue(`Required header "${parameter.name}" has no example; left as {{${parameter.name}}}.`);
+          headers.push({ key: parameter.name, value: hasExample ? asText(example) : `{{${parameter.name}}}` });
+        }
+      });
+
+      // Placeholders filled in above are already {{name}} and stay as they are.
+      resolvedPath = resolvedPath.replace(/\{\{[^{}]+\}\}|\{([^{}]+)\}/g, (match, name) => {
+        if (name === undefined) return match;
+        issue(`Path parameter "${name}" is not declared; left as {{${name}}}.`);
+        return `{{${name}}}`;
+      });
+
+      const body = buildRequestBody(operation.requestBody, deref, issue);
+      const expectedStatus = firstSuccessStatus(operation.responses);
+      if (expectedStatus == null) issue("No 2xx response is documented; expected status was left empty, so any 2xx passes.");
+
+      testCases.push(createTestCase({
+        caseName: operation.summary || operation.operationId || label,
+        folder: Array.isArray(operation.tags) && operation.tags.length ? operation.tags[0] : "",
+        method: method.toUpperCase(),
+        url: `${baseUrl}${resolvedPath}${query.length ? `?${query.join("&")}` : ""}`,
+        headers: [...headers, ...body.headers.filter(h => !headers.some(existing => existing.key.toLowerCase() === h.key.toLowerCase()))],
+        bodyType: body.bodyType,
+        rawBody: body.rawBody,
+        formData: body.formData,
+        expectedStatus,
+        operationId: operation.operationId || "",
+        tags: Array.isArray(operation.tags) ? [...operation.tags] : []
+      }));
+    });
+  });
+
+  if (!testCases.length) report.push({ path: spec.info?.title || "Specification", message: "No operations found under \"paths\"." });
+
+  return {
+    title: spec.info?.title || "OpenAPI specification",
+    version: spec.info?.version || "",
+    testCases,
+    report
+  };
+}
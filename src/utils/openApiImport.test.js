@@ -0,0 +1,164 @@
+/**
+ * @jest-environment node
+ */
+import http from "http";
+import { generateTestCasesFromOpenApi, parseOpenApiText } from "./openApiImport.js";
+import { runTestCase } from "./testRunner.js";
+
+const spec = {
+  openapi: "3.0.3",
+  info: { title: "Pets", version: "1.2.0" },
+  servers: [{ url: "https://{region}.pets.test/api/", variables: { region: { default: "eu" } } }],
+  components: {
+    schemas: {
+      Pet: {
+        type: "object",
+        properties: {
+          name: { type: "string", example: "Rex" },
+          kind: { enum: ["dog", "cat"] },
+          owner: { $ref: "#/components/schemas/Owner" },
+          friends: { type: "array", items: { $ref: "#/components/schemas/Pet" } }
+        }
+      },
+      Owner: { allOf: [{ properties: { id: { type: "integer", default: 1 } } }, { properties: { vip: { const: true } } }] }
+    }
+  },
+  paths: {
+    "/pets/{petId}": {
+      parameters: [{ name: "petId", in: "path", required: true, schema: { type: "integer", example: 7 } }],
+      get: {
+        operationId: "getPet",
+        tags: ["Pets"],
+        parameters: [
+          { name: "fields", in: "query", schema: { type: "string", default: "name" } },
+          { name: "X-Tenant", in: "header", required: true, schema: { type: "string" } }
+        ],
+        responses: { 200: { description: "ok" } }
+      }
+    },
+    "/pets": {
+      post: {
+        summary: "Create pet",
+        requestBody: { content: { "application/json": { schema: { $ref: "#/components/schemas/Pet" } } } },
+        responses: { 201: { description: "created" } }
+      }
+    },
+    "/pets/{petId}/photo": {
+      put: {
+        servers: [{ url: "/uploads" }],
+        requestBody: {
+          content: {
+            "multipart/form-data": {
+              schema: { properties: { caption: { type: "string", example: "hi" }, file: { type: "string", format: "binary" } } }
+            }
+          }
+        },
+        responses: { default: { description: "?" } }
+      }
+    }
+  }
+};
+
+describe("generateTestCasesFromOpenApi", () => {
+  const { title, version, testCases, report } = generateTestCasesFromOpenApi(spec);
+  const [getPet, createPet, upload] = testCases;
+
+  it("creates one case per operation", () => {
+    expect(title).toBe("Pets");
+    expect(version).toBe("1.2.0");
+    expect(testCases.map(tc => [tc.caseName, tc.method, tc.folder])).toEqual([
+      ["getPet", "GET", "Pets"],
+      ["Create pet", "POST", ""],
+      ["PUT /pets/{petId}/photo", "PUT", ""]
+    ]);
+  });
+
+  it("fills server variables, path and query examples", () => {
+    expect(getPet.url).toBe("https://eu.pets.test/api/pets/7?fields=name");
+    expect(getPet.headers).toEqual([{ key: "X-Tenant", value: "{{X-Tenant}}" }]);
+    expect(getPet.expectedStatus).toBe(200);
+    expect(getPet).toMatchObject({ operationId: "getPet", tags: ["Pets"] });
+  });
+
+  it("builds JSON bodies from schemas, following refs and stopping at cycles", () => {
+    expect(JSON.parse(createPet.rawBody)).toEqual({ name: "Rex", kind: "dog", owner: { id: 1, vip: true }, friends: [] });
+    expect(createPet.headers).toEqual([{ key: "Content-Type", value: "application/json" }]);
+    expect(createPet.expectedStatus).toBe(201);
+  });
+
+  it("builds form bodies without file fields", () => {
+    expect(upload).toMatchObject({ bodyType: "form-data", formData: [{ key: "caption", value: "hi" }] });
+  });
+
+  it("puts relative server URLs under {{baseUrl}}", () => {
+    expect(upload.url).toBe("{{baseUrl}}/uploads/pets/{{petId}}/photo");
+    const relative = generateTestCasesFromOpenApi({ ...spec, servers: [{ url: "/v1" }] });
+    expect(relative.testCases[1].url).toBe("{{baseUrl}}/v1/pets");
+    expect(relative.report.filter(entry => entry.path === "servers")).toEqual([
+      { path: "servers", message: 'Server URL "/v1" is relative; cases use {{baseUrl}}/v1, so set baseUrl to the API host.' }
+    ]);
+  });
+
+  it("uses {{baseUrl}} when no server is declared", () => {
+    const { testCases: cases } = generateTestCasesFromOpenApi({ ...spec, servers: undefined });
+    expect(cases[1].url).toBe("{{baseUrl}}/pets");
+  });
+
+  it("reports what needs attention", () => {
+    expect(report).toEqual([
+      { path: "GET /pets/{petId}", message: 'Required header "X-Tenant" has no example; left as {{X-Tenant}}.' },
+      { path: "PUT /pets/{petId}/photo", message: 'Server URL "/uploads" is relative; cases use {{baseUrl}}/uploads, so set baseUrl to the API host.' },
+      { path: "PUT /pets/{petId}/photo", message: 'Path parameter "petId" is not declared; left as {{petId}}.' },
+      { path: "PUT /pets/{petId}/photo", message: 'Form field "file" is a file upload, which is not supported; the field was skipped.' },
+      { path: "PUT /pets/{petId}/photo", message: "No 2xx response is documented; expected status was left empty, so any 2xx passes." }
+    ]);
+  });
+
+  it("rejects documents that are not OpenAPI 3", () => {
+    expect(() => generateTestCasesFromOpenApi({ swagger: "2.0" })).toThrow(/Swagger 2.0/);
+    expect(() => generateTestCasesFromOpenApi({})).toThrow(/openapi: 3.x/);
+  });
+});
+
+describe("parseOpenApiText", () => {
+  it("reads JSON and YAML", () => {
+    expect(parseOpenApiText('{"openapi":"3.1.0"}')).toEqual({ openapi: "3.1.0" });
+    expect(parseOpenApiText("openapi: 3.1.0\ninfo:\n  title: Y\n")).toEqual({ openapi: "3.1.0", info: { title: "Y" } });
+  });
+
+  it("explains unreadable files", () => {
+    expect(() => parseOpenApiText("  ")).toThrow("The specification file is empty.");
+    expect(() => parseOpenApiText("{ nope")).toThrow(/^Invalid JSON/);
+    expect(() => parseOpenApiText("a: [")).toThrow(/^Invalid YAML/);
+  });
+});
+
+describe("running generated cases", () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(done => {
+    server = http.createServer((request, response) => {
+      response.writeHead(202, { "Content-Type": "application/json" });
+      response.end("{}");
+    });
+    server.listen(0, "127.0.0.1", () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  it("passes any 2xx when no success response is documented", async () => {
+    const { testCases } = generateTestCasesFromOpenApi({
+      openapi: "3.0.0",
+      servers: [{ url: baseUrl }],
+      paths: { "/jobs": { post: { responses: { default: { description: "?" } } } } }
+    });
+    expect(testCases[0].expectedStatus).toBeNull();
+    await expect(runTestCase(testCases[0])).resolves.toMatchObject({ ok: true, status: 202 });
+  });
+});
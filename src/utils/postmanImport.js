@@ -0,0 +1,182 @@
+import { createTestCase } from "./testCases.js";
+
+const SUPPORTED_SCHEMA = /collection\/v2\.[01]\.\d+/;
+
+// Postman v2.1 stores auth parameters as [{ key, value }]; v2.0 used a plain object.
+const authParam = (auth, type, key) => {
+  const params = auth?.[type];
+  if (Array.isArray(params)) return params.find(param => param.key === key)?.value ?? "";
+  if (params && typeof params === "object") return params[key] ?? "";
+  return "";
+};
+
+const asText = value => (value == null ? "" : String(value));
+
+const buildUrl = url => {
+  if (!url) return "";
+  if (typeof url === "string") return url;
+  if (url.raw) return url.raw;
+
+  const protocol = url.protocol ? `${url.protocol}://` : "";
+  const host = Array.isArray(url.host) ? url.host.join(".") : asText(url.host);
+  const port = url.port ? `:${url.port}` : "";
+  const path = Array.isArray(url.path) ? url.path.join("/") : asText(url.path);
+  const query = (url.query || [])
+    .filter(param => !param.disabled && param.key)
+    .map(param => `${param.key}=${asText(param.value)}`)
+    .join("&");
+  return `${protocol}${host}${port}${path ? `/${path}` : ""}${query ? `?${query}` : ""}`;
+};
+
+const mapAuth = (auth, issue) => {
+  if (!auth || auth.type === "noauth") return { authType: "None", auth: {} };
+
+  switch (auth.type) {
+    case "bearer":
+      return { authType: "Bearer", auth: { token: asText(authParam(auth, "bearer", "token")) } };
+    case "basic":
+      return {
+        authType: "Basic",
+        auth: {
+          username: asText(authParam(auth, "basic", "username")),
+          password: asText(authParam(auth, "basic", "password"))
+        }
+      };
+    case "apikey": {
+      const location = authParam(auth, "apikey", "in") === "query" ? "query" : "header";
+      return {
+        authType: "ApiKey",
+        auth: {
+          apiKey: asText(authParam(auth, "apikey", "value")),
+          apiKeyName: asText(authParam(auth, "apikey", "key")) || (location === "query" ? "apiKey" : "x-api-key"),
+          apiKeyLocation: location
+        }
+      };
+    }
+    case "oauth2": {
+      const grant = authParam(auth, "oauth2", "grant_type");
+      const grantType = grant === "password_credentials" ? "password" : grant === "client_credentials" ? "client_credentials" : null;
+      if (!grantType) {
+        issue(`OAuth 2.0 grant "${grant || "authorization_code"}" is not supported; authorization was left empty.`);
+        return { authType: "None", auth: {} };
+      }
+      return {
+        authType: "OAuth2",
+        auth: {
+          grantType,
+          tokenUrl: asText(authParam(auth, "oauth2", "accessTokenUrl")),
+          clientId: asText(authParam(auth, "oauth2", "clientId")),
+          clientSecret: asText(authParam(auth, "oauth2", "clientSecret")),
+          scope: asText(authParam(auth, "oauth2", "scope")),
+          username: asText(authParam(auth, "oauth2", "username")),
+          password: asText(authParam(auth, "oauth2", "password"))
+        }
+      };
+    }
+    default:
+      issue(`Auth type "${auth.type}" is not supported; authorization was left empty.`);
+      return { authType: "None", auth: {} };
+  }
+};
+
+const mapBody = (body, issue) => {
+  if (!body || !body.mode) return { bodyType: "raw", rawBody: "", formData: [] };
+
+  const keyValues = (entries, allowFiles) => (entries || [])
+    .filter(entry => !entry.disabled && entry.key)
+    .filter(entry => {
+      if (allowFiles && entry.type === "file") {
+        issue(`Form field "${entry.key}" is a file upload, which is not supported; the field was skipped.`);
+        return false;
+      }
+      return true;
+    })
+    .map(entry => ({ key: entry.key, value: asText(entry.value) }));
+
+  switch (body.mode) {
+    case "raw":
+      return { bodyType: "raw", rawBody: asText(body.raw), formData: [] };
+    case "formdata":
+      return { bodyType: "form-data", rawBody: "", formData: keyValues(body.formdata, true) };
+    case "urlencoded":
+      return { bodyType: "urlencoded", rawBody: "", formData: keyValues(body.urlencoded, false) };
+    default:
+      issue(`Body mode "${body.mode}" is not supported; the body was left empty.`);
+      return { bodyType: "raw", rawBody: "", formData: [] };
+  }
+};
+
+const reportScripts = (events, issue, owner) => {
+  (events || []).forEach(event => {
+    const exec = event?.script?.exec;
+    const source = Array.isArray(exec) ? exec.join("\n") : asText(exec);
+    if (!source.trim()) return;
+    const kind = event.listen === "prerequest" ? "Pre-request" : "Test";
+    issue(`${kind} script on ${owner} uses the Postman pm.* API and was not imported.`);
+  });
+};
+
+/**
+ * Converts a parsed Postman Collection (v2.0 / v2.1) into saved test cases.
+ * Returns `{ name, testCases, variables, report }`; `report` lists everything that could not be
+ * mapped, each entry as `{ path, message }`.
+ */
+export function importPostmanCollection(collection) {
+  if (!collection || typeof collection !== "object" || !Array.isArray(collection.item)) {
+    throw new Error("This file is not a Postman collection (missing \"item\" list).");
+  }
+
+  const schema = collection.info?.schema || "";
+  const name = collection.info?.name || "Postman collection";
+  const report = [];
+  const testCases = [];
+
+  if (schema && !SUPPORTED_SCHEMA.test(schema)) {
+    report.push({ path: name, message: `Schema ${schema} is not v2.0/v2.1; the import may be incomplete.` });
+  }
+
+  reportScripts(collection.event, message => report.push({ path: name, message }), "the collection");
+
+  const walk = (items, folderPath, inheritedAuth) => {
+    items.forEach((item, index) => {
+      const label = item.name || `Item ${index + 1}`;
+      const path = [...folderPath, label].join(" / ");
+      const issue = message => report.push({ path, message });
+
+      if (Array.isArray(item.item)) {
+        reportScripts(item.event, issue, "this folder");
+        walk(item.item, [...folderPath, label], item.auth || inheritedAuth);
+        return;
+      }
+
+      const request = typeof item.request === "string" ? { url: item.request } : item.request || {};
+      reportScripts(item.event, issue, "this request");
+
+      const { authType, auth } = mapAuth(request.auth || inheritedAuth, issue);
+      const { bodyType, rawBody, formData } = mapBody(request.body, issue);
+
+      testCases.push(createTestCase({
+        caseName: label,
+        folder: folderPath.join("/"),
+        method: (request.method || "GET").toUpperCase(),
+        url: buildUrl(request.url),
+        headers: (request.header || [])
+          .filter(header => !header.disabled && header.key)
+          .map(header => ({ key: header.key, value: asText(header.value) })),
+        authType,
+        auth,
+        bodyType,
+        rawBody,
+        formData
+      }));
+    });
+  };
+
+  walk(collection.item, [], collection.auth || null);
+
+  const variables = (collection.variable || [])
+    .filter(variable => variable && variable.key && !variable.disabled)
+    .map(variable => ({ key: variable.key, value: asText(variable.value) }));
+
+  return { name, testCases, variables, report };
+}
@@ -0,0 +1,155 @@
+/**
+ * @jest-environment node
+ */
+import http from "http";
+import { importPostmanCollection } from "./postmanImport.js";
+import { runTestCase } from "./testRunner.js";
+
+const collection = {
+  info: { name: "Shop", schema: "https://schema.getpostman.com/json/collection/v2.1.0/collection.json" },
+  auth: { type: "bearer", bearer: [{ key: "token", value: "{{token}}" }] },
+  variable: [{ key: "baseUrl", value: "https://api.test" }, { key: "off", value: "x", disabled: true }],
+  item: [
+    {
+      name: "List products",
+      request: {
+        method: "get",
+        url: { raw: "{{baseUrl}}/products?page=1" },
+        header: [{ key: "Accept", value: "application/json" }, { key: "X-Off", value: "1", disabled: true }]
+      }
+    },
+    {
+      name: "Admin",
+      auth: { type: "basic", basic: { username: "root", password: "pw" } },
+      item: [
+        {
+          name: "Users",
+          item: [{
+            name: "Create user",
+            event: [{ listen: "test", script: { exec: ["pm.test('ok', () => {});"] } }],
+            request: {
+              method: "POST",
+              url: { protocol: "https", host: ["api", "test"], port: "8443", path: ["users"], query: [{ key: "dry", value: "1" }] },
+              body: {
+                mode: "formdata",
+                formdata: [{ key: "name", value: "ada" }, { key: "avatar", type: "file", src: "a.png" }]
+              }
+            }
+          }]
+        }
+      ]
+    },
+    {
+      name: "Login",
+      request: {
+        method: "POST",
+        url: "{{baseUrl}}/login",
+        auth: {
+          type: "oauth2",
+          oauth2: [
+            { key: "grant_type", value: "client_credentials" },
+            { key: "accessTokenUrl", value: "https://auth.test/token" },
+            { key: "clientId", value: "app" }
+          ]
+        },
+        body: { mode: "urlencoded", urlencoded: [{ key: "remember", value: true }] }
+      }
+    },
+    {
+      name: "Upload",
+      request: { method: "PUT", url: "{{baseUrl}}/files", auth: { type: "digest" }, body: { mode: "file", file: {} } }
+    }
+  ]
+};
+
+describe("importPostmanCollection", () => {
+  const { name, testCases, variables, report } = importPostmanCollection(collection);
+  const byName = Object.fromEntries(testCases.map(tc => [tc.caseName, tc]));
+
+  it("imports every request with its folder path", () => {
+    expect(name).toBe("Shop");
+    expect(testCases.map(tc => [tc.caseName, tc.folder])).toEqual([
+      ["List products", ""],
+      ["Create user", "Admin/Users"],
+      ["Login", ""],
+      ["Upload", ""]
+    ]);
+  });
+
+  it("maps urls, methods and enabled headers", () => {
+    expect(byName["List products"]).toMatchObject({
+      method: "GET",
+      url: "{{baseUrl}}/products?page=1",
+      headers: [{ key: "Accept", value: "application/json" }]
+    });
+    expect(byName["Create user"].url).toBe("https://api.test:8443/users?dry=1");
+  });
+
+  it("inherits auth from the collection and folders", () => {
+    expect(byName["List products"]).toMatchObject({ authType: "Bearer", auth: { token: "{{token}}" } });
+    expect(byName["Create user"]).toMatchObject({ authType: "Basic", auth: { username: "root", password: "pw" } });
+    expect(byName.Login).toMatchObject({
+      authType: "OAuth2",
+      auth: { grantType: "client_credentials", tokenUrl: "https://auth.test/token", clientId: "app" }
+    });
+  });
+
+  it("maps form bodies and skips file fields", () => {
+    expect(byName["Create user"]).toMatchObject({ bodyType: "form-data", formData: [{ key: "name", value: "ada" }] });
+    expect(byName.Login).toMatchObject({ bodyType: "urlencoded", formData: [{ key: "remember", value: "true" }] });
+  });
+
+  it("keeps enabled collection variables", () => {
+    expect(variables).toEqual([{ key: "baseUrl", value: "https://api.test" }]);
+  });
+
+  it("reports what it could not import", () => {
+    expect(report).toEqual([
+      { path: "Admin / Users / Create user", message: "Test script on this request uses the Postman pm.* API and was not imported." },
+      { path: "Admin / Users / Create user", message: 'Form field "avatar" is a file upload, which is not supported; the field was skipped.' },
+      { path: "Upload", message: 'Auth type "digest" is not supported; authorization was left empty.' },
+      { path: "Upload", message: 'Body mode "file" is not supported; the body was left empty.' }
+    ]);
+    expect(byName.Upload).toMatchObject({ authType: "None", rawBody: "" });
+  });
+
+  it("rejects files that are not collections and flags other schemas", () => {
+    expect(() => importPostmanCollection({ info: {} })).toThrow(/not a Postman collection/);
+    const old = importPostmanCollection({ info: { name: "Old", schema: "https://schema.getpostman.com/json/collection/v1.0.0/" }, item: [] });
+    expect(old.report[0].message).toMatch(/is not v2.0\/v2.1/);
+  });
+});
+
+describe("running imported requests", () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(done => {
+    server = http.createServer((request, response) => {
+      response.writeHead(request.url === "/created" ? 201 : 200, { "Content-Type": "application/json" });
+      response.end("{}");
+    });
+    server.listen(0, "127.0.0.1", () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  it("passes any 2xx, since Postman requests carry no expected status", async () => {
+    const { testCases } = importPostmanCollection({
+      info: { name: "Ping", schema: collection.info.schema },
+      item: [
+        { name: "Ping", request: { method: "GET", url: `${baseUrl}/ping` } },
+        { name: "Create", request: { method: "POST", url: `${baseUrl}/created` } }
+      ]
+    });
+    expect(testCases.map(tc => tc.expectedStatus)).toEqual([null, null]);
+
+    const results = [await runTestCase(testCases[0]), await runTestCase(testCases[1])];
+    expect(results.map(result => [result.ok, result.status])).toEqual([[true, 200], [true, 201]]);
+  });
+});
@@ -0,0 +1,57 @@
+export const RETRY_BACKOFF_TYPES = [
+  { value: "fixed", label: "Fixed delay" },
+  { value: "exponential", label: "Exponential" }
+];
+
+export const DEFAULT_RETRY_STATUSES = [502, 503, 504];
+
+// Exponential backoff never waits longer than this between attempts.
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 1,
+  backoff: "exponential",
+  delayMs: 500,
+  retryOnNetworkError: true,
+  retryOnTimeout: true,
+  retryStatuses: DEFAULT_RETRY_STATUSES
+};
+
+/** Parses "502, 503 504" into a list of status codes, ignoring anything that is not one. */
+export const parseStatusList = text => String(text ?? "")
+  .split(/[\s,;]+/)
+  .map(Number)
+  .filter(code => Number.isInteger(code) && code >= 100 && code <= 599);
+
+/** Fills defaults and clamps values; `maxAttempts` counts the first try, so 1 means no retries. */
+export function normalizeRetryPolicy(policy) {
+  const merged = { ...DEFAULT_RETRY_POLICY, ...(policy || {}) };
+  const maxAttempts = Math.floor(Number(merged.maxAttempts));
+  const delayMs = Number(merged.delayMs);
+  return {
+    maxAttempts: Number.isFinite(maxAttempts) ? Math.min(10, Math.max(1, maxAttempts)) : 1,
+    backoff: merged.backoff === "fixed" ? "fixed" : "exponential",
+    delayMs: Number.isFinite(delayMs) && delayMs >= 0 ? delayMs : DEFAULT_RETRY_POLICY.delayMs,
+    retryOnNetworkError: Boolean(merged.retryOnNetworkError),
+    retryOnTimeout: Boolean(merged.retryOnTimeout),
+    retryStatuses: Array.isArray(merged.retryStatuses) ? merged.retryStatuses : parseStatusList(merged.retryStatuses)
+  };
+}
+
+/** A case's own policy replaces the run-wide one entirely when present. */
+export const resolveRetryPolicy = (testCase, runPolicy) =>
+  normalizeRetryPolicy(testCase?.retryPolicy || runPolicy);
+
+/** Returns why a failed attempt should be retried, or null when it should not. */
+export function retryReason(result, policy) {
+  if (!result || result.ok || result.authFailed || result.scriptFailed) return null;
+  if (result.timedOut) return policy.retryOnTimeout ? "timeout" : null;
+  if (result.error) return policy.retryOnNetworkError ? "network error" : null;
+  if (result.status != null && policy.retryStatuses.includes(result.status)) return `status ${result.status}`;
+  return null;
+}
+
+/** Delay before attempt `attempt + 1`, where `attempt` is the 1-based attempt that just failed. */
+export const retryDelay = (policy, attempt) => (policy.backoff === "fixed"
+  ? policy.delayMs
+  : Math.min(MAX_RETRY_DELAY_MS, policy.delayMs * 2 ** (attempt - 1)));
@@ -0,0 +1,70 @@
+import { DEFAULT_RETRY_POLICY, normalizeRetryPolicy, parseStatusList, resolveRetryPolicy, retryDelay, retryReason } from "./retry.js";
+
+describe("normalizeRetryPolicy", () => {
+  it("fills defaults", () => {
+    expect(normalizeRetryPolicy(null)).toEqual(DEFAULT_RETRY_POLICY);
+  });
+
+  it("clamps attempts and rejects bad values", () => {
+    expect(normalizeRetryPolicy({ maxAttempts: 50, delayMs: -1, backoff: "linear" })).toMatchObject({
+      maxAttempts: 10,
+      delayMs: DEFAULT_RETRY_POLICY.delayMs,
+      backoff: "exponential"
+    });
+    expect(normalizeRetryPolicy({ maxAttempts: "abc" }).maxAttempts).toBe(1);
+    expect(normalizeRetryPolicy({ maxAttempts: 0 }).maxAttempts).toBe(1);
+    expect(normalizeRetryPolicy({ retryStatuses: "429, 503 foo 700" }).retryStatuses).toEqual([429, 503]);
+  });
+
+  it("lets a case's own policy replace the run-wide one", () => {
+    const runPolicy = { maxAttempts: 3, retryStatuses: [503] };
+    expect(resolveRetryPolicy({}, runPolicy)).toMatchObject({ maxAttempts: 3, retryStatuses: [503] });
+    expect(resolveRetryPolicy({ retryPolicy: { maxAttempts: 2 } }, runPolicy)).toMatchObject({
+      maxAttempts: 2,
+      retryStatuses: DEFAULT_RETRY_POLICY.retryStatuses
+    });
+  });
+});
+
+describe("parseStatusList", () => {
+  it("keeps valid status codes only", () => {
+    expect(parseStatusList("502; 503\n504,99,abc")).toEqual([502, 503, 504]);
+    expect(parseStatusList(undefined)).toEqual([]);
+  });
+});
+
+describe("retryReason", () => {
+  const policy = normalizeRetryPolicy({ maxAttempts: 3 });
+
+  it("retries timeouts, network errors and listed statuses", () => {
+    expect(retryReason({ ok: false, timedOut: true, error: "timeout" }, policy)).toBe("timeout");
+    expect(retryReason({ ok: false, error: "ECONNRESET" }, policy)).toBe("network error");
+    expect(retryReason({ ok: false, status: 503 }, policy)).toBe("status 503");
+  });
+
+  it("does not retry passes, assertion failures or auth and script failures", () => {
+    expect(retryReason({ ok: true, status: 503 }, policy)).toBeNull();
+    expect(retryReason({ ok: false, status: 400 }, policy)).toBeNull();
+    expect(retryReason({ ok: false, authFailed: true, error: "token" }, policy)).toBeNull();
+    expect(retryReason({ ok: false, scriptFailed: true, error: "boom" }, policy)).toBeNull();
+  });
+
+  it("respects switched off categories", () => {
+    const strict = normalizeRetryPolicy({ retryOnTimeout: false, retryOnNetworkError: false });
+    expect(retryReason({ ok: false, timedOut: true, error: "timeout" }, strict)).toBeNull();
+    expect(retryReason({ ok: false, error: "ECONNRESET" }, strict)).toBeNull();
+  });
+});
+
+describe("retryDelay", () => {
+  it("doubles exponential delays up to the cap", () => {
+    const policy = normalizeRetryPolicy({ delayMs: 500 });
+    expect([1, 2, 3].map(attempt => retryDelay(policy, attempt))).toEqual([500, 1000, 2000]);
+    expect(retryDelay(policy, 20)).toBe(30000);
+  });
+
+  it("keeps fixed delays constant", () => {
+    const policy = normalizeRetryPolicy({ backoff: "fixed", delayMs: 250 });
+    expect([1, 2, 5].map(attempt => retryDelay(policy, attempt))).toEqual([250, 250, 250]);
+  });
+});
@@ -0,0 +1,146 @@
+import { v4 as uuidv4 } from "uuid";
+
+const DB_NAME = "chibaka-api-tool";
+const DB_VERSION = 1;
+const RUNS_STORE = "runs";
+
+export const DEFAULT_HISTORY_RETENTION = { maxRuns: 50, maxAgeDays: 30 };
+
+/** Clamps retention settings; 0 disables a limit. */
+export function normalizeRetention(retention) {
+  const merged = { ...DEFAULT_HISTORY_RETENTION, ...(retention || {}) };
+  const clamp = (value, max) => {
+    const numeric = Math.floor(Number(value));
+    return Number.isFinite(numeric) ? Math.min(max, Math.max(0, numeric)) : 0;
+  };
+  return { maxRuns: clamp(merged.maxRuns, 1000), maxAgeDays: clamp(merged.maxAgeDays, 3650) };
+}
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser."));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(RUNS_STORE, { keyPath: "id" });
+      store.createIndex("executedAt", "executedAt");
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  // A failed open (private mode, blocked upgrade) should not poison later attempts.
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+};
+
+// Runs `work(store)` in one transaction and resolves with its request's result once committed.
+const withStore = async (mode, work) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(RUNS_STORE, mode);
+    const request = work(transaction.objectStore(RUNS_STORE));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const summarizeResults = results => ({
+  total: results.length,
+  passed: results.filter(result => result.ok).length,
+  failed: results.filter(result => !result.ok && !result.skipped).length,
+  skipped: results.filter(result => result.skipped).length,
+  flaky: results.filter(result => result.flaky).length
+});
+
+/**
+ * Builds the stored form of a finished run. The cases are kept as they were when the run started
+ * (without `lastRun`) so the report can be rebuilt later even if they were edited or deleted.
+ */
+export function createRunRecord({ testCases, results, ...meta }) {
+  return {
+    id: uuidv4(),
+    executedAt: meta.executedAt || new Date().toISOString(),
+    environmentName: meta.environmentName || null,
+    scope: meta.scope || null,
+    stopped: Boolean(meta.stopped),
+    mocked: Boolean(meta.mocked),
+    concurrency: meta.concurrency || 1,
+    wallTimeMs: meta.wallTimeMs ?? null,
+    totalRequestMs: meta.totalRequestMs ?? null,
+    summary: summarizeResults(results),
+    testCases: testCases.map(({ lastRun, ...testCase }) => testCase),
+    results
+  };
+}
+
+/** Lists stored runs, newest first. */
+export async function listRuns() {
+  const runs = await withStore("readonly", store => store.getAll());
+  return (runs || []).sort((a, b) => b.executedAt.localeCompare(a.executedAt));
+}
+
+export const deleteRun = id => withStore("readwrite", store => store.delete(id));
+
+export const clearRunHistory = () => withStore("readwrite", store => store.clear());
+
+/** Deletes runs beyond `maxRuns` or older than `maxAgeDays`; resolves with the runs that remain. */
+export async function pruneRuns(retention) {
+  const { maxRuns, maxAgeDays } = normalizeRetention(retention);
+  const runs = await listRuns();
+  const cutoff = maxAgeDays ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+  const expired = runs.filter((run, index) =>
+    (maxRuns && index >= maxRuns) || (cutoff != null && new Date(run.executedAt).getTime() < cutoff)
+  );
+  if (expired.length) {
+    await withStore("readwrite", store => {
+      expired.forEach(run => store.delete(run.id));
+      return null;
+    });
+  }
+  return runs.filter(run => !expired.includes(run));
+}
+
+/** Stores a run record, applies retention and resolves with the remaining runs, newest first. */
+export async function saveRun(record, retention) {
+  await withStore("readwrite", store => store.put(record));
+  return pruneRuns(retention);
+}
+
+/**
+ * Per-case trends across stored runs, oldest run first:
+ * `[{ caseId, caseName, runs, passed, passRate, points: [{ executedAt, ok, skipped, timeMs }] }]`.
+ * Dataset iterations of one case count as separate points; runs against mocks are left out.
+ */
+export function buildCaseTrends(runs) {
+  const trends = new Map();
+  [...runs].reverse().filter(run => !run.mocked).forEach(run => {
+    run.results.forEach(result => {
+      if (!result?.caseId) return;
+      const testCase = run.testCases.find(tc => tc.id === result.caseId);
+      if (!trends.has(result.caseId)) {
+        trends.set(result.caseId, { caseId: result.caseId, caseName: "", points: [] });
+      }
+      const trend = trends.get(result.caseId);
+      trend.caseName = testCase?.caseName || result.caseName || trend.caseName;
+      trend.points.push({ executedAt: run.executedAt, ok: result.ok, skipped: Boolean(result.skipped), timeMs: result.timeMs || 0 });
+    });
+  });
+  return [...trends.values()].map(trend => {
+    const executed = trend.points.filter(point => !point.skipped);
+    const passed = executed.filter(point => point.ok).length;
+    return {
+      ...trend,
+      runs: executed.length,
+      passed,
+      passRate: executed.length ? passed / executed.length : null
+    };
+  });
+}
@@ -0,0 +1,74 @@
+import { DEFAULT_HISTORY_RETENTION, buildCaseTrends, createRunRecord, listRuns, normalizeRetention } from "./runHistory.js";
+
+describe("normalizeRetention", () => {
+  it("fills defaults and clamps limits", () => {
+    expect(normalizeRetention()).toEqual(DEFAULT_HISTORY_RETENTION);
+    expect(normalizeRetention({ maxRuns: 5000, maxAgeDays: -3 })).toEqual({ maxRuns: 1000, maxAgeDays: 0 });
+    expect(normalizeRetention({ maxRuns: "abc", maxAgeDays: "7.9" })).toEqual({ maxRuns: 0, maxAgeDays: 7 });
+  });
+});
+
+describe("createRunRecord", () => {
+  it("stores the cases without their last run and summarizes results", () => {
+    const record = createRunRecord({
+      testCases: [{ id: "a", caseName: "A", lastRun: { ok: true } }],
+      results: [{ caseId: "a", ok: true, flaky: true }, { caseId: "b", ok: false }, { caseId: "c", ok: false, skipped: true }],
+      executedAt: "2026-01-02T03:04:05.000Z",
+      stopped: 1
+    });
+    expect(record).toMatchObject({
+      id: expect.any(String),
+      executedAt: "2026-01-02T03:04:05.000Z",
+      environmentName: null,
+      stopped: true,
+      mocked: false,
+      concurrency: 1,
+      summary: { total: 3, passed: 1, failed: 1, skipped: 1, flaky: 1 },
+      testCases: [{ id: "a", caseName: "A" }]
+    });
+  });
+});
+
+describe("buildCaseTrends", () => {
+  const run = (executedAt, results, fields = {}) => ({
+    executedAt,
+    testCases: [{ id: "a", caseName: "Login" }],
+    results,
+    ...fields
+  });
+
+  it("follows each case across runs, oldest first, leaving out mocked runs and skips", () => {
+    const runs = [
+      run("2026-01-03", [{ caseId: "a", ok: true, timeMs: 30 }]),
+      run("2026-01-02", [{ caseId: "a", ok: true }], { mocked: true }),
+      run("2026-01-01", [{ caseId: "a", ok: false, timeMs: 90 }, { caseId: "gone", caseName: "Deleted", ok: false, skipped: true }, null])
+    ];
+    expect(buildCaseTrends(runs)).toEqual([
+      {
+        caseId: "a",
+        caseName: "Login",
+        runs: 2,
+        passed: 1,
+        passRate: 0.5,
+        points: [
+          { executedAt: "2026-01-01", ok: false, skipped: false, timeMs: 90 },
+          { executedAt: "2026-01-03", ok: true, skipped: false, timeMs: 30 }
+        ]
+      },
+      {
+        caseId: "gone",
+        caseName: "Deleted",
+        runs: 0,
+        passed: 0,
+        passRate: null,
+        points: [{ executedAt: "2026-01-01", ok: false, skipped: true, timeMs: 0 }]
+      }
+    ]);
+  });
+});
+
+describe("storage", () => {
+  it("explains when IndexedDB is unavailable", async () => {
+    await expect(listRuns()).rejects.toThrow("IndexedDB is not available in this browser.");
+  });
+});
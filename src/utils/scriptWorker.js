@@ -0,0 +1,266 @@
+// Runs case scripts off the app's thread: in a Web Worker in the browser, and in a vm context inside
+// a worker thread under Node (the CLI and tests). Either way the worker is terminated when the
+// script overruns its time limit, so a synchronous endless loop cannot hang the tab or the CLI,
+// and only JSON text is passed in and out. This is not a security sandbox (a vm context in
+// particular can be escaped); scripts are trusted like the rest of a collection.
+
+// The script runner, evaluated inside the worker. It is kept as source text rather than a
+// function so the build cannot rewrite it into something that depends on module scope.
+const RUNNER_SOURCE = String.raw`async (payloadText, emit) => {
+  const { phase, source, request, variables: initial, response } = JSON.parse(payloadText);
+  const changes = {};
+  const slots = [];
+  const pending = [];
+  const has = (object, name) => Object.prototype.hasOwnProperty.call(object, name);
+
+  const formatLogArg = arg => {
+    if (typeof arg === "string") return arg;
+    if (arg instanceof Error) return arg.message;
+    try {
+      return JSON.stringify(arg);
+    } catch (error) {
+      return String(arg);
+    }
+  };
+  const write = level => (...args) => {
+    emit(JSON.stringify({ type: "log", entry: { phase, level, message: args.map(formatLogArg).join(" ") } }));
+  };
+
+  const api = {
+    request: phase === "test" ? Object.freeze(request) : request,
+    variables: {
+      get: name => (has(changes, name) ? changes[name] : initial[name]),
+      set: (name, value) => {
+        changes[String(name)] = value == null ? "" : String(value);
+      },
+      has: name => has(changes, name) || has(initial, name),
+      toObject: () => Object.assign({}, initial, changes)
+    },
+    console: { log: write("log"), info: write("info"), warn: write("warn"), error: write("error"), debug: write("debug") },
+    crypto: typeof crypto !== "undefined" ? crypto : undefined,
+    btoa: typeof btoa !== "undefined" ? btoa : undefined,
+    atob: typeof atob !== "undefined" ? atob : undefined
+  };
+
+  if (phase === "test") {
+    api.response = Object.freeze(Object.assign({}, response, { json: () => response.body }));
+    // Slots keep checks in registration order even when async checks settle out of order.
+    api.test = (name, fn) => {
+      const index = slots.push(null) - 1;
+      const label = String(name || "Check #" + (index + 1));
+      const run = (async () => {
+        try {
+          const outcome = typeof fn === "function" ? await fn() : fn;
+          slots[index] = outcome === false
+            ? { name: label, passed: false, message: "Script check \"" + label + "\" returned false" }
+            : { name: label, passed: true, message: label };
+        } catch (error) {
+          slots[index] = { name: label, passed: false, message: "Script check \"" + label + "\" failed: " + ((error && error.message) || String(error)) };
+        }
+      })();
+      pending.push(run);
+      return run;
+    };
+    api.assert = (condition, message) => {
+      if (!condition) throw new Error(message || "Assertion failed");
+    };
+  }
+
+  let error = null;
+  try {
+    const names = Object.keys(api);
+    const fn = new Function(...names, "\"use strict\";\nreturn (async () => {\n" + source + "\n})();");
+    await fn(...names.map(name => api[name]));
+    await Promise.all(pending);
+  } catch (caught) {
+    error = (caught && caught.message) || String(caught);
+  }
+  return JSON.stringify({ type: "done", request, variables: changes, checks: slots.filter(Boolean), error });
+}`;
+
+// Worker globals removed before a browser script runs, so the usual network, storage and worker
+// APIs are not there to call. They are redefined on the worker's own global object, so they are
+// also missing when it is reached through a constructor chain.
+const BLOCKED_WORKER_GLOBALS = [
+  "fetch",
+  "XMLHttpRequest",
+  "WebSocket",
+  "WebTransport",
+  "EventSource",
+  "indexedDB",
+  "caches",
+  "importScripts",
+  "Worker",
+  "SharedWorker",
+  "BroadcastChannel",
+  "postMessage",
+  "close"
+];
+
+const BROWSER_WORKER_SOURCE = `
+const reply = self.postMessage.bind(self);
+${JSON.stringify(BLOCKED_WORKER_GLOBALS)}.forEach(name => {
+  try {
+    Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false });
+  } catch (error) {}
+});
+const run = ${RUNNER_SOURCE};
+self.onmessage = event => {
+  self.onmessage = null;
+  run(event.data, reply).then(reply);
+};
+`;
+
+// Under Node the script runs in a fresh vm context, which starts without the worker's globals
+// (process, require). Host helpers are wrapped in context functions and host errors are rethrown
+// as context errors, so the script is not handed host objects directly.
+const NODE_CONTEXT_SOURCE = String.raw`(() => {
+  const host = globalThis.__host;
+  const payload = globalThis.__payload;
+  delete globalThis.__host;
+  delete globalThis.__payload;
+  const guard = fn => (...args) => {
+    try {
+      return fn(...args);
+    } catch (error) {
+      throw new Error(String((error && error.message) || error));
+    }
+  };
+  globalThis.crypto = Object.freeze({
+    randomUUID: guard(() => host.randomUUID()),
+    getRandomValues: guard(array => {
+      host.getRandomValues(array);
+      return array;
+    })
+  });
+  globalThis.setTimeout = guard((callback, ms, ...args) => host.setTimeout(() => callback(...args), Number(ms) || 0));
+  globalThis.clearTimeout = guard(id => host.clearTimeout(id));
+  globalThis.btoa = guard(text => host.btoa(String(text)));
+  globalThis.atob = guard(text => host.atob(String(text)));
+  const emit = message => {
+    host.emit(String(message));
+  };
+  return (${RUNNER_SOURCE})(payload, emit);
+})()`;
+
+const NODE_WORKER_SOURCE = `
+const { parentPort, workerData } = require("worker_threads");
+const vm = require("vm");
+const { webcrypto } = require("crypto");
+const timers = new Map();
+let nextTimer = 1;
+parentPort.once("message", payload => {
+  const context = vm.createContext({
+    __payload: payload,
+    __host: {
+      randomUUID: () => webcrypto.randomUUID(),
+      getRandomValues: array => webcrypto.getRandomValues(array),
+      setTimeout: (callback, ms) => {
+        const id = nextTimer++;
+        timers.set(id, setTimeout(() => {
+          timers.delete(id);
+          callback();
+        }, ms));
+        return id;
+      },
+      clearTimeout: id => {
+        clearTimeout(timers.get(id));
+        timers.delete(id);
+      },
+      btoa: text => Buffer.from(text, "latin1").toString("base64"),
+      atob: text => Buffer.from(text, "base64").toString("latin1"),
+      emit: message => parentPort.postMessage(message)
+    }
+  });
+  const source = ${JSON.stringify(NODE_CONTEXT_SOURCE)};
+  Promise.resolve()
+    .then(() => vm.runInContext(source, context, { timeout: workerData.timeoutMs }))
+    .then(result => parentPort.postMessage(result))
+    .catch(error => {
+      // An overrun is reported by the host when it terminates this worker.
+      if (error && error.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") return;
+      parentPort.postMessage(JSON.stringify({ type: "done", error: String((error && error.message) || error) }));
+    });
+});
+`;
+
+const startBrowserWorker = () => {
+  const url = URL.createObjectURL(new Blob([BROWSER_WORKER_SOURCE], { type: "text/javascript" }));
+  const worker = new Worker(url);
+  return {
+    post: text => worker.postMessage(text),
+    listen: (onMessage, onError) => {
+      worker.onmessage = event => onMessage(event.data);
+      worker.onerror = event => {
+        event.preventDefault();
+        onError(new Error(event.message || "Script worker failed"));
+      };
+    },
+    stop: () => {
+      worker.terminate();
+      URL.revokeObjectURL(url);
+    }
+  };
+};
+
+const startNodeWorker = async timeoutMs => {
+  const { Worker: NodeWorker } = await import(/* webpackIgnore: true */ "worker_threads");
+  const worker = new NodeWorker(NODE_WORKER_SOURCE, { eval: true, workerData: { timeoutMs } });
+  return {
+    post: text => worker.postMessage(text),
+    listen: (onMessage, onError) => {
+      worker.on("message", onMessage);
+      worker.on("error", onError);
+    },
+    stop: () => {
+      worker.terminate();
+    }
+  };
+};
+
+/**
+ * Runs one script in a fresh worker. `payload` is `{ phase, source, request, variables, response }`
+ * where phase is "pre-request" or "test". Resolves to `{ request, variables, checks, logs, error }`;
+ * a script that does not finish within `timeoutMs` is terminated and reported as an error, keeping
+ * whatever it logged until then.
+ */
+export async function runScriptInWorker(payload, timeoutMs) {
+  const logs = [];
+  let worker;
+  try {
+    worker = typeof Worker !== "undefined" ? startBrowserWorker() : await startNodeWorker(timeoutMs);
+  } catch (error) {
+    return { request: payload.request, variables: {}, checks: [], logs, error: `Scripts cannot run here: ${error.message}` };
+  }
+
+  let timer;
+  try {
+    const outcome = await new Promise(resolve => {
+      timer = setTimeout(() => resolve({ error: `Script timed out after ${timeoutMs} ms` }), timeoutMs);
+      worker.listen(text => {
+        let message;
+        try {
+          message = JSON.parse(text);
+        } catch {
+          return;
+        }
+        if (message?.type === "log" && message.entry) {
+          logs.push(message.entry);
+        } else if (message?.type === "done") {
+          resolve(message);
+        }
+      }, error => resolve({ error: error?.message || String(error) }));
+      worker.post(JSON.stringify(payload));
+    });
+    return {
+      request: outcome.request ?? payload.request,
+      variables: outcome.variables || {},
+      checks: outcome.checks || [],
+      logs,
+      error: outcome.error || null
+    };
+  } finally {
+    clearTimeout(timer);
+    worker.stop();
+  }
+}
@@ -0,0 +1,79 @@
+import { normalizeHeaders, parseResponseBody } from "./assertions.js";
+import { KEY_VALUE_BODY_TYPES } from "./testCases.js";
+import { runScriptInWorker } from "./scriptWorker.js";
+
+// Each script runs in its own worker, which is terminated once the script overruns this.
+export const SCRIPT_TIMEOUT_MS = 5000;
+
+export const toRequestView = testCase => ({
+  method: (testCase.method || "GET").toUpperCase(),
+  url: testCase.url || "",
+  headers: Object.fromEntries((testCase.headers || []).filter(h => h.key).map(h => [h.key, h.value])),
+  body: KEY_VALUE_BODY_TYPES.includes(testCase.bodyType)
+    ? Object.fromEntries((testCase.formData || []).filter(f => f.key).map(f => [f.key, f.value]))
+    : testCase.rawBody ?? ""
+});
+
+const applyRequestView = (testCase, request) => {
+  const next = {
+    ...testCase,
+    method: String(request.method || testCase.method || "GET").toUpperCase(),
+    url: String(request.url ?? testCase.url ?? ""),
+    headers: Object.entries(request.headers || {}).map(([key, value]) => ({ key, value: value == null ? "" : String(value) }))
+  };
+  if (KEY_VALUE_BODY_TYPES.includes(testCase.bodyType) && request.body && typeof request.body === "object") {
+    next.formData = Object.entries(request.body).map(([key, value]) => ({ key, value: value == null ? "" : String(value) }));
+  } else if (request.body !== undefined) {
+    next.rawBody = typeof request.body === "string" ? request.body : JSON.stringify(request.body);
+  }
+  return next;
+};
+
+/**
+ * Runs a case's pre-request script. The script can edit `request` (method, url, headers, body)
+ * and call `variables.set()`; both are applied before placeholders are resolved.
+ */
+export async function runPreRequestScript(testCase, variables = {}, { timeoutMs = SCRIPT_TIMEOUT_MS } = {}) {
+  const source = typeof testCase?.preRequestScript === "string" ? testCase.preRequestScript.trim() : "";
+  if (!source) return { testCase, variables: {}, logs: [], error: null };
+
+  const outcome = await runScriptInWorker({
+    phase: "pre-request",
+    source,
+    request: toRequestView(testCase),
+    variables
+  }, timeoutMs);
+
+  if (outcome.error) return { testCase, variables: outcome.variables, logs: outcome.logs, error: outcome.error };
+  return { testCase: applyRequestView(testCase, outcome.request || {}), variables: outcome.variables, logs: outcome.logs, error: null };
+}
+
+/**
+ * Runs a case's test script against the response. Checks are registered with
+ * `test(name, fn)`; a check fails when `fn` throws or returns false. `assert(condition, message)`
+ * is available for use inside checks.
+ */
+export async function runTestScript(testCase, { response, request, variables = {} }, { timeoutMs = SCRIPT_TIMEOUT_MS } = {}) {
+  const source = typeof testCase?.testScript === "string" ? testCase.testScript.trim() : "";
+  if (!source) return { checks: [], variables: {}, logs: [], error: null };
+
+  const outcome = await runScriptInWorker({
+    phase: "test",
+    source,
+    request,
+    variables,
+    response: {
+      status: response?.status,
+      statusText: response?.statusText,
+      headers: normalizeHeaders(response?.headers),
+      body: parseResponseBody(response?.data) ?? null,
+      text: typeof response?.data === "string" ? response.data : JSON.stringify(response?.data ?? null),
+      timeMs: response?.timeMs
+    }
+  }, timeoutMs);
+
+  return { checks: outcome.checks, variables: outcome.variables, logs: outcome.logs, error: outcome.error };
+}
+
+export const formatScriptLogs = logs =>
+  (logs || []).map(entry => `[${entry.phase}] ${entry.level}: ${entry.message}`).join("\n");
@@ -0,0 +1,135 @@
+import { formatScriptLogs, runPreRequestScript, runTestScript, toRequestView } from "./scripts.js";
+
+const testCase = {
+  method: "post",
+  url: "{{baseUrl}}/users",
+  headers: [{ key: "Accept", value: "application/json" }],
+  bodyType: "raw",
+  rawBody: '{"name":"ada"}'
+};
+
+const response = {
+  status: 201,
+  statusText: "Created",
+  headers: { "Content-Type": "application/json", "X-Id": "7" },
+  data: '{"id":7,"roles":["admin"]}',
+  timeMs: 42
+};
+
+const runTest = (script, options) =>
+  runTestScript({ ...testCase, testScript: script }, { response, request: toRequestView(testCase), variables: { env: "uat" } }, options);
+
+describe("runPreRequestScript", () => {
+  it("skips cases without a script", async () => {
+    expect(await runPreRequestScript(testCase, {})).toEqual({ testCase, variables: {}, logs: [], error: null });
+  });
+
+  it("applies request edits and variables set by the script", async () => {
+    const result = await runPreRequestScript({
+      ...testCase,
+      preRequestScript: `
+        request.headers["X-Trace"] = variables.get("trace") + "-1";
+        request.body = { name: "grace" };
+        variables.set("stamp", 123);
+        console.log("prepared", { ok: true });
+      `
+    }, { trace: "abc" });
+
+    expect(result.error).toBeNull();
+    expect(result.variables).toEqual({ stamp: "123" });
+    expect(result.testCase.method).toBe("POST");
+    expect(result.testCase.headers).toEqual([
+      { key: "Accept", value: "application/json" },
+      { key: "X-Trace", value: "abc-1" }
+    ]);
+    expect(result.testCase.rawBody).toBe('{"name":"grace"}');
+    expect(formatScriptLogs(result.logs)).toBe('[pre-request] log: prepared {"ok":true}');
+  });
+
+  it("keeps the case unchanged when the script throws", async () => {
+    const result = await runPreRequestScript({ ...testCase, preRequestScript: 'variables.set("a", 1); throw new Error("boom");' }, {});
+    expect(result).toMatchObject({ testCase: { url: "{{baseUrl}}/users" }, variables: { a: "1" }, error: "boom" });
+  });
+
+  it("offers crypto, btoa and atob", async () => {
+    const result = await runPreRequestScript({
+      ...testCase,
+      preRequestScript: `
+        variables.set("id", crypto.randomUUID());
+        variables.set("bytes", crypto.getRandomValues(new Uint8Array(4)).length);
+        variables.set("basic", btoa("user:pass"));
+        variables.set("plain", atob(btoa("x")));
+      `
+    }, {});
+    expect(result.error).toBeNull();
+    expect(result.variables.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(result.variables).toMatchObject({ bytes: "4", basic: "dXNlcjpwYXNz", plain: "x" });
+  });
+});
+
+describe("runTestScript", () => {
+  it("collects checks in registration order, async ones included", async () => {
+    const result = await runTest(`
+      test("slow", async () => {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return response.status === 201;
+      });
+      test("body", () => assert(response.json().roles.includes("admin"), "not admin"));
+      test("header", () => response.headers["x-id"] === "8");
+      test("throws", () => assert(false, "nope"));
+      variables.set("userId", response.body.id);
+    `);
+
+    expect(result.error).toBeNull();
+    expect(result.variables).toEqual({ userId: "7" });
+    expect(result.checks).toEqual([
+      { name: "slow", passed: true, message: "slow" },
+      { name: "body", passed: true, message: "body" },
+      { name: "header", passed: false, message: 'Script check "header" returned false' },
+      { name: "throws", passed: false, message: 'Script check "throws" failed: nope' }
+    ]);
+  });
+
+  it("sees the request, the variables and the raw response text", async () => {
+    const result = await runTest(`
+      test("request", () => request.method === "POST" && request.body === '{"name":"ada"}');
+      test("variables", () => variables.get("env") === "uat" && variables.has("env"));
+      test("text", () => response.text.startsWith('{"id":7') && response.timeMs === 42);
+    `);
+    expect(result.checks.map(check => check.passed)).toEqual([true, true, true]);
+  });
+
+  it("reports syntax errors", async () => {
+    const result = await runTest("test(");
+    expect(result.error).toMatch(/Unexpected|missing/i);
+  });
+});
+
+describe("script worker", () => {
+  it("does not expose host globals through constructor chains", async () => {
+    const result = await runTest(`
+      const global = ({}).constructor.constructor("return globalThis")();
+      test("no process", () => typeof global.process === "undefined");
+      test("no require", () => typeof global.require === "undefined");
+      test("no document", () => typeof global.document === "undefined");
+      test("no host via api", () => variables.get.constructor("return typeof process")() === "undefined");
+      test("no host via crypto", () => crypto.randomUUID.constructor("return typeof require")() === "undefined");
+    `);
+    expect(result.error).toBeNull();
+    expect(result.checks.every(check => check.passed)).toBe(true);
+  });
+
+  it("stops a synchronous endless loop", async () => {
+    const started = Date.now();
+    const result = await runTest('console.log("before"); while (true) {}', { timeoutMs: 300 });
+    expect(Date.now() - started).toBeLessThan(3000);
+    expect(result.error).toBe("Script timed out after 300 ms");
+    expect(result.logs).toEqual([{ phase: "test", level: "log", message: "before" }]);
+  });
+
+  it("stops a script that never settles", async () => {
+    const result = await runPreRequestScript({ ...testCase, preRequestScript: "await new Promise(() => {});" }, {}, { timeoutMs: 200 });
+    expect(result.error).toBe("Script timed out after 200 ms");
+    expect(result.testCase).toMatchObject({ url: testCase.url });
+  });
+});
@@ -0,0 +1,104 @@
+import { v4 as uuidv4 } from "uuid";
+
+export const DEFAULT_AUTH = {
+  token: "",
+  username: "",
+  password: "",
+  apiKey: "",
+  apiKeyLocation: "header",
+  apiKeyName: "x-api-key",
+  grantType: "client_credentials",
+  tokenUrl: "",
+  clientId: "",
+  clientSecret: "",
+  scope: "",
+  audience: "",
+  refreshToken: ""
+};
+
+// Body types whose fields live in the `formData` key/value list.
+export const KEY_VALUE_BODY_TYPES = ["form-data", "urlencoded"];
+
+/** Builds a saved test case with every field the runner and form expect, filled with defaults. */
+export function createTestCase(fields = {}) {
+  return {
+    id: uuidv4(),
+    caseName: "",
+    folder: "",
+    method: "GET",
+    url: "",
+    headers: [],
+    authType: "None",
+    bodyType: "raw",
+    rawBody: "",
+    formData: [],
+    expectedStatus: null,
+    maxResponseTime: null,
+    timeoutSeconds: null,
+    assertions: [],
+    headerAssertions: [],
+    responseSchema: null,
+    captures: [],
+    preRequestScript: "",
+    testScript: "",
+    operationId: "",
+    tags: [],
+    serial: false,
+    retryPolicy: null,
+    dataset: null,
+    mock: null,
+    ...fields,
+    auth: { ...DEFAULT_AUTH, ...(fields.auth || {}) }
+  };
+}
+
+// Reports group cases without a folder under this suite name.
+export const DEFAULT_SUITE_NAME = "API Tests";
+
+/** Splits a folder path such as "Users / Admin" or "Users/Admin" into trimmed segments. */
+export const splitFolderPath = folder => String(folder ?? "")
+  .split("/")
+  .map(segment => segment.trim())
+  .filter(Boolean);
+
+export const normalizeFolder = folder => splitFolderPath(folder).join("/");
+
+export const suiteNameFor = testCase => normalizeFolder(testCase?.folder) || DEFAULT_SUITE_NAME;
+
+/** True when the case lives in `folder` or one of its sub-folders. */
+export const isInFolder = (testCase, folder) => {
+  const target = normalizeFolder(folder);
+  const own = normalizeFolder(testCase?.folder);
+  return own === target || own.startsWith(`${target}/`);
+};
+
+/**
+ * Groups cases into a folder tree, keeping list order. Each node is
+ * `{ name, path, cases: [{ testCase, index }], children }`; the root has an empty path.
+ */
+export function buildFolderTree(testCases) {
+  const root = { name: "", path: "", cases: [], children: [] };
+  (testCases || []).forEach((testCase, index) => {
+    let node = root;
+    splitFolderPath(testCase.folder).forEach(segment => {
+      const path = node.path ? `${node.path}/${segment}` : segment;
+      let child = node.children.find(existing => existing.path === path);
+      if (!child) {
+        child = { name: segment, path, cases: [], children: [] };
+        node.children.push(child);
+      }
+      node = child;
+    });
+    node.cases.push({ testCase, index });
+  });
+  return root;
+}
+
+/**
+ * The cases in the order the folder tree shows them: cases outside any folder first, then each
+ * folder depth-first, list order within a folder. Suites run in this order too.
+ */
+export function orderByFolderTree(testCases) {
+  const flatten = node => [...node.cases.map(entry => entry.testCase), ...node.children.flatMap(flatten)];
+  return flatten(buildFolderTree(testCases));
+}
@@ -0,0 +1,50 @@
+import { buildFolderTree, isInFolder, normalizeFolder, orderByFolderTree, suiteNameFor } from "./testCases.js";
+
+const cases = [
+  { id: "1", folder: "Users/Admin" },
+  { id: "2", folder: "" },
+  { id: "3", folder: "Orders" },
+  { id: "4", folder: " Users " },
+  { id: "5", folder: "Users / Admin" },
+  { id: "6" }
+];
+
+describe("folders", () => {
+  it("normalizes folder paths", () => {
+    expect(normalizeFolder(" Users /  Admin/ ")).toBe("Users/Admin");
+    expect(normalizeFolder(undefined)).toBe("");
+    expect(suiteNameFor({ folder: "" })).toBe("API Tests");
+    expect(suiteNameFor({ folder: "Users/Admin" })).toBe("Users/Admin");
+  });
+
+  it("matches a folder and its sub-folders only", () => {
+    expect(isInFolder({ folder: "Users/Admin" }, "Users")).toBe(true);
+    expect(isInFolder({ folder: "Users" }, "Users/")).toBe(true);
+    expect(isInFolder({ folder: "UsersArchive" }, "Users")).toBe(false);
+    expect(isInFolder({ folder: "Users" }, "Users/Admin")).toBe(false);
+  });
+});
+
+describe("buildFolderTree", () => {
+  it("nests folders in first-appearance order and keeps list indexes", () => {
+    const tree = buildFolderTree(cases);
+    expect(tree.cases.map(entry => entry.index)).toEqual([1, 5]);
+    expect(tree.children.map(child => child.path)).toEqual(["Users", "Orders"]);
+    const [users] = tree.children;
+    expect(users.cases.map(entry => entry.testCase.id)).toEqual(["4"]);
+    expect(users.children).toEqual([
+      expect.objectContaining({ name: "Admin", path: "Users/Admin", cases: [{ testCase: cases[0], index: 0 }, { testCase: cases[4], index: 4 }] })
+    ]);
+  });
+});
+
+describe("orderByFolderTree", () => {
+  it("lists cases the way the tree shows them", () => {
+    expect(orderByFolderTree(cases).map(tc => tc.id)).toEqual(["2", "6", "4", "1", "5", "3"]);
+  });
+
+  it("keeps an already grouped list as it is", () => {
+    const grouped = [{ id: "a" }, { id: "b", folder: "X" }, { id: "c", folder: "X/Y" }, { id: "d", folder: "Z" }];
+    expect(orderByFolderTree(grouped)).toEqual(grouped);
+  });
+});
@@ -1,10 +1,25 @@
 import axios from "axios";
 import JSZip from "jszip";
 import { v4 as uuidv4 } from "uuid";
+import { evaluateBodyAssertions, evaluateHeaderAssertions } from "./assertions.js";
+import { validateAgainstSchema } from "./jsonSchema.js";
+import { findUnresolvedVariables, resolveTestCase } from "./environments.js";
+import { extractCaptures, looksSecret } from "./captures.js";
+import { createTokenCache, fetchOAuthToken } from "./oauth.js";
+import { formatScriptLogs, runPreRequestScript, runTestScript, toRequestView } from "./scripts.js";
+import { isInFolder, orderByFolderTree, splitFolderPath, suiteNameFor } from "./testCases.js";
+import { resolveRetryPolicy, retryDelay, retryReason } from "./retry.js";
+import { expandIterations, iterationLabel } from "./datasets.js";
+import { describeRequest, describeResponse } from "./exchange.js";
+import { createMockAdapter } from "./mocks.js";
+
+export const DEFAULT_TIMEOUT_SECONDS = 30;
 
 const ensureTrimmed = value => (typeof value === "string" ? value.trim() : value);
 
+// Unset fields (null, "") stay null; Number() would turn them into 0.
 const asNumber = value => {
+  if (value == null || (typeof value === "string" && !value.trim())) return null;
   const numeric = Number(value);
   return Number.isFinite(numeric) ? numeric : null;
 };
@@ -38,7 +53,12 @@ const escapeHtml = value => {
     .replace(/'/g, "&#39;");
 };
 
-const buildHeaders = (testCase, { isFormData }) => {
+// UTF-8 safe, and works in Node where the CLI runs without relying on btoa.
+const toBase64 = text => (typeof Buffer !== "undefined"
+  ? Buffer.from(text, "utf8").toString("base64")
+  : btoa(String.fromCharCode(...new TextEncoder().encode(text))));
+
+const buildHeaders = (testCase, { isFormData, isUrlEncoded, contentType, oauthToken }) => {
   const headers = {};
   (testCase.headers || []).forEach(({ key, value }) => {
     if (!key) return;
@@ -53,7 +73,7 @@ const buildHeaders = (testCase, { isFormData }) => {
   }
 
   if (authType === "Basic" && auth.username && auth.password) {
-    headers["Authorization"] = "Basic " + btoa(`${auth.username}:${auth.password}`);
+    headers["Authorization"] = "Basic " + toBase64(`${auth.username}:${auth.password}`);
   }
 
   if (authType === "ApiKey" && auth.apiKey && auth.apiKeyLocation === "header") {
@@ -61,6 +81,10 @@ const buildHeaders = (testCase, { isFormData }) => {
     headers[headerName] = auth.apiKey;
   }
 
+  if (authType === "OAuth2" && oauthToken?.accessToken) {
+    headers["Authorization"] = `${oauthToken.tokenType || "Bearer"} ${oauthToken.accessToken}`;
+  }
+
   if (isFormData) {
     Object.keys(headers).forEach(key => {
       if (key.toLowerCase() === "content-type") {
@@ -69,6 +93,17 @@ const buildHeaders = (testCase, { isFormData }) => {
     });
   }
 
+  if (contentType) {
+    Object.keys(headers).forEach(key => {
+      if (key.toLowerCase() === "content-type") delete headers[key];
+    });
+    headers["Content-Type"] = contentType;
+  }
+
+  if (isUrlEncoded && !Object.keys(headers).some(key => key.toLowerCase() === "content-type")) {
+    headers["Content-Type"] = "application/x-www-form-urlencoded";
+  }
+
   return headers;
 };
 
@@ -111,91 +146,563 @@ const buildBody = testCase => {
       return { data: fd, isFormData: true, warning: null };
     }
 
-    // Fallback for non-browser environments
-    const obj = {};
+    // Runtimes without FormData (older Node) get the multipart body written out by hand.
+    const boundary = `----chibaka${uuidv4().replace(/-/g, "")}`;
+    const parts = (testCase.formData || [])
+      .filter(({ key }) => key)
+      .map(({ key, value }) => `--${boundary}\r\nContent-Disposition: form-data; name="${String(key).replace(/"/g, "%22")}"\r\n\r\n${value ?? ""}\r\n`);
+    return {
+      data: `${parts.join("")}--${boundary}--\r\n`,
+      isFormData: false,
+      contentType: `multipart/form-data; boundary=${boundary}`,
+      warning: null
+    };
+  }
+
+  if (testCase.bodyType === "urlencoded") {
+    const params = new URLSearchParams();
     (testCase.formData || []).forEach(({ key, value }) => {
       if (!key) return;
-      obj[key] = value;
+      params.append(key, value ?? "");
     });
-    return { data: obj, isFormData: false, warning: null };
+    const encoded = params.toString();
+    if (!encoded) {
+      return { data: undefined, isFormData: false, warning: null };
+    }
+    return { data: encoded, isFormData: false, isUrlEncoded: true, warning: null };
   }
 
   return { data: undefined, isFormData: false, warning: null };
 };
 
-export async function runTestCase(testCase) {
+const buildRequestUrl = testCase => {
+  let url = ensureTrimmed(testCase.url || "");
+  const auth = testCase.auth || {};
+  if (testCase.authType === "ApiKey" && auth.apiKey && auth.apiKeyLocation === "query") {
+    const paramName = auth.apiKeyName?.trim() || "apiKey";
+    const param = `${encodeURIComponent(paramName)}=${encodeURIComponent(auth.apiKey)}`;
+    url += (url.includes("?") ? "&" : "?") + param;
+  }
+  return url;
+};
+
+/**
+ * Builds the request a resolved test case sends, without sending it. `oauthToken` is only
+ * needed for OAuth2 cases; the runner fetches it between building the body and the headers.
+ */
+export function buildRequest(testCase, { oauthToken } = {}) {
+  const { data, isFormData, isUrlEncoded, contentType, warning } = buildBody(testCase);
+  return {
+    method: (testCase.method || "GET").toUpperCase(),
+    url: buildRequestUrl(testCase),
+    headers: buildHeaders(testCase, { isFormData, isUrlEncoded, contentType, oauthToken }),
+    data,
+    isFormData,
+    warning
+  };
+}
+
+const MOCK_OAUTH_TOKEN = { accessToken: "mock-token", tokenType: "Bearer", source: "mock", status: null };
+
+// One try at a case. With `options.mocks` (a list of cases), requests are answered by their mocks.
+async function runAttempt(sourceCase, options = {}) {
+  const { signal } = options;
+  if (signal?.aborted) return buildSkippedResult(sourceCase, SKIPPED_BEFORE_START);
+  const variables = { ...(options.variables || {}) };
+  const steps = [];
+  const scriptStart = Date.now();
+  const preRequest = await runPreRequestScript(sourceCase, variables);
+  Object.assign(variables, preRequest.variables);
+  if (sourceCase.preRequestScript?.trim()) {
+    steps.push({
+      kind: "script",
+      name: "Pre-request script",
+      status: preRequest.error ? "broken" : "passed",
+      message: preRequest.error || undefined,
+      start: scriptStart,
+      stop: Date.now()
+    });
+  }
+  if (preRequest.error) {
+    return withFailureReason({
+      ...buildCrashResult(sourceCase, new Error(`Pre-request script failed: ${preRequest.error}`)),
+      expectedStatus: asNumber(sourceCase.expectedStatus),
+      scriptFailed: true,
+      steps,
+      scriptLogs: preRequest.logs,
+      scriptVariables: preRequest.variables
+    });
+  }
+
+  const testCase = resolveTestCase(preRequest.testCase, variables);
+  const unresolved = findUnresolvedVariables(testCase);
   const method = (testCase.method || "GET").toUpperCase();
-  let finalUrl = ensureTrimmed(testCase.url || "");
-  if (!finalUrl) {
+  if (!ensureTrimmed(testCase.url || "")) {
     throw new Error("Missing URL for test case.");
   }
+  const finalUrl = buildRequestUrl(testCase);
 
   const authType = testCase.authType;
   const auth = testCase.auth || {};
-  if (authType === "ApiKey" && auth.apiKey && auth.apiKeyLocation === "query") {
-    const paramName = auth.apiKeyName?.trim() || "apiKey";
-    const param = `${encodeURIComponent(paramName)}=${encodeURIComponent(auth.apiKey)}`;
-    finalUrl += (finalUrl.includes("?") ? "&" : "?") + param;
+  const { data, isFormData, isUrlEncoded, contentType, warning: bodyWarning } = buildBody(testCase);
+  const warning = [
+    bodyWarning,
+    unresolved.length ? `Unresolved variables: ${unresolved.map(name => `{{${name}}}`).join(", ")}.` : null
+  ].filter(Boolean).join(" ") || null;
+
+  // maxResponseTime is the SLA budget the response is judged against; timeoutSeconds is the
+  // hard limit after which the request, and the OAuth2 token request before it, is aborted.
+  // Older cases only carry the budget.
+  const budgetSeconds = asNumber(testCase.maxResponseTime);
+  const budgetMs = budgetSeconds && budgetSeconds > 0 ? Math.round(budgetSeconds * 1000) : null;
+  const configuredTimeout = asNumber(testCase.timeoutSeconds);
+  const timeoutSeconds = configuredTimeout && configuredTimeout > 0
+    ? configuredTimeout
+    : Math.max(DEFAULT_TIMEOUT_SECONDS, budgetSeconds || 0);
+  const timeoutMs = Math.round(timeoutSeconds * 1000);
+
+  let oauthToken = null;
+  if (authType && authType !== "None" && authType !== "OAuth2") {
+    const now = Date.now();
+    steps.push({ kind: "auth", name: `${authType} authorization`, status: "passed", start: now, stop: now });
+  }
+  if (authType === "OAuth2") {
+    const tokenStart = Date.now();
+    const grantType = auth.grantType || "client_credentials";
+    try {
+      // Mocked runs never reach the token endpoint; the mocks do not check the token anyway.
+      oauthToken = options.mocks
+        ? MOCK_OAUTH_TOKEN
+        : await fetchOAuthToken(auth, { cache: options.tokenCache, timeout: timeoutMs, signal });
+      const tokenLabel = { cache: "OAuth2 token (cached)", mock: "OAuth2 token (mocked)" }[oauthToken.source];
+      steps.push({
+        kind: "auth",
+        name: tokenLabel || `OAuth2 token request (${oauthToken.source})`,
+        status: "passed",
+        start: tokenStart,
+        stop: Date.now(),
+        parameters: [{ name: "tokenUrl", value: auth.tokenUrl || "" }, { name: "grantType", value: grantType }]
+      });
+    } catch (error) {
+      if (signal?.aborted) return buildSkippedResult(testCase, SKIPPED_IN_FLIGHT);
+      const message = `OAuth2 token request failed: ${error.message}`;
+      steps.push({
+        kind: "auth",
+        name: `OAuth2 token request (${grantType})`,
+        status: "failed",
+        message,
+        start: tokenStart,
+        stop: Date.now(),
+        parameters: [{ name: "tokenUrl", value: auth.tokenUrl || "" }, { name: "grantType", value: grantType }]
+      });
+      return withFailureReason({
+        ...buildCrashResult(testCase, new Error(message)),
+        expectedStatus: asNumber(testCase.expectedStatus),
+        authFailed: true,
+        steps,
+        scriptLogs: preRequest.logs,
+        scriptVariables: preRequest.variables,
+        warning
+      });
+    }
   }
 
-  const { data, isFormData, warning } = buildBody(testCase);
-  const headers = buildHeaders(testCase, { isFormData });
+  const headers = buildHeaders(testCase, { isFormData, isUrlEncoded, contentType, oauthToken });
 
-  const timeoutSeconds = asNumber(testCase.maxResponseTime);
   const requestConfig = {
     method,
     url: finalUrl,
     headers,
-    validateStatus: () => true
+    timeout: timeoutMs,
+    transitional: { clarifyTimeoutError: true },
+    validateStatus: () => true,
+    signal
   };
 
-  if (timeoutSeconds && timeoutSeconds > 0) {
-    requestConfig.timeout = timeoutSeconds * 1000;
+  if (options.mocks) {
+    requestConfig.adapter = createMockAdapter(options.mocks, sourceCase.id);
   }
 
   if (data !== undefined) {
     requestConfig.data = data;
   }
 
+  // Credentials are redacted here, before the exchange reaches reports or stored history.
+  const sentRequest = describeRequest(requestConfig, testCase);
+  const requestStep = { kind: "request", name: `${method} ${sentRequest.url}` };
   const start = Date.now();
   try {
     const response = await axios(requestConfig);
     const elapsed = Date.now() - start;
+    steps.push({ ...requestStep, status: "passed", start, stop: start + elapsed });
     const expectedStatus = asNumber(testCase.expectedStatus);
-    const ok = expectedStatus != null ? response.status === expectedStatus : response.status >= 200 && response.status < 300;
+    const statusOk = expectedStatus != null ? response.status === expectedStatus : response.status >= 200 && response.status < 300;
+    const assertions = evaluateBodyAssertions(testCase.assertions, response.data);
+    const headerAssertions = evaluateHeaderAssertions(testCase.headerAssertions, response.headers);
+    const schemaChecked = testCase.responseSchema != null;
+    const schemaErrors = schemaChecked ? validateAgainstSchema(testCase.responseSchema, response.data) : [];
+    const captures = extractCaptures(testCase.captures, response);
+    const missingCaptures = captures.filter(capture => !capture.found).map(capture => capture.variable);
+    const performance = budgetMs != null ? { budgetMs, actualMs: elapsed, passed: elapsed <= budgetMs } : null;
+    const testScriptStart = Date.now();
+    const testScript = await runTestScript(testCase, {
+      response: { ...response, timeMs: elapsed },
+      request: toRequestView(testCase),
+      variables
+    });
+    if (testCase.testScript?.trim()) {
+      steps.push({
+        kind: "script",
+        name: "Test script",
+        status: testScript.error ? "broken" : "passed",
+        message: testScript.error || undefined,
+        start: testScriptStart,
+        stop: Date.now()
+      });
+    }
+    const scriptChecks = testScript.error
+      ? [...testScript.checks, { name: "Test script", passed: false, message: `Test script failed: ${testScript.error}` }]
+      : testScript.checks;
+    const ok = statusOk &&
+      !schemaErrors.length &&
+      [...assertions, ...headerAssertions, ...scriptChecks].every(check => check.passed) &&
+      (!performance || performance.passed);
 
-    return {
+    return withFailureReason({
       caseId: testCase.id,
       caseName: testCase.caseName,
       ok,
+      statusOk,
       status: response.status,
       statusText: response.statusText,
       timeMs: elapsed,
       expectedStatus,
-      warning,
+      assertions,
+      headerAssertions,
+      schemaChecked,
+      schemaErrors,
+      performance,
+      captures,
+      steps,
+      scriptChecks,
+      scriptLogs: [...preRequest.logs, ...testScript.logs],
+      scriptVariables: { ...preRequest.variables, ...testScript.variables },
+      warning: [
+        warning,
+        missingCaptures.length ? `Nothing captured for ${missingCaptures.join(", ")}.` : null
+      ].filter(Boolean).join(" ") || null,
       executedAt: new Date().toISOString(),
+      exchange: { request: sentRequest, response: describeResponse(response) },
+      checksAt: { start: start + elapsed, stop: Date.now() },
       error: null
-    };
+    });
   } catch (error) {
     const elapsed = Date.now() - start;
-    return {
+    if (axios.isCancel(error) || signal?.aborted) {
+      return { ...buildSkippedResult(testCase, SKIPPED_IN_FLIGHT), timeMs: elapsed, steps };
+    }
+    const timedOut = error.code === "ETIMEDOUT" || error.code === "ECONNABORTED";
+    // Only a timeout says anything about the budget; a request that never got an answer
+    // (refused connection, DNS, TLS) has no response time to judge.
+    const withinBudget = timedOut ? false : error.response ? elapsed <= budgetMs : null;
+    const failedRequest = timedOut ? `Timed out after ${formatDuration(requestConfig.timeout)} (hard limit)` : error.message;
+    steps.push({ ...requestStep, status: "broken", message: failedRequest, start, stop: start + elapsed });
+    return withFailureReason({
       caseId: testCase.id,
       caseName: testCase.caseName,
       ok: false,
+      statusOk: false,
       status: error.response?.status,
       statusText: error.response?.statusText,
       timeMs: elapsed,
       expectedStatus: asNumber(testCase.expectedStatus),
+      assertions: [],
+      headerAssertions: [],
+      schemaChecked: false,
+      schemaErrors: [],
+      performance: budgetMs != null ? { budgetMs, actualMs: elapsed, passed: withinBudget } : null,
+      captures: [],
+      steps,
+      scriptChecks: [],
+      scriptLogs: preRequest.logs,
+      scriptVariables: preRequest.variables,
+      timedOut,
+      timeoutMs: requestConfig.timeout,
       warning,
       executedAt: new Date().toISOString(),
-      error: error.message
+      exchange: { request: sentRequest, response: error.response ? describeResponse(error.response) : null },
+      error: failedRequest
+    });
+  }
+}
+
+const buildCrashResult = (testCase, error) => withFailureReason({
+  caseId: testCase.id,
+  caseName: testCase.caseName,
+  ok: false,
+  status: null,
+  statusText: "Request Failed",
+  timeMs: 0,
+  expectedStatus: null,
+  captures: [],
+  executedAt: new Date().toISOString(),
+  warning: null,
+  error: error?.message || "Unexpected error"
+});
+
+const SKIPPED_BEFORE_START = "Run stopped before this case started.";
+const SKIPPED_IN_FLIGHT = "Run stopped while the request was in flight.";
+
+// A case the run never finished because it was stopped; it counts as neither passed nor failed.
+const buildSkippedResult = (testCase, reason) => withFailureReason({
+  caseId: testCase.id,
+  caseName: testCase.caseName,
+  ok: false,
+  skipped: true,
+  skipReason: reason,
+  status: null,
+  statusText: "Skipped",
+  timeMs: 0,
+  expectedStatus: asNumber(testCase.expectedStatus),
+  captures: [],
+  executedAt: new Date().toISOString(),
+  warning: null,
+  error: null
+});
+
+// Resolves early when the run is stopped so a pending retry does not hold it up.
+const wait = (ms, signal) => new Promise(resolve => {
+  if (signal?.aborted) {
+    resolve();
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    resolve();
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener("abort", onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+const summarizeAttempt = (result, attempt, startedAt) => ({
+  attempt,
+  ok: result.ok,
+  status: result.status ?? null,
+  statusText: result.statusText ?? null,
+  timeMs: result.timeMs ?? null,
+  error: result.error || null,
+  failureReason: result.failureReason || null,
+  failures: listFailures(result),
+  startedAt
+});
+
+/**
+ * Runs a case, retrying failed attempts that match its retry policy (the case's own
+ * `retryPolicy`, else `options.retryPolicy`). The final attempt's result is returned with every
+ * attempt listed in `attempts`; `flaky` marks cases that passed only after a retry.
+ */
+export async function runTestCase(sourceCase, options = {}) {
+  const policy = resolveRetryPolicy(sourceCase, options.retryPolicy);
+  const attempts = [];
+  let result;
+  let lastFailure = null;
+
+  for (let attempt = 1; attempt <= policy.maxAttempts; attempt += 1) {
+    const startedAt = Date.now();
+    result = await runAttempt(sourceCase, options);
+    // A stop during a retry keeps the failed attempt before it as the case's result.
+    if (result.skipped && attempts.length) {
+      result = lastFailure;
+      attempts[attempts.length - 1].retryReason = null;
+      break;
+    }
+    const reason = attempt < policy.maxAttempts ? retryReason(result, policy) : null;
+    attempts.push({ ...summarizeAttempt(result, attempt, startedAt), retryReason: reason });
+    if (!reason) break;
+    lastFailure = result;
+    await wait(retryDelay(policy, attempt), options.signal);
+  }
+
+  return { ...result, attempts, flaky: result.ok && attempts.length > 1, ...(options.mocks && { mocked: true }) };
+}
+
+const MAX_CONCURRENCY = 16;
+
+/**
+ * Runs cases in the order the case list shows them (see orderByFolderTree) and returns
+ * `{ results, variables, captures, wallTimeMs, totalRequestMs }`.
+ * With `concurrency` > 1, consecutive cases run in parallel batches that all see the variables
+ * captured before the batch; cases marked `serial` (or inside one of `serialFolders`) run alone
+ * so later cases can depend on what they capture. Results keep run order either way.
+ * Cases with a dataset run once per row, with the row's columns as variables; each of those
+ * results carries `iteration: { index, total, values }`.
+ * Aborting `signal` cancels in-flight requests; those and every case not yet started come back
+ * as `skipped` results, and `stopped` is set on the returned object.
+ * With `mocks` (usually every saved case), requests are answered by the cases' mock responses
+ * instead of the network and results are marked `mocked`.
+ */
+export async function runTestSuite(testCases, options = {}) {
+  const { variables: initialVariables = {}, onResult, serialFolders = [] } = options;
+  const concurrency = Math.min(MAX_CONCURRENCY, Math.max(1, Math.floor(Number(options.concurrency) || 1)));
+  const tokenCache = options.tokenCache || createTokenCache();
+  const variables = { ...initialVariables };
+  const captured = [];
+  const entries = expandIterations(orderByFolderTree(testCases));
+  const results = new Array(entries.length);
+  const runStart = Date.now();
+  let completed = 0;
+
+  const isSerial = testCase => concurrency === 1 ||
+    Boolean(testCase.serial) ||
+    serialFolders.some(folder => isInFolder(testCase, folder));
+
+  const runOne = async ({ testCase, iteration, error: datasetError }, index, snapshot) => {
+    let result;
+    try {
+      if (datasetError) throw new Error(datasetError);
+      result = await runTestCase(testCase, {
+        variables: { ...snapshot, ...(iteration?.values || {}) },
+        tokenCache,
+        retryPolicy: options.retryPolicy,
+        signal: options.signal,
+        mocks: options.mocks
+      });
+    } catch (error) {
+      result = buildCrashResult(testCase, error);
+    }
+    if (iteration) result = { ...result, iteration };
+    results[index] = result;
+    completed += 1;
+    if (typeof onResult === "function") onResult(result, index, completed);
+  };
+
+  const mergeVariables = index => {
+    const { testCase } = entries[index];
+    const result = results[index];
+    Object.entries(result.scriptVariables || {}).forEach(([variable, value]) => {
+      variables[variable] = value;
+      captured.push({ variable, value, source: "script", secret: looksSecret(variable), found: true, caseId: testCase.id, caseName: testCase.caseName });
+    });
+
+    (result.captures || []).forEach(capture => {
+      if (!capture.found) return;
+      variables[capture.variable] = capture.value;
+      captured.push({ ...capture, caseId: testCase.id, caseName: testCase.caseName });
+    });
+  };
+
+  const runBatch = async indexes => {
+    const snapshot = { ...variables };
+    let cursor = 0;
+    const worker = async () => {
+      while (cursor < indexes.length) {
+        const index = indexes[cursor];
+        cursor += 1;
+        await runOne(entries[index], index, { ...snapshot });
+      }
     };
+    await Promise.all(Array.from({ length: Math.min(concurrency, indexes.length) }, worker));
+    indexes.forEach(mergeVariables);
+  };
+
+  let batch = [];
+  for (let index = 0; index < entries.length; index += 1) {
+    if (isSerial(entries[index].testCase)) {
+      if (batch.length) await runBatch(batch);
+      batch = [];
+      await runBatch([index]);
+    } else {
+      batch.push(index);
+    }
   }
+  if (batch.length) await runBatch(batch);
+
+  return {
+    results,
+    variables,
+    captures: captured,
+    stopped: Boolean(options.signal?.aborted),
+    wallTimeMs: Date.now() - runStart,
+    totalRequestMs: results.reduce((acc, result) => acc + (result?.timeMs || 0), 0)
+  };
 }
 
+// The single most significant reason a result failed, used for grouping in reports.
+export function classifyFailure(result) {
+  if (!result || result.ok || result.skipped) return null;
+  if (result.authFailed) return "auth";
+  if (result.scriptFailed) return "script";
+  if (result.timedOut) return "timeout";
+  if (result.error) return "network";
+  if (result.statusOk === false) return "status";
+  if ((result.schemaErrors || []).length) return "schema";
+  if ([...(result.headerAssertions || []), ...(result.assertions || [])].some(assertion => !assertion.passed)) {
+    return "assertion";
+  }
+  if ((result.scriptChecks || []).some(check => !check.passed)) return "script";
+  if (result.performance?.passed === false) return "performance";
+  return "status";
+}
+
+const withFailureReason = result => ({ ...result, failureReason: classifyFailure(result) });
+
+// Every individual check behind a result's `ok`, in the order they are reported.
+export function listChecks(result) {
+  if (!result || result.skipped) return [];
+  const checks = [];
+  if (result.error) {
+    checks.push({ name: "Request completed", passed: false, message: result.error });
+  } else {
+    const expected = result.expectedStatus ?? "2xx";
+    checks.push({
+      name: `Status is ${expected}`,
+      passed: result.statusOk ?? result.ok,
+      message: `Expected ${expected}, got ${result.status ?? "error"}`
+    });
+  }
+  [...(result.headerAssertions || []), ...(result.assertions || [])].forEach(assertion => {
+    checks.push({ name: assertion.message, passed: assertion.passed, message: assertion.message });
+  });
+  (result.schemaErrors || []).forEach(violation => {
+    const location = violation.instancePath || "/";
+    checks.push({
+      name: `Schema: ${location} ${violation.message}`,
+      passed: false,
+      message: `Schema violation at ${location}: ${violation.message}`
+    });
+  });
+  (result.scriptChecks || []).forEach(check => {
+    checks.push({ name: `Script: ${check.name}`, passed: check.passed, message: check.message });
+  });
+  if (result.schemaChecked && !(result.schemaErrors || []).length) {
+    checks.push({ name: "Response matches JSON Schema", passed: true, message: "Response matches JSON Schema" });
+  }
+  if (result.performance && !result.error) {
+    const { budgetMs, actualMs, passed } = result.performance;
+    checks.push({
+      name: `Responds within ${formatDuration(budgetMs)}`,
+      passed,
+      message: `Response took ${formatDuration(actualMs)}, over the ${formatDuration(budgetMs)} budget`
+    });
+  }
+  return checks;
+}
+
+export function listFailures(result) {
+  if (!result || result.ok) return [];
+  return listChecks(result).filter(check => !check.passed).map(check => check.message);
+}
+
+// Control characters other than tab and newlines are not allowed anywhere in XML 1.0.
+// eslint-disable-next-line no-control-regex
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
 const escapeXml = value => {
   const raw = ensureTrimmed(value ?? "");
-  const str = String(raw);
+  const str = String(raw).replace(INVALID_XML_CHARS, "");
   return str
     .replace(/&/g, "&amp;")
     .replace(/</g, "&lt;")
@@ -204,61 +711,274 @@ const escapeXml = value => {
     .replace(/'/g, "&apos;");
 };
 
-export function generateJUnitReport(testCases, results) {
-  const total = testCases.length;
-  const failures = results.filter(r => !r.ok).length;
+// JUnit timestamps are ISO 8601 without a zone; these are UTC.
+const junitTimestamp = iso => new Date(iso || Date.now()).toISOString().slice(0, 19);
+
+const junitSeconds = ms => ((ms || 0) / 1000).toFixed(3);
+
+// Response bodies in system-out are cut here; the full exchange lives in the Allure attachments.
+const MAX_SYSTEM_OUT_BODY = 4000;
+
+const formatExchangeBody = (body, limit) => {
+  if (body == null) return "";
+  const text = typeof body === "string" ? body : JSON.stringify(body, null, 2);
+  return limit && text.length > limit ? `${text.slice(0, limit)}\n… (truncated)` : text;
+};
+
+// Plain-text request/response summary; `limit` caps each body (no cap when omitted).
+const formatExchange = (result, limit) => {
+  const { request, response } = result.exchange || {};
+  if (!request) return "";
+  const lines = [`> ${request.method} ${request.url}`];
+  Object.entries(request.headers || {}).forEach(([name, value]) => lines.push(`> ${name}: ${value}`));
+  const requestBody = formatExchangeBody(request.body, limit);
+  if (requestBody) lines.push("", requestBody);
+  lines.push("");
+  if (response) {
+    lines.push(`< ${response.status} ${response.statusText || ""} (${formatDuration(result.timeMs)})`.trim());
+    Object.entries(response.headers || {}).forEach(([name, value]) => lines.push(`< ${name}: ${value}`));
+    const responseBody = formatExchangeBody(response.body, limit);
+    if (responseBody) lines.push("", responseBody);
+  } else {
+    lines.push(`< no response: ${result.error || "request failed"}`);
+  }
+  return lines.join("\n");
+};
+
+// Failed requests that never got a usable response are JUnit errors; failed checks are failures.
+const junitOutcome = result => {
+  if (result.ok) return "";
+  if (result.skipped) return `      <skipped message="${escapeXml(result.skipReason)}"/>\n`;
+  const type = result.failureReason || "status";
+  if (result.error) {
+    return `      <error message="${escapeXml(result.error)}" type="${escapeXml(type)}">${escapeXml(result.error)}</error>\n`;
+  }
+  const failures = listFailures(result);
+  const messages = failures.length ? failures : ["Request failed"];
+  return `      <failure message="${escapeXml(messages[0])}" type="${escapeXml(type)}">${escapeXml(messages.join("\n"))}</failure>\n`;
+};
+
+/**
+ * Builds a JUnit XML document with one `<testsuite>` per suite. `options` may carry
+ * `executedAt`, `wallTimeMs` and the run settings listed in `<properties>` (see generateAllureArchive).
+ */
+export function generateJUnitReport(testCases, results, options = {}) {
   const casesById = Object.fromEntries(testCases.map(tc => [tc.id, tc]));
+  const suites = new Map();
+  const timestamp = junitTimestamp(options.executedAt);
+  const properties = runPropertyEntries(options, results)
+    .map(([key, value]) => `      <property name="${escapeXml(key)}" value="${escapeXml(value)}"/>`)
+    .join("\n");
 
-  const testCaseEntries = results.map(result => {
+  results.forEach(result => {
     const target = casesById[result.caseId] || {};
+    const suiteName = suiteNameFor(target);
     const fallbackName = `${target.method || result.caseName || ""} ${target.url || ""}`.trim();
-    const name = target.caseName || result.caseName || fallbackName || "Unnamed Case";
-    const failureBlock = result.ok ? "" : `<failure message="Expected ${result.expectedStatus ?? "2xx"}, got ${result.status ?? "error"}">${result.error || "Request failed"}</failure>`;
-    return `    <testcase classname="API" name="${escapeXml(name)}" time="${(result.timeMs || 0) / 1000}">
-${failureBlock ? `      ${failureBlock}\n` : ""}    </testcase>`;
-  }).join("\n");
+    const name = `${target.caseName || result.caseName || fallbackName || "Unnamed Case"}${iterationLabel(result.iteration)}`;
+    const output = [
+      formatExchange(result, MAX_SYSTEM_OUT_BODY),
+      result.warning ? `Warning: ${result.warning}` : "",
+      formatScriptLogs(result.scriptLogs) ? `Script console:\n${formatScriptLogs(result.scriptLogs)}` : ""
+    ].filter(Boolean).join("\n\n");
+    const systemOut = output ? `      <system-out>${escapeXml(output)}</system-out>\n` : "";
+    const entry = `    <testcase classname="${escapeXml(suiteName)}" name="${escapeXml(name)}" time="${junitSeconds(result.timeMs)}">
+${junitOutcome(result)}${systemOut}    </testcase>`;
+
+    if (!suites.has(suiteName)) suites.set(suiteName, { entries: [], failures: 0, errors: 0, skipped: 0, timeMs: 0 });
+    const suite = suites.get(suiteName);
+    suite.entries.push(entry);
+    suite.timeMs += result.timeMs || 0;
+    if (result.skipped) suite.skipped += 1;
+    else if (!result.ok && result.error) suite.errors += 1;
+    else if (!result.ok) suite.failures += 1;
+  });
+
+  const count = key => [...suites.values()].reduce((acc, suite) => acc + suite[key], 0);
+  const totalMs = Number.isFinite(options.wallTimeMs) ? options.wallTimeMs : count("timeMs");
+  const suiteBlocks = [...suites.entries()].map(([suiteName, suite], index) => [
+    `  <testsuite name="${escapeXml(suiteName)}" id="${index}" tests="${suite.entries.length}" failures="${suite.failures}" errors="${suite.errors}" skipped="${suite.skipped}" time="${junitSeconds(suite.timeMs)}" timestamp="${timestamp}">`,
+    ...(properties ? ["    <properties>", properties, "    </properties>"] : []),
+    ...suite.entries,
+    "  </testsuite>"
+  ].join("\n")).join("\n");
 
-  return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuite name="API Tests" tests="${total}" failures="${failures}">\n${testCaseEntries}\n</testsuite>`;
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="API Tests" tests="${results.length}" failures="${count("failures")}" errors="${count("errors")}" skipped="${count("skipped")}" time="${junitSeconds(totalMs)}" timestamp="${timestamp}">\n${suiteBlocks}\n</testsuites>`;
 }
 
-export async function generateAllureArchive(testCases, results, options = {}) {
+// Allure nests parentSuite > suite > subSuite; deeper folder levels are folded into subSuite.
+const suiteLabels = testCase => {
+  const segments = splitFolderPath(testCase?.folder);
+  if (!segments.length) return [{ name: "suite", value: suiteNameFor(testCase) }];
+  if (segments.length === 1) return [{ name: "suite", value: segments[0] }];
+  return [
+    { name: "parentSuite", value: segments[0] },
+    { name: "suite", value: segments[1] },
+    ...(segments.length > 2 ? [{ name: "subSuite", value: segments.slice(2).join("/") }] : [])
+  ];
+};
+
+// 53-bit string hash (cyrb53) rendered as hex; stable across runs and machines.
+const stableHash = text => {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i += 1) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, "0");
+};
+
+// Allure groups runs of the same test by these ids. They come from what the case is (suite,
+// name, method, URL template) rather than its generated id, so re-imported copies keep their trend.
+const allureIds = (testCase, result, environmentName) => {
+  const testCaseId = stableHash([suiteNameFor(testCase), testCase.caseName || result.caseName || "", testCase.method || "GET", testCase.url || ""].join("\n"));
+  // Mocked runs get their own history so they do not mix with the real backend's.
+  const parameters = [environmentName || "", JSON.stringify(result.iteration?.values || null), ...(result.mocked ? ["mock"] : [])].join("\n");
+  return { testCaseId, historyId: stableHash(`${testCaseId}\n${parameters}`) };
+};
+
+// Failure classes for categories.json, in the same precedence as classifyFailure.
+const FAILURE_CATEGORIES = [
+  { reason: "auth", name: "Authorization failures" },
+  { reason: "timeout", name: "Timeouts" },
+  { reason: "network", name: "Network errors" },
+  { reason: "status", name: "Status mismatches" },
+  { reason: "schema", name: "Schema violations" },
+  { reason: "assertion", name: "Assertion failures" },
+  { reason: "script", name: "Script failures" },
+  { reason: "performance", name: "Over response time budget" }
+];
+
+// Categories match on the "Failure reason: …" first line written into each failed result's trace.
+const buildAllureCategories = () => FAILURE_CATEGORIES.map(({ reason, name }) => ({
+  name,
+  matchedStatuses: ["failed", "broken"],
+  traceRegex: `(?s)Failure reason: ${reason}\\b.*`
+}));
+
+// Java .properties escaping, which is what Allure reads environment.properties with.
+const escapeProperty = (text, isKey) => String(text ?? "")
+  .replace(/\\/g, "\\\\")
+  .replace(/\n/g, "\\n")
+  .replace(/\r/g, "\\r")
+  .replace(isKey ? /([=:\s#!])/g : /^([\s#!])/, "\\$1");
+
+// Run settings shared by Allure's environment.properties and JUnit's <properties>.
+const runPropertyEntries = (options, results) => {
+  const retry = options.retryPolicy;
+  const runtime = typeof navigator !== "undefined" && navigator.userAgent
+    ? navigator.userAgent
+    : typeof process !== "undefined" && process.version ? `Node.js ${process.version}` : "unknown";
+  const entries = [
+    ["Environment", options.environmentName],
+    ["Base.URL", options.baseUrl],
+    ["Runtime", runtime],
+    ["Scope", options.scope],
+    ["Workers", options.concurrency],
+    ["Retry.max.attempts", retry?.maxAttempts],
+    ["Retry.backoff", retry && retry.maxAttempts > 1 ? `${retry.backoff} ${retry.delayMs} ms` : null],
+    ["Stopped.early", options.stopped ? "true" : null],
+    ["Mock.responses", options.mocked ? "true" : null],
+    ["Results", results.length]
+  ];
+  return entries.filter(([, value]) => value != null && value !== "").map(([key, value]) => [key, String(value)]);
+};
+
+const buildEnvironmentProperties = (options, results) => runPropertyEntries(options, results)
+  .map(([key, value]) => `${escapeProperty(key, true)}=${escapeProperty(value, false)}`)
+  .join("\n") + "\n";
+
+/**
+ * Builds the contents of an allure-results folder as `[{ name, content }]`. `options` may carry
+ * `environmentName`, `baseUrl`, `scope`, `concurrency`, `retryPolicy`, `stopped` and `mocked`, which go into
+ * environment.properties, plus `executorName`/`executorType` for executor.json.
+ */
+export function generateAllureFiles(testCases, results, options = {}) {
   const casesById = Object.fromEntries(testCases.map(tc => [tc.id, tc]));
   const runTimestamp = new Date();
-  const zip = new JSZip();
-  const resultsFolder = zip.folder("allure-results");
-  if (!resultsFolder) throw new Error("Failed to prepare allure-results folder.");
+  const files = [];
+  const resultsFolder = { file: (name, content) => files.push({ name, content }) };
 
+  const environmentSuffix = options.environmentName ? ` · ${options.environmentName}` : "";
   const executor = {
     name: options.executorName || "Browser Runner",
-    type: "browser",
+    type: options.executorType || "browser",
     buildOrder: options.buildOrder ?? undefined,
-    reportName: options.reportName || `API Suite ${runTimestamp.toISOString()}`,
+    buildName: options.environmentName || undefined,
+    reportName: options.reportName || `API Suite${environmentSuffix} ${runTimestamp.toISOString()}`,
     reportUrl: options.reportUrl || undefined,
     buildUrl: options.buildUrl || undefined
   };
 
   resultsFolder.file("executor.json", JSON.stringify(executor, null, 2));
+  resultsFolder.file("environment.properties", buildEnvironmentProperties(options, results));
+  resultsFolder.file("categories.json", JSON.stringify(buildAllureCategories(), null, 2));
+
+  // Allure reads attachments from sibling files referenced by `source`.
+  const attach = (name, content, type = "application/json") => {
+    const extension = type === "application/json" ? "json" : "txt";
+    const source = `${uuidv4()}-attachment.${extension}`;
+    resultsFolder.file(source, type === "application/json" ? JSON.stringify(content, null, 2) : String(content));
+    return { name, source, type };
+  };
 
   results.forEach(result => {
     const relatedCase = casesById[result.caseId] || {};
     const method = relatedCase.method || "GET";
     const url = relatedCase.url || "";
-    const name = relatedCase.caseName || result.caseName || `${method} ${url}`.trim() || "Unnamed Case";
-    const start = runTimestamp.getTime() - (result.timeMs || 0);
-    const stop = runTimestamp.getTime();
-    const status = result.ok ? "passed" : "failed";
+    const name = `${relatedCase.caseName || result.caseName || `${method} ${url}`.trim() || "Unnamed Case"}${iterationLabel(result.iteration)}`;
+    // Recorded phase timings win; results without them are placed at the end of the run.
+    const recordedSteps = result.steps || [];
+    const stop = result.checksAt?.stop ?? recordedSteps[recordedSteps.length - 1]?.stop ?? runTimestamp.getTime();
+    const start = recordedSteps[0]?.start ?? stop - (result.timeMs || 0);
+    // A result without a response (network error, timeout, token failure) is broken rather than failed.
+    const status = result.ok ? "passed" : result.skipped ? "skipped" : result.error ? "broken" : "failed";
     const uuid = uuidv4();
-    const historyId = relatedCase.id || result.caseId || uuid;
+    // Each dataset row has its own history, so a failing row does not mask the others.
+    const { testCaseId, historyId } = allureIds(relatedCase, result, options.environmentName);
 
     let statusDetails;
-    if (!result.ok) {
+    if (result.skipped) {
+      statusDetails = { message: result.skipReason };
+    } else if (!result.ok) {
       statusDetails = {
-        message: result.error || `Expected ${result.expectedStatus ?? "2xx"}, got ${result.status ?? "error"}`,
-        trace: result.warning || undefined
+        message: listFailures(result).join("\n"),
+        trace: [`Failure reason: ${result.failureReason || "status"}`, result.warning].filter(Boolean).join("\n")
       };
     } else if (result.warning) {
       statusDetails = { message: result.warning };
     }
+    const attempts = result.attempts || [];
+    if (result.flaky) {
+      const note = `Passed on attempt ${attempts.length} after ${attempts.length - 1} failed attempt(s).`;
+      statusDetails = { ...(statusDetails || {}), flaky: true, message: [note, statusDetails?.message].filter(Boolean).join("\n") };
+    }
+
+    // Earlier attempts become Allure retries: separate results sharing the case's historyId.
+    attempts.slice(0, -1).forEach(attempt => {
+      const retryUuid = uuidv4();
+      const retryStop = attempt.startedAt + (attempt.timeMs || 0);
+      resultsFolder.file(`${retryUuid}-result.json`, JSON.stringify({
+        uuid: retryUuid,
+        historyId,
+        testCaseId,
+        name,
+        fullName: `${method} ${url}`.trim() || name,
+        status: attempt.error ? "broken" : "failed",
+        stage: "finished",
+        statusDetails: { message: [`Attempt ${attempt.attempt} (retried: ${attempt.retryReason})`, ...attempt.failures].join("\n") },
+        start: attempt.startedAt,
+        stop: retryStop,
+        labels: suiteLabels(relatedCase),
+        parameters: [],
+        steps: [],
+        attachments: [],
+        links: []
+      }, null, 2));
+    });
 
     const parameters = [
       { name: "method", value: method },
@@ -269,9 +989,23 @@ export async function generateAllureArchive(testCases, results, options = {}) {
       parameters.push({ name: "expectedStatus", value: String(result.expectedStatus) });
     }
 
+    if (options.environmentName) {
+      parameters.push({ name: "environment", value: options.environmentName });
+    }
+
+    if (result.iteration) {
+      parameters.push({ name: "iteration", value: `${result.iteration.index} of ${result.iteration.total}` });
+      Object.entries(result.iteration.values).forEach(([column, value]) => parameters.push({ name: column, value }));
+    }
+
+    if (result.performance) {
+      parameters.push({ name: "responseBudget", value: formatDuration(result.performance.budgetMs) });
+    }
+
     const allureResult = {
       uuid,
       historyId,
+      testCaseId,
       name,
       fullName: `${method} ${url}`.trim() || name,
       status,
@@ -281,27 +1015,138 @@ export async function generateAllureArchive(testCases, results, options = {}) {
       stop,
       time: result.timeMs || 0,
       labels: [
-        { name: "suite", value: "API" },
-        { name: "framework", value: "axios" }
+        ...suiteLabels(relatedCase),
+        { name: "framework", value: "axios" },
+        ...(relatedCase.tags || []).map(tag => ({ name: "tag", value: tag })),
+        ...(relatedCase.operationId ? [{ name: "operationId", value: relatedCase.operationId }] : [])
       ],
       parameters,
-      steps: [],
-      attachments: [],
+      steps: [
+        ...(attempts.length > 1 ? attempts.map(attempt => ({
+          name: `Attempt ${attempt.attempt}: ${attempt.error || `${attempt.status} ${attempt.statusText || ""}`.trim()}${attempt.retryReason ? ` (retried: ${attempt.retryReason})` : ""}`,
+          status: attempt.ok ? "passed" : attempt.error ? "broken" : "failed",
+          stage: "finished",
+          start: attempt.startedAt,
+          stop: attempt.startedAt + (attempt.timeMs || 0),
+          steps: [],
+          attachments: [],
+          parameters: []
+        })) : []),
+        ...(result.steps || []).map(step => ({
+          name: step.name,
+          status: step.status,
+          statusDetails: step.message ? { message: step.message } : undefined,
+          stage: "finished",
+          start: step.start,
+          stop: step.stop,
+          steps: [],
+          attachments: step.kind === "request" && result.exchange ? [
+            attach("Request", result.exchange.request),
+            ...(result.exchange.response ? [attach("Response", result.exchange.response)] : [])
+          ] : [],
+          parameters: step.parameters || []
+        })),
+        ...listChecks(result).map(check => ({
+          name: check.name,
+          status: check.passed ? "passed" : "failed",
+          statusDetails: check.passed ? undefined : { message: check.message },
+          stage: "finished",
+          start: result.checksAt?.start ?? stop,
+          stop: result.checksAt?.stop ?? stop,
+          steps: [],
+          attachments: [],
+          parameters: []
+        }))
+      ],
+      attachments: formatScriptLogs(result.scriptLogs)
+        ? [attach("Script console", formatScriptLogs(result.scriptLogs), "text/plain")]
+        : [],
       links: []
     };
 
     resultsFolder.file(`${uuid}-result.json`, JSON.stringify(allureResult, null, 2));
   });
 
-  return zip.generateAsync({ type: "blob" });
+  return files;
 }
 
+/** Zips generateAllureFiles into `allure-results/`; `options.outputType` is passed to JSZip (default "blob"). */
+export async function generateAllureArchive(testCases, results, options = {}) {
+  const zip = new JSZip();
+  const resultsFolder = zip.folder("allure-results");
+  if (!resultsFolder) throw new Error("Failed to prepare allure-results folder.");
+  generateAllureFiles(testCases, results, options).forEach(({ name, content }) => resultsFolder.file(name, content));
+  return zip.generateAsync({ type: options.outputType || "blob" });
+}
+
+// Nodes deeper than this start collapsed in the preview's JSON viewer.
+const JSON_OPEN_DEPTH = 2;
+
+const renderJsonValue = (value, depth) => {
+  if (value === null) return `<span class="json-null">null</span>`;
+  if (typeof value === "string") return `<span class="json-string">${escapeHtml(JSON.stringify(value))}</span>`;
+  if (typeof value === "number") return `<span class="json-number">${value}</span>`;
+  if (typeof value === "boolean") return `<span class="json-boolean">${value}</span>`;
+  const isArray = Array.isArray(value);
+  const entries = isArray ? value.map((item, index) => [index, item]) : Object.entries(value);
+  const [open, close] = isArray ? ["[", "]"] : ["{", "}"];
+  if (!entries.length) return `<span class="json-punct">${open}${close}</span>`;
+  const children = entries.map(([key, item], index) => `<div class="json-entry">${isArray ? "" : `<span class="json-key">${escapeHtml(JSON.stringify(String(key)))}</span>: `}${renderJsonValue(item, depth + 1)}${index < entries.length - 1 ? "," : ""}</div>`).join("");
+  const count = `${entries.length} ${isArray ? (entries.length === 1 ? "item" : "items") : (entries.length === 1 ? "key" : "keys")}`;
+  return `<details class="json-node"${depth < JSON_OPEN_DEPTH ? " open" : ""}><summary><span class="json-punct">${open}</span><span class="json-count">${count}</span></summary><div class="json-children">${children}</div><span class="json-punct">${close}</span></details>`;
+};
+
+// Bodies that are (or parse as) JSON get the collapsible viewer; anything else stays plain text.
+const renderBody = (body, truncated) => {
+  if (body == null || body === "") return `<div class="exchange__empty">No body</div>`;
+  let value = body;
+  if (typeof body === "string" && !truncated) {
+    try {
+      value = JSON.parse(body);
+    } catch {
+      value = body;
+    }
+  }
+  const note = truncated ? `<div class="exchange__empty">Truncated for the report.</div>` : "";
+  if (value && typeof value === "object") return `<div class="json">${renderJsonValue(value, 0)}</div>${note}`;
+  return `<pre class="exchange__text">${escapeHtml(String(value))}</pre>${note}`;
+};
+
+const renderHeaders = headers => {
+  const entries = Object.entries(headers || {});
+  if (!entries.length) return `<div class="exchange__empty">No headers</div>`;
+  return `<table class="exchange__headers">${entries.map(([name, value]) => `<tr><th>${escapeHtml(name)}</th><td>${escapeHtml(value)}</td></tr>`).join("")}</table>`;
+};
+
+const renderExchange = result => {
+  const { request, response } = result.exchange || {};
+  if (!request) return "";
+  const responseBlock = response
+    ? `<h4>Response · ${escapeHtml(`${response.status} ${response.statusText || ""}`)}</h4>
+          ${renderHeaders(response.headers)}
+          ${renderBody(response.body, response.truncated)}`
+    : `<h4>Response</h4><div class="exchange__empty">No response: ${escapeHtml(result.error || "request failed")}</div>`;
+  return `<div class="exchange">
+        <section>
+          <h4>Request · ${escapeHtml(`${request.method} ${request.url}`)}</h4>
+          ${renderHeaders(request.headers)}
+          ${renderBody(request.body, request.truncated)}
+        </section>
+        <section>
+          ${responseBlock}
+        </section>
+      </div>`;
+};
+
 export function generateAllureHtml(testCases, results, meta = {}) {
   const casesById = Object.fromEntries(testCases.map(tc => [tc.id, tc]));
   const total = results.length;
   const passed = results.filter(r => r.ok).length;
-  const failed = total - passed;
+  const skipped = results.filter(r => r.skipped).length;
+  const failed = total - passed - skipped;
   const warnings = results.filter(r => r.warning).length;
+  const overBudget = results.filter(r => r.performance?.passed === false).length;
+  const flaky = results.filter(r => r.flaky).length;
   const totalDuration = results.reduce((acc, res) => acc + (res.timeMs || 0), 0);
   const executedAt = meta.executedAt || new Date().toISOString();
   const executedDisplay = formatDateTime(executedAt);
@@ -310,7 +1155,10 @@ export function generateAllureHtml(testCases, results, meta = {}) {
     { key: "all", label: `All (${total})` },
     { key: "passed", label: `Passed (${passed})` },
     { key: "failed", label: `Failed (${failed})` },
-    { key: "warning", label: `Warnings (${warnings})` }
+    ...(skipped ? [{ key: "skipped", label: `Skipped (${skipped})` }] : []),
+    { key: "warning", label: `Warnings (${warnings})` },
+    { key: "slow", label: `Over budget (${overBudget})` },
+    { key: "flaky", label: `Flaky (${flaky})` }
   ];
 
   const filterControls = filterButtons
@@ -326,9 +1174,19 @@ export function generateAllureHtml(testCases, results, meta = {}) {
     const method = target.method || "GET";
     const url = target.url || "";
     const fallbackName = `${method} ${url}`.trim();
-    const name = target.caseName || result.caseName || fallbackName || `Case #${idx + 1}`;
-    const statusClass = result.ok ? "case--passed" : "case--failed";
-    const statusLabel = result.ok ? "Passed" : "Failed";
+    const name = `${target.caseName || result.caseName || fallbackName || `Case #${idx + 1}`}${iterationLabel(result.iteration)}`;
+    const slow = result.performance?.passed === false;
+    const outcome = result.ok ? "passed" : result.skipped ? "skipped" : "failed";
+    const statusClass = `case--${outcome}${slow ? " case--slow" : ""}${result.flaky ? " case--flaky" : ""}`;
+    const attempts = result.attempts || [];
+    const attemptsBlock = attempts.length > 1
+      ? `<ol class="case__attempts">${attempts.map(attempt => `
+          <li class="${attempt.ok ? "case__attempt--passed" : "case__attempt--failed"}">
+            ${escapeHtml(attempt.error || `${attempt.status} ${attempt.statusText || ""}`)} · ${escapeHtml(formatDuration(attempt.timeMs))}${attempt.retryReason ? ` · retried on ${escapeHtml(attempt.retryReason)}` : ""}
+          </li>`).join("")}
+        </ol>`
+      : "";
+    const statusLabel = result.ok ? "Passed" : result.skipped ? "Skipped" : "Failed";
     const expected = result.expectedStatus != null ? result.expectedStatus : "—";
     const actual = result.status != null ? result.status : "—";
     const executed = formatDateTime(result.executedAt);
@@ -338,23 +1196,66 @@ export function generateAllureHtml(testCases, results, meta = {}) {
     const errorBlock = result.error
       ? `<div class="case__alert case__alert--error">🔥 ${escapeHtml(result.error)}</div>`
       : "";
+    const skipBlock = result.skipped
+      ? `<div class="case__alert case__alert--skipped">⏹ ${escapeHtml(result.skipReason)}</div>`
+      : "";
+    // The first check is the status comparison, which the meta row already shows when it passes.
+    const assertionItems = result.error ? "" : listChecks(result)
+      .filter((check, index) => index > 0 || !check.passed)
+      .map(check => `
+          <li class="case__assertion ${check.passed ? "case__assertion--passed" : "case__assertion--failed"}">
+            ${check.passed ? "✔" : "✖"} ${escapeHtml(check.passed ? check.name : check.message)}
+          </li>
+        `).join("");
+    const assertionsBlock = assertionItems ? `<ul class="case__assertions">${assertionItems}</ul>` : "";
+    const scriptLogs = formatScriptLogs(result.scriptLogs);
+    const logsBlock = scriptLogs
+      ? `<details class="case__logs"><summary>Script console (${result.scriptLogs.length})</summary><pre>${escapeHtml(scriptLogs)}</pre></details>`
+      : "";
+    const checks = listChecks(result);
+    const exchangeText = formatExchange(result);
+    const detailsBlock = checks.length || exchangeText
+      ? `<details class="case__details">
+          <summary>Request, response and checks</summary>
+          ${exchangeText ? `<button type="button" class="case__copy">Copy request &amp; response</button>
+          <textarea class="case__copy-source" hidden>${escapeHtml(exchangeText)}</textarea>` : ""}
+          ${checks.length ? `<ul class="case__checks">${checks.map(check => `
+            <li class="${check.passed ? "case__assertion--passed" : "case__assertion--failed"}">
+              ${check.passed ? "✔" : "✖"} ${escapeHtml(check.name)}${check.passed || check.message === check.name ? "" : ` — ${escapeHtml(check.message)}`}
+            </li>`).join("")}
+          </ul>` : ""}
+          ${renderExchange(result)}
+        </details>`
+      : "";
 
     return `
-      <article class="case ${statusClass}" data-status="${result.ok ? "passed" : "failed"}" data-warning="${result.warning ? "true" : "false"}">
+      <article class="case ${statusClass}" data-status="${outcome}" data-warning="${result.warning ? "true" : "false"}" data-slow="${slow ? "true" : "false"}" data-flaky="${result.flaky ? "true" : "false"}">
         <header class="case__header">
           <span class="case__status">${statusLabel}</span>
+          ${slow ? `<span class="case__badge case__badge--slow">${result.timedOut ? "Timed out" : "Over budget"}</span>` : ""}
+          ${result.flaky ? `<span class="case__badge case__badge--flaky">Flaky · ${attempts.length} attempts</span>` : ""}
           <h2 class="case__name">${escapeHtml(name)}</h2>
         </header>
         <div class="case__meta">
+          ${target.folder ? `<span class="case__suite">${escapeHtml(splitFolderPath(target.folder).join(" / "))}</span>` : ""}
           <span>${escapeHtml(method)}</span>
           <span>Expected ${escapeHtml(expected)}</span>
           <span>Actual ${escapeHtml(actual)}</span>
-          <span>${escapeHtml(formatDuration(result.timeMs))}</span>
+          <span class="${slow ? "case__duration--slow" : ""}">${escapeHtml(formatDuration(result.timeMs))}</span>
+          ${result.performance ? `<span>Budget ${escapeHtml(formatDuration(result.performance.budgetMs))}</span>` : ""}
+          ${target.operationId ? `<span>${escapeHtml(target.operationId)}</span>` : ""}
+          ${(target.tags || []).map(tag => `<span class="case__tag">#${escapeHtml(tag)}</span>`).join("")}
         </div>
         <div class="case__url">${escapeHtml(url)}</div>
+        ${result.iteration ? `<div class="case__params">${Object.entries(result.iteration.values).map(([column, value]) => `<span><b>${escapeHtml(column)}</b> ${escapeHtml(value)}</span>`).join("")}</div>` : ""}
         <div class="case__timeline">Ran at ${escapeHtml(executed)}</div>
+        ${attemptsBlock}
+        ${assertionsBlock}
+        ${detailsBlock}
+        ${logsBlock}
         ${warningBlock}
         ${errorBlock}
+        ${skipBlock}
       </article>
     `;
   }).join("");
@@ -380,6 +1281,8 @@ export function generateAllureHtml(testCases, results, meta = {}) {
         .card--pass span { color: #4ade80; }
         .card--fail span { color: #f87171; }
         .card--warn span { color: #facc15; }
+        .card--slow span { color: #fb923c; }
+        .card--flaky span { color: #c084fc; }
         .filters { display: flex; flex-wrap: wrap; gap: 0.75rem; margin-bottom: 2rem; }
         .filter { border: 1px solid rgba(148, 163, 184, 0.4); background: rgba(15, 23, 42, 0.7); color: #f1f5f9; border-radius: 999px; padding: 0.5rem 1rem; cursor: pointer; font-weight: 600; letter-spacing: 0.04em; text-transform: uppercase; transition: all 0.18s ease; }
         .filter:hover { border-color: rgba(56, 189, 248, 0.8); color: #38bdf8; }
@@ -393,12 +1296,63 @@ export function generateAllureHtml(testCases, results, meta = {}) {
         .case__status { padding: 0.25rem 0.75rem; border-radius: 999px; font-size: 0.75rem; letter-spacing: 0.08em; text-transform: uppercase; background: rgba(56, 189, 248, 0.18); color: #38bdf8; }
         .case--passed .case__status { background: rgba(74, 222, 128, 0.2); color: #4ade80; }
         .case--failed .case__status { background: rgba(248, 113, 113, 0.2); color: #f87171; }
+        .case--skipped { border-color: rgba(148, 163, 184, 0.35); opacity: 0.8; }
+        .case--skipped .case__status { background: rgba(148, 163, 184, 0.2); color: #cbd5e1; }
+        .card--skip span { color: #cbd5e1; }
+        .case--slow { border-color: rgba(251, 146, 60, 0.65); box-shadow: 0 0 0 1px rgba(251, 146, 60, 0.35), 0 25px 40px rgba(15, 23, 42, 0.45); }
+        .case__badge { padding: 0.25rem 0.75rem; border-radius: 999px; font-size: 0.75rem; letter-spacing: 0.08em; text-transform: uppercase; }
+        .case__badge--slow { background: rgba(251, 146, 60, 0.2); color: #fb923c; }
+        .case__badge--flaky { background: rgba(192, 132, 252, 0.2); color: #c084fc; }
+        .case--flaky { border-color: rgba(192, 132, 252, 0.55); }
+        .case__attempts { margin: 0.5rem 0 0; padding-left: 1.4rem; display: grid; gap: 0.2rem; font-size: 0.8rem; }
+        .case__attempt--passed { color: #4ade80; }
+        .case__attempt--failed { color: #f87171; }
+        .case__duration--slow { color: #fb923c; font-weight: 700; }
         .case__name { margin: 0; font-size: 1.25rem; color: #f8fafc; }
         .case__meta { display: flex; flex-wrap: wrap; gap: 0.75rem; font-size: 0.8rem; color: rgba(148, 163, 184, 0.85); margin-bottom: 0.8rem; }
+        .case__tag { color: #a5b4fc; }
+        .case__suite { color: #e2e8f0; font-weight: 600; }
         .case__url { font-family: "SFMono-Regular", Consolas, "Liberation Mono", Menlo, monospace; font-size: 0.85rem; color: #38bdf8; margin-bottom: 0.75rem; word-break: break-all; }
+        .case__params { display: flex; flex-wrap: wrap; gap: 0.4rem; margin-bottom: 0.65rem; font-size: 0.78rem; }
+        .case__params span { padding: 0.2rem 0.55rem; border-radius: 8px; background: rgba(56, 189, 248, 0.12); color: #e2e8f0; font-family: "SFMono-Regular", Consolas, "Liberation Mono", Menlo, monospace; }
+        .case__params b { color: #38bdf8; font-weight: 600; }
         .case__timeline { font-size: 0.78rem; color: rgba(226, 232, 240, 0.65); margin-bottom: 0.65rem; }
+        .case__assertions { list-style: none; margin: 0.5rem 0 0; padding: 0; display: grid; gap: 0.35rem; font-size: 0.82rem; }
+        .case__assertion { padding: 0.45rem 0.7rem; border-radius: 10px; font-family: "SFMono-Regular", Consolas, "Liberation Mono", Menlo, monospace; word-break: break-word; }
+        .case__assertion--passed { background: rgba(74, 222, 128, 0.12); color: #4ade80; }
+        .case__assertion--failed { background: rgba(248, 113, 113, 0.16); color: #f87171; }
+        .case__logs { margin-top: 0.6rem; font-size: 0.8rem; color: rgba(226, 232, 240, 0.8); }
+        .case__logs summary { cursor: pointer; letter-spacing: 0.04em; text-transform: uppercase; font-size: 0.72rem; color: rgba(148, 163, 184, 0.9); }
+        .case__logs pre { margin: 0.5rem 0 0; padding: 0.75rem; border-radius: 10px; background: rgba(2, 6, 23, 0.7); white-space: pre-wrap; word-break: break-word; font-family: "SFMono-Regular", Consolas, "Liberation Mono", Menlo, monospace; }
+        .case__details { margin-top: 0.75rem; border-top: 1px solid rgba(148, 163, 184, 0.2); padding-top: 0.6rem; font-size: 0.82rem; }
+        .case__details > summary { cursor: pointer; letter-spacing: 0.04em; text-transform: uppercase; font-size: 0.72rem; color: rgba(148, 163, 184, 0.9); }
+        .case__copy { margin: 0.6rem 0; border: 1px solid rgba(56, 189, 248, 0.5); background: transparent; color: #38bdf8; border-radius: 8px; padding: 0.3rem 0.7rem; cursor: pointer; font-size: 0.75rem; }
+        .case__copy:hover { background: rgba(56, 189, 248, 0.12); }
+        .case__checks { list-style: none; margin: 0.5rem 0; padding: 0; display: grid; gap: 0.25rem; font-family: "SFMono-Regular", Consolas, "Liberation Mono", Menlo, monospace; }
+        .exchange { display: grid; gap: 1rem; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); margin-top: 0.5rem; }
+        .exchange section { min-width: 0; }
+        .exchange h4 { margin: 0 0 0.4rem; font-size: 0.8rem; color: #e2e8f0; word-break: break-all; }
+        .exchange__headers { width: 100%; border-collapse: collapse; margin-bottom: 0.5rem; font-size: 0.75rem; }
+        .exchange__headers th { text-align: left; color: #38bdf8; font-weight: 600; padding: 0.15rem 0.6rem 0.15rem 0; vertical-align: top; white-space: nowrap; }
+        .exchange__headers td { color: rgba(226, 232, 240, 0.85); word-break: break-all; padding: 0.15rem 0; }
+        .exchange__empty { color: rgba(148, 163, 184, 0.75); font-size: 0.75rem; margin-bottom: 0.4rem; }
+        .exchange__text, .json { margin: 0; padding: 0.75rem; border-radius: 10px; background: rgba(2, 6, 23, 0.7); font-family: "SFMono-Regular", Consolas, "Liberation Mono", Menlo, monospace; font-size: 0.78rem; white-space: pre-wrap; word-break: break-word; max-height: 420px; overflow: auto; }
+        .json-node > summary { cursor: pointer; list-style: none; display: inline; }
+        .json-node > summary::-webkit-details-marker { display: none; }
+        .json-node:not([open]) > summary::after { content: " … "; color: rgba(148, 163, 184, 0.8); }
+        .json-node[open] > summary .json-count { display: none; }
+        .json-node, .json-node[open] > summary { display: inline; }
+        .json-children { padding-left: 1.1rem; border-left: 1px dashed rgba(148, 163, 184, 0.25); margin-left: 0.2rem; }
+        .json-count { margin-left: 0.35rem; color: rgba(148, 163, 184, 0.8); font-size: 0.7rem; }
+        .json-key { color: #7dd3fc; }
+        .json-string { color: #86efac; }
+        .json-number { color: #fca5a5; }
+        .json-boolean { color: #c4b5fd; }
+        .json-null { color: #94a3b8; }
+        .json-punct { color: #e2e8f0; }
         .case__alert { padding: 0.6rem 0.8rem; border-radius: 12px; font-size: 0.82rem; margin-top: 0.5rem; }
         .case__alert--warning { background: rgba(251, 191, 36, 0.18); color: #facc15; border: 1px solid rgba(251, 191, 36, 0.3); }
+        .case__alert--skipped { background: rgba(148, 163, 184, 0.16); color: #cbd5e1; border: 1px solid rgba(148, 163, 184, 0.3); }
         .case__alert--error { background: rgba(248, 113, 113, 0.2); color: #f87171; border: 1px solid rgba(248, 113, 113, 0.35); }
         .empty { border: 1px dashed rgba(148, 163, 184, 0.4); border-radius: 16px; padding: 2.5rem 1.5rem; text-align: center; color: rgba(226, 232, 240, 0.65); }
         footer { margin-top: 3rem; font-size: 0.75rem; color: rgba(148, 163, 184, 0.55); text-align: center; }
@@ -412,7 +1366,7 @@ export function generateAllureHtml(testCases, results, meta = {}) {
       <div class="shell">
         <header class="header">
           <h1>Allure Report Preview</h1>
-          <p>Generated ${escapeHtml(executedDisplay)} · Total duration ${escapeHtml(formatDuration(totalDuration))}</p>
+          <p>${meta.stopped ? "Stopped early · " : ""}${meta.mocked ? "Mock responses · " : ""}${meta.scope ? `${escapeHtml(meta.scope)} · ` : ""}${meta.environmentName ? `Environment ${escapeHtml(meta.environmentName)} · ` : ""}Generated ${escapeHtml(executedDisplay)} · Total request time ${escapeHtml(formatDuration(totalDuration))}${Number.isFinite(meta.wallTimeMs) ? ` · Wall clock ${escapeHtml(formatDuration(meta.wallTimeMs))}${meta.concurrency > 1 ? ` (${escapeHtml(String(meta.concurrency))} workers)` : ""}` : ""}</p>
         </header>
         <section class="summary">
           <div class="card">
@@ -427,10 +1381,22 @@ export function generateAllureHtml(testCases, results, meta = {}) {
             <h3>Failed</h3>
             <span>${escapeHtml(String(failed))}</span>
           </div>
+          ${skipped ? `<div class="card card--skip">
+            <h3>Skipped</h3>
+            <span>${escapeHtml(String(skipped))}</span>
+          </div>` : ""}
           <div class="card card--warn">
             <h3>Warnings</h3>
             <span>${escapeHtml(String(warnings))}</span>
           </div>
+          <div class="card card--slow">
+            <h3>Over Budget</h3>
+            <span>${escapeHtml(String(overBudget))}</span>
+          </div>
+          <div class="card card--flaky">
+            <h3>Flaky</h3>
+            <span>${escapeHtml(String(flaky))}</span>
+          </div>
         </section>
         <div class="filters">
           ${filterControls}
@@ -452,15 +1418,44 @@ export function generateAllureHtml(testCases, results, meta = {}) {
               if (!card) return;
               const status = card.dataset.status;
               const warning = card.dataset.warning === 'true';
+              const slow = card.dataset.slow === 'true';
+              const flaky = card.dataset.flaky === 'true';
               let show = true;
               if (key === 'passed') show = status === 'passed';
               if (key === 'failed') show = status === 'failed';
+              if (key === 'skipped') show = status === 'skipped';
               if (key === 'warning') show = warning;
+              if (key === 'slow') show = slow;
+              if (key === 'flaky') show = flaky;
               card.style.display = show ? '' : 'none';
             });
           };
           buttons.forEach(btn => btn.addEventListener('click', () => applyFilter(btn.dataset.filter)));
           applyFilter('all');
+
+          // Clipboard API first; report files opened from disk may not allow it, so fall back to execCommand.
+          document.querySelectorAll('.case__copy').forEach(btn => {
+            const label = btn.textContent;
+            const source = btn.parentElement.querySelector('.case__copy-source');
+            const done = message => {
+              btn.textContent = message;
+              setTimeout(() => { btn.textContent = label; }, 1500);
+            };
+            const fallback = () => {
+              source.hidden = false;
+              source.select();
+              const copied = document.execCommand('copy');
+              source.hidden = true;
+              done(copied ? 'Copied' : 'Copy failed');
+            };
+            btn.addEventListener('click', () => {
+              if (navigator.clipboard && navigator.clipboard.writeText) {
+                navigator.clipboard.writeText(source.value).then(() => done('Copied'), fallback);
+              } else {
+                fallback();
+              }
+            });
+          });
         })();
       </script>
     </body>
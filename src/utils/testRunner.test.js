@@ -0,0 +1,381 @@
+/**
+ * @jest-environment node
+ */
+import http from "http";
+import {
+  classifyFailure,
+  generateAllureFiles,
+  generateAllureHtml,
+  generateJUnitReport,
+  listChecks,
+  runTestCase,
+  runTestSuite
+} from "./testRunner.js";
+
+let server;
+let baseUrl;
+
+// Answers with the status given in ?status= (200 by default) after ?delay= milliseconds.
+beforeAll(done => {
+  server = http.createServer((req, res) => {
+    const params = new URL(req.url, "http://localhost").searchParams;
+    const delay = Number(params.get("delay")) || 0;
+    setTimeout(() => {
+      res.writeHead(Number(params.get("status")) || 200, { "Content-Type": "application/json" });
+      res.end("{}");
+    }, delay);
+  });
+  server.listen(0, "127.0.0.1", () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.closeAllConnections?.();
+  server.close(done);
+});
+
+const baseCase = fields => ({
+  id: "case-1",
+  caseName: "Get user",
+  method: "GET",
+  url: `${baseUrl}/users/1`,
+  expectedStatus: 200,
+  ...fields
+});
+
+describe("response time budget", () => {
+  it("passes responses inside the budget and fails slow ones", async () => {
+    const fastResult = await runTestCase(baseCase({ maxResponseTime: 1 }));
+    expect(fastResult.ok).toBe(true);
+    expect(fastResult.performance).toMatchObject({ budgetMs: 1000, passed: true });
+
+    const slowResult = await runTestCase(baseCase({ url: `${baseUrl}/users/1?delay=60`, maxResponseTime: 0.01, timeoutSeconds: 5 }));
+    expect(slowResult.ok).toBe(false);
+    expect(slowResult.performance).toMatchObject({ budgetMs: 10, passed: false });
+    expect(classifyFailure(slowResult)).toBe("performance");
+  });
+
+  it("counts a hard timeout against the budget", async () => {
+    const result = await runTestCase(baseCase({ url: `${baseUrl}/users/1?delay=500`, maxResponseTime: 0.01, timeoutSeconds: 0.03 }));
+    expect(result.timedOut).toBe(true);
+    expect(result.performance).toMatchObject({ budgetMs: 10, passed: false });
+    expect(classifyFailure(result)).toBe("timeout");
+  });
+
+  it("does not judge requests that never got a response", async () => {
+    const result = await runTestCase(baseCase({ url: "http://127.0.0.1:1/users/1", maxResponseTime: 5 }));
+    expect(result.ok).toBe(false);
+    expect(result.timedOut).toBe(false);
+    expect(result.performance).toMatchObject({ budgetMs: 5000, passed: null });
+    expect(classifyFailure(result)).toBe("network");
+  });
+});
+
+describe("OAuth2 token request", () => {
+  let server;
+  let port;
+
+  beforeAll(done => {
+    // Accepts connections and never answers.
+    server = http.createServer(() => {});
+    server.listen(0, "127.0.0.1", () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  it("is aborted by the case's hard timeout", async () => {
+    const started = Date.now();
+    const result = await runTestCase(baseCase({
+      timeoutSeconds: 0.2,
+      authType: "OAuth2",
+      auth: { tokenUrl: `http://127.0.0.1:${port}/token`, grantType: "client_credentials", clientId: "app" }
+    }));
+    expect(Date.now() - started).toBeLessThan(5000);
+    expect(result.authFailed).toBe(true);
+    expect(result.error).toMatch(/^OAuth2 token request failed: timeout of 200ms exceeded/);
+  });
+});
+
+describe("retries", () => {
+  let server;
+  let port;
+  let hits;
+
+  beforeAll(done => {
+    // Fails the first request for each path with 503, then answers 200.
+    server = http.createServer((request, response) => {
+      hits[request.url] = (hits[request.url] || 0) + 1;
+      response.writeHead(hits[request.url] === 1 ? 503 : 200, { "Content-Type": "application/json" });
+      response.end("{}");
+    });
+    server.listen(0, "127.0.0.1", () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  beforeEach(() => {
+    hits = {};
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  it("retries a listed status and marks the pass as flaky", async () => {
+    const result = await runTestCase(baseCase({ url: `http://127.0.0.1:${port}/flaky` }), {
+      retryPolicy: { maxAttempts: 3, backoff: "fixed", delayMs: 0 }
+    });
+    expect(result).toMatchObject({ ok: true, status: 200, flaky: true });
+    expect(result.attempts.map(attempt => [attempt.status, attempt.retryReason])).toEqual([[503, "status 503"], [200, null]]);
+  });
+
+  it("stops after the last allowed attempt", async () => {
+    const result = await runTestCase(baseCase({ url: `http://127.0.0.1:${port}/once`, retryPolicy: { maxAttempts: 1 } }), {
+      retryPolicy: { maxAttempts: 3, delayMs: 0 }
+    });
+    expect(result).toMatchObject({ ok: false, status: 503, flaky: false });
+    expect(result.attempts).toHaveLength(1);
+  });
+});
+
+describe("runTestSuite", () => {
+  it("runs cases in folder tree order, as the case list shows them", async () => {
+    const testCases = [
+      baseCase({ id: "users-1", folder: "Users", url: `${baseUrl}/users` }),
+      baseCase({ id: "root-1", folder: "", url: `${baseUrl}/health` }),
+      baseCase({ id: "admin-1", folder: "Users/Admin", url: `${baseUrl}/admin` }),
+      baseCase({ id: "users-2", folder: "Users", url: `${baseUrl}/users/2` }),
+      baseCase({ id: "root-2", folder: "", url: `${baseUrl}/version` })
+    ];
+    const started = [];
+
+    const { results } = await runTestSuite(testCases, { onResult: result => started.push(result.caseId) });
+    expect(started).toEqual(["root-1", "root-2", "users-1", "users-2", "admin-1"]);
+    expect(results.map(result => result.caseId)).toEqual(started);
+  });
+});
+
+describe("stopping a run", () => {
+  it("skips the case in flight and every case after it", async () => {
+    const testCases = ["first", "second", "third"].map(id => baseCase({
+      id,
+      url: `${baseUrl}/${id}?delay=${id === "first" ? 0 : 2000}`
+    }));
+    const controller = new AbortController();
+    const onResult = result => {
+      if (result.caseId === "first") setTimeout(() => controller.abort(), 20);
+    };
+
+    const started = Date.now();
+    const run = await runTestSuite(testCases, { signal: controller.signal, onResult });
+    expect(Date.now() - started).toBeLessThan(1500);
+    expect(run.stopped).toBe(true);
+    expect(run.results.map(result => [result.caseId, result.ok, result.skipped || false])).toEqual([
+      ["first", true, false],
+      ["second", false, true],
+      ["third", false, true]
+    ]);
+    expect(run.results[1].skipReason).toBe("Run stopped while the request was in flight.");
+    expect(run.results[2].skipReason).toBe("Run stopped before this case started.");
+  });
+
+  it("does not wait out a pending retry", async () => {
+    const testCase = baseCase({ url: `${baseUrl}/users/1?status=503` });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+
+    const started = Date.now();
+    const result = await runTestCase(testCase, {
+      signal: controller.signal,
+      retryPolicy: { maxAttempts: 3, backoff: "fixed", delayMs: 5000 }
+    });
+    expect(Date.now() - started).toBeLessThan(1500);
+    expect(result).toMatchObject({ ok: false, status: 503 });
+    expect(result.skipped).toBeFalsy();
+    expect(result.attempts).toHaveLength(1);
+    expect(result.attempts[0].retryReason).toBeNull();
+  });
+});
+
+const readAllureFiles = files => {
+  const byName = Object.fromEntries(files.map(file => [file.name, file.content]));
+  const results = files.filter(file => file.name.endsWith("-result.json")).map(file => JSON.parse(file.content));
+  return { byName, results };
+};
+
+describe("Allure results", () => {
+  let profileServer;
+  let profileUrl;
+
+  beforeAll(done => {
+    profileServer = http.createServer((request, response) => {
+      response.writeHead(200, { "Content-Type": "application/json", "Set-Cookie": "sid=1" });
+      response.end('{"name":"ada"}');
+    });
+    profileServer.listen(0, "127.0.0.1", () => {
+      profileUrl = `http://127.0.0.1:${profileServer.address().port}/users/1`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    profileServer.close(done);
+  });
+
+  it("records each phase as a step and the redacted exchange", async () => {
+    const result = await runTestCase(baseCase({
+      url: profileUrl,
+      authType: "Bearer",
+      auth: { token: "s3cret" },
+      headers: [{ key: "X-Trace", value: "1" }],
+      assertions: [{ path: "name", operator: "equals", expected: "ada" }],
+      preRequestScript: "console.log('starting');"
+    }));
+
+    expect(result.steps.map(step => step.name)).toEqual(["Pre-request script", "Bearer authorization", `GET ${profileUrl}`]);
+    expect(listChecks(result).map(check => check.name)).toEqual(["Status is 200", 'name equals "ada"']);
+    expect(result.exchange.request.headers).toMatchObject({ Authorization: "[REDACTED]", "X-Trace": "1" });
+    expect(JSON.stringify(result.exchange.request)).not.toContain("s3cret");
+    expect(result.exchange.response).toMatchObject({ status: 200, headers: { "set-cookie": "[REDACTED]" }, body: { name: "ada" } });
+    expect(JSON.stringify(result.scriptLogs)).toContain("starting");
+  });
+
+  it("marks the request step of a response that never arrived as broken", async () => {
+    const result = await runTestCase(baseCase({ url: "http://127.0.0.1:1/users/1" }));
+    expect(result.steps[result.steps.length - 1]).toMatchObject({ kind: "request", status: "broken" });
+    expect(classifyFailure(result)).toBe("network");
+  });
+
+  it("writes run settings to environment.properties and failure categories", () => {
+    const { byName } = readAllureFiles(generateAllureFiles([], [], {
+      environmentName: "Staging: EU",
+      baseUrl: "https://api.test",
+      concurrency: 4,
+      retryPolicy: { maxAttempts: 3, backoff: "fixed", delayMs: 200 },
+      stopped: true
+    }));
+    const properties = byName["environment.properties"].split("\n");
+    expect(properties).toEqual(expect.arrayContaining([
+      "Environment=Staging: EU",
+      "Base.URL=https://api.test",
+      "Workers=4",
+      "Retry.max.attempts=3",
+      "Retry.backoff=fixed 200 ms",
+      "Stopped.early=true",
+      "Results=0"
+    ]));
+    expect(properties.some(line => line.startsWith("Mock.responses"))).toBe(false);
+
+    const categories = JSON.parse(byName["categories.json"]);
+    expect(categories.map(category => category.name)).toContain("Timeouts");
+    const timeout = categories.find(category => category.name === "Timeouts");
+    expect(new RegExp(timeout.traceRegex.replace("(?s)", "")).test("Failure reason: timeout\n")).toBe(true);
+  });
+
+  it("derives history ids from what the case is, not its generated id", () => {
+    const historyOf = (testCase, result = {}, options = {}) => readAllureFiles(
+      generateAllureFiles([testCase], [{ caseId: testCase.id, ok: true, ...result }], options)
+    ).results[0];
+    const original = historyOf(baseCase({ id: "a", folder: "Users" }));
+    const copy = historyOf(baseCase({ id: "b", folder: "Users" }));
+    expect(copy.historyId).toBe(original.historyId);
+    expect(copy.testCaseId).toBe(original.testCaseId);
+
+    const row = historyOf(baseCase({ id: "a", folder: "Users" }), { iteration: { index: 1, total: 2, values: { user: "ada" } } });
+    const mocked = historyOf(baseCase({ id: "a", folder: "Users" }), { mocked: true });
+    const otherEnvironment = historyOf(baseCase({ id: "a", folder: "Users" }), {}, { environmentName: "Prod" });
+    const historyIds = [original, row, mocked, otherEnvironment].map(result => result.historyId);
+    expect(new Set(historyIds).size).toBe(4);
+    expect(row.testCaseId).toBe(original.testCaseId);
+    expect(row.name).toBe("Get user [row 1]");
+  });
+});
+
+describe("generateJUnitReport", () => {
+  it("groups cases into suites with failures, errors, skips and system-out", async () => {
+    const passing = baseCase({ id: "pass", caseName: "Health <ok>", folder: "Ops", url: `${baseUrl}/health` });
+    const failing = baseCase({ id: "fail", caseName: "Create", folder: "Users", url: `${baseUrl}/users?status=500` });
+    const erroring = baseCase({ id: "error", caseName: "Offline", folder: "Users", url: "http://127.0.0.1:1/x" });
+    const skipped = baseCase({ id: "skip", caseName: "Later", folder: "Users" });
+    const testCases = [passing, failing, erroring, skipped];
+    const results = [
+      await runTestCase(passing),
+      await runTestCase(failing),
+      await runTestCase(erroring),
+      { caseId: "skip", ok: false, skipped: true, skipReason: "Run stopped before this case started.", timeMs: 0 }
+    ];
+
+    const xml = generateJUnitReport(testCases, results, {
+      executedAt: "2026-03-04T05:06:07.890Z",
+      wallTimeMs: 1500,
+      environmentName: "QA"
+    });
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="API Tests" tests="4" failures="1" errors="1" skipped="1" time="1.500" timestamp="2026-03-04T05:06:07">/);
+    expect(xml).toContain('<testsuite name="Ops" id="0" tests="1" failures="0" errors="0" skipped="0"');
+    expect(xml).toContain('<testsuite name="Users" id="1" tests="3" failures="1" errors="1" skipped="1"');
+    expect(xml).toContain('<property name="Environment" value="QA"/>');
+    expect(xml).toContain('<testcase classname="Ops" name="Health &lt;ok&gt;"');
+    expect(xml).toContain('<failure message="Expected 200, got 500" type="status">');
+    expect(xml).toMatch(/<error message="[^"]*ECONNREFUSED[^"]*" type="network">/);
+    expect(xml).toContain('<skipped message="Run stopped before this case started."/>');
+    expect(xml).toContain(`&gt; GET ${baseUrl}/health`);
+    expect(xml).toContain("&lt; 200 OK");
+    expect(xml).toContain("&lt; no response: connect ECONNREFUSED 127.0.0.1:1");
+  });
+});
+
+describe("generateAllureHtml", () => {
+  let userServer;
+  let userUrl;
+
+  beforeAll(done => {
+    userServer = http.createServer((request, response) => {
+      response.writeHead(200, { "Content-Type": "application/json" });
+      response.end('{"name":"ada"}');
+    });
+    userServer.listen(0, "127.0.0.1", () => {
+      userUrl = `http://127.0.0.1:${userServer.address().port}/users/1`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    userServer.close(done);
+  });
+
+  it("expands each case into its checks and redacted exchange, with a copy button", async () => {
+    const testCase = baseCase({
+      caseName: "<script>alert(1)</script>",
+      url: userUrl,
+      authType: "Bearer",
+      auth: { token: "s3cret" },
+      assertions: [{ path: "name", operator: "equals", expected: "bob" }]
+    });
+    const result = await runTestCase(testCase);
+    const html = generateAllureHtml([testCase], [result], { environmentName: "QA" });
+
+    expect(html).not.toContain("<script>alert(1)</script>");
+    expect(html).toContain("&lt;script&gt;alert(1)&lt;/script&gt;");
+    expect(html).not.toContain("s3cret");
+    expect(html).toContain("<summary>Request, response and checks</summary>");
+    expect(html).toContain('<button type="button" class="case__copy">Copy request &amp; response</button>');
+    expect(html).toContain(`Request · GET ${userUrl}`);
+    expect(html).toContain("Response · 200 OK");
+    expect(html).toContain("✖ name: expected equals &quot;bob&quot;, got &quot;ada&quot;");
+  });
+
+  it("says why there is no response", async () => {
+    const testCase = baseCase({ url: "http://127.0.0.1:1/users/1" });
+    const html = generateAllureHtml([testCase], [await runTestCase(testCase)]);
+    expect(html).toContain("No response: connect ECONNREFUSED 127.0.0.1:1");
+  });
+});